@@ -0,0 +1,64 @@
+/**
+ * Describe the configuration of an SFDC environment profile for debugging (see ../utils/config.js), eg,
+ *    GET /api/config?sfdcEnvironment=uat
+ *
+ * The response has the env variable and value of every config key, with the secrets masked, the required
+ * env variables that are not set, and the parse error of every env variable that is not valid.
+ *
+ * The caller must have the `config:read` scope (see ../utils/auth.js).
+ */
+import {
+  describeConfig,
+  getEnvironment,
+} from '../utils/config';
+import { authorizeRequest } from '../utils/auth';
+import {  
+  getLogMessage,
+  getRequestId,
+  handleApiError,
+  sanitizeUrlQueryParams,
+  INFO,
+} from "../utils/common";
+
+const CONFIG_READ_SCOPE = 'config:read';
+
+/* 
+ * Vercel serverless functions (API):
+ * https://vercel.com/docs/concepts/functions/serverless-functions/supported-languages#node.js
+ */ 
+module.exports = async (req, res) => {
+
+   /* handle CORS requests; if sent by browser, the browser sends thge 'OPTIONS' method request */
+   const headers = {
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,HEAD',
+    'Content-Type': 'application/json'
+  };
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, headers).end();
+    return;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization'
+  );
+
+  const requestId = getRequestId();
+  try {
+    const requestPayload = req.query;
+    console.log(getLogMessage(req, res, requestId, null, INFO, `Request payload`, { requestPayload: sanitizeUrlQueryParams(requestPayload) }));
+
+    const environment = getEnvironment(requestPayload.sfdcEnvironment);
+    await authorizeRequest(req, res, requestId, { environment, scopes: [CONFIG_READ_SCOPE] });
+
+    res.status(200).send({
+      success: true,
+      ...describeConfig(environment),
+    });
+  } catch (err) {
+    handleApiError(err, requestId, req, res);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * List the report runs (audit records written by /api/sfdcquery, see ../utils/runs.js), newest first, eg, the runs of March 7-8:
+ *    GET /api/runs?requestType=googleSearchAdsConversions&startDateTime=2023-03-07&endDateTime=2023-03-08
+ *
+ * The caller must have the `runs:read` scope (see ../utils/auth.js), and gets only the runs of the SFDC environments it has the
+ * env:<environment> scope of (an API key: its own environment); an sfdcEnvironment filter requires its env scope.
+ *
+ * URL query params (all optional):
+ *  - requestId:                  the run of the request
+ *  - startDateTime, endDateTime: runs started in the range (ISO-8601 date or datetime, see ../utils/datewindow.js); a date-only
+ *                                endDateTime is the end of that day (UTC)
+ *  - requestType, sfdcEnvironment, status (success, error, pending): runs with the value; requires startDateTime
+ *  - limit:                      max number of runs (default 50, max 500)
+ */
+import { getEnvironment, getEnvironments } from '../utils/config';
+import { getStorage } from '../utils/storage';
+import {
+  getRuns,
+  DEFAULT_RUNS_LIMIT,
+  MAX_RUNS_LIMIT,
+  RUN_STATUS_ERROR,
+  RUN_STATUS_PENDING,
+  RUN_STATUS_SUCCESS,
+} from '../utils/runs';
+import { authorizeRequest, isScopeGranted, ENV_SCOPE_PREFIX } from '../utils/auth';
+import { parseIsoDateTime } from '../utils/datewindow';
+import {  
+  getLogMessage,
+  getRequestId,
+  handleApiError,
+  sanitizeUrlQueryParams,
+  MarketingApiValidationError,
+  INFO,
+} from "../utils/common";
+
+const RUNS_READ_SCOPE = 'runs:read';
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/* 
+ * Vercel serverless functions (API):
+ * https://vercel.com/docs/concepts/functions/serverless-functions/supported-languages#node.js
+ */ 
+module.exports = async (req, res) => {
+
+   /* handle CORS requests; if sent by browser, the browser sends thge 'OPTIONS' method request */
+   const headers = {
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,HEAD',
+    'Content-Type': 'application/json'
+  };
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, headers).end();
+    return;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization'
+  );
+
+  const requestId = getRequestId();
+  try {
+    const requestPayload = req.query;
+    console.log(getLogMessage(req, res, requestId, null, INFO, `Request payload`, { requestPayload: sanitizeUrlQueryParams(requestPayload) }));
+
+    // the (deprecated) API key is per SFDC environment, so select it with the sfdcEnvironment param; the param also filters
+    // the runs by the environment, so the caller must be allowed to read its runs
+    const environment = getEnvironment(requestPayload.sfdcEnvironment);
+    const caller = await authorizeRequest(req, res, requestId, {
+      environment,
+      scopes: [RUNS_READ_SCOPE, ...(requestPayload.sfdcEnvironment ? [`${ENV_SCOPE_PREFIX}${environment}`] : [])],
+    });
+
+    const filters = {
+      ...getRunsFilters(requestPayload),
+      // only the runs of the environments the caller may read, eg, a uat caller does not get the prod runs (and their errors)
+      environments: getEnvironments().filter((callerEnvironment) => isScopeGranted(caller, `${ENV_SCOPE_PREFIX}${callerEnvironment}`)),
+    };
+    const runs = await getRuns(getStorage(requestId), filters);
+    console.log(getLogMessage(req, res, requestId, null, INFO, `Runs found: [${runs.length}]`, { filters }));
+
+    res.status(200).send({
+      success: true,
+      count: runs.length,
+      runs,
+    });
+  } catch (err) {
+    handleApiError(err, requestId, req, res);
+  }
+}
+
+/**
+ * Validate the URL query params and convert them to getRuns() filters
+ *
+ * Throws a MarketingApiValidationError (http status 400) if a param is not valid
+ */
+function getRunsFilters(requestPayload) {
+  const { requestId, requestType, sfdcEnvironment, status, startDateTime, endDateTime, limit } = requestPayload;
+  if (status && ![RUN_STATUS_SUCCESS, RUN_STATUS_ERROR, RUN_STATUS_PENDING].includes(status)) {
+    throw new MarketingApiValidationError(`Invalid status '${status}'; use ${RUN_STATUS_SUCCESS}, ${RUN_STATUS_ERROR} or ${RUN_STATUS_PENDING}`);
+  }
+  const runsLimit = limit === undefined ? DEFAULT_RUNS_LIMIT : parseInt(limit, 10);
+  if (!(runsLimit > 0 && runsLimit <= MAX_RUNS_LIMIT) || String(runsLimit) !== String(limit ?? DEFAULT_RUNS_LIMIT)) {
+    throw new MarketingApiValidationError(`Invalid limit '${limit}'; use a number from 1 to ${MAX_RUNS_LIMIT}`);
+  }
+  return {
+    requestId: requestId || undefined,
+    requestType: requestType || undefined,
+    environment: sfdcEnvironment ? getEnvironment(sfdcEnvironment) : undefined,
+    status: status || undefined,
+    startDateTime: startDateTime ? parseIsoDateTime(startDateTime, 'startDateTime') : undefined,
+    endDateTime: endDateTime ? getEndDateTime(endDateTime) : undefined,
+    limit: runsLimit,
+  };
+}
+
+// the end of the range (inclusive): a date-only endDateTime, eg, 2023-03-08, is the end of that day (UTC), not its midnight
+function getEndDateTime(endDateTime) {
+  const end = parseIsoDateTime(endDateTime, 'endDateTime');
+  return String(endDateTime).match(/^\d{4}-\d{2}-\d{2}$/) ? new Date(Date.parse(end) + MILLISECONDS_PER_DAY - 1).toISOString() : end;
+}
@@ -0,0 +1,186 @@
+/**
+ * Run the due reports of the schedule (see ../utils/schedule.js), eg, from a single cron job every hour:
+ *    GET /api/scheduler
+ *
+ * On each tick, the reports whose cadence has a boundary after their checkpoint are run one after another (see
+ * ../utils/reportrunner.js), and a report's failure is alerted to its ERROR channels without stopping the other reports.
+ * A scheduled bulk report whose query job is still running is resumed on the next tick.
+ *
+ * Pass `dryRun=true` to run the due reports as dry runs (the reports are not sent and the checkpoints are not advanced).
+ *
+ * The response has a summary per scheduled report:
+ *    {requestType, environment, due, status (success, error, pending or notDue), window, recordCounts, delivery, bulkJobId, error}
+ *
+ * Each report run holds the report's lock (see ../utils/runlock.js), so a tick that overlaps another tick (or a manual sfdcquery run)
+ * summarizes the report as an error (MarketingApiConflictError) instead of sending it twice. Send an `Idempotency-Key` header to
+ * get the response of the first tick for a repeat of the request (see ../utils/idempotency.js).
+ *
+ * The caller must have the `scheduler:run` scope, and the report and environment scopes of every scheduled report (see ../utils/auth.js);
+ * the (deprecated) API key is prod's, so it only runs a manifest of prod reports.
+ */
+import { getStorage } from '../utils/storage';
+import {
+  getSchedule,
+  getScheduleNotifications,
+  isReportDue,
+} from '../utils/schedule';
+import {
+  getPendingBulkJobId,
+  runReport,
+} from '../utils/reportrunner';
+import { getReportDefinition } from '../utils/reports';
+import {
+  getRunRecordCounts,
+  RUN_STATUS_ERROR,
+  RUN_STATUS_PENDING,
+  RUN_STATUS_SUCCESS,
+} from '../utils/runs';
+import {
+  authorizeRequest,
+  checkScopes,
+  getReportScopes,
+} from '../utils/auth';
+import { getErrorBody, getErrorPolicy } from '../utils/errors';
+import { SFDC_ENVIRONMENT_PROD } from '../utils/config';
+import {
+  claimIdempotencyKey,
+  getIdempotencyKey,
+  getRequestFingerprint,
+  releaseIdempotencyKey,
+  saveIdempotentResponse,
+  IDEMPOTENT_REPLAYED_HEADER,
+} from '../utils/idempotency';
+import {
+  alertError,
+  getLogMessage,
+  getRequestId,
+  handleApiError,
+  isTrueParam,
+  sanitizeRequestUrl,
+  sanitizeUrlQueryParams,
+  INFO,
+} from "../utils/common";
+
+const SCHEDULER_RUN_SCOPE = 'scheduler:run';
+const SCHEDULE_STATUS_NOT_DUE = 'notDue';
+
+/*
+ * Vercel serverless functions (API):
+ * https://vercel.com/docs/concepts/functions/serverless-functions/supported-languages#node.js
+ */
+module.exports = async (req, res) => {
+
+   /* handle CORS requests; if sent by browser, the browser sends thge 'OPTIONS' method request */
+   const headers = {
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, Idempotency-Key',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,HEAD',
+    'Content-Type': 'application/json'
+  };
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, headers).end();
+    return;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key'
+  );
+
+  const requestId = getRequestId();
+  let storage = null;
+  // claimed Idempotency-Key of the request and the claim's owner token (released if the request fails, so a repeat runs again)
+  let idempotencyKey = null;
+  let idempotencyOwner = null;
+  try {
+    // throws a MarketingApiConfigError if the storage backend is not valid
+    storage = getStorage(requestId);
+    const requestPayload = req.query;
+    console.log(getLogMessage(req, res, requestId, null, INFO, `Request payload`, { requestPayload: sanitizeUrlQueryParams(requestPayload) }));
+
+    // authenticate the caller before reading the manifest, so an unauthenticated request cannot trigger the alert of an invalid manifest;
+    // the (deprecated) API key is checked against prod's
+    const caller = await authorizeRequest(req, res, requestId, { environment: SFDC_ENVIRONMENT_PROD, scopes: [SCHEDULER_RUN_SCOPE] });
+    // throws a MarketingApiConfigError if the manifest is not valid
+    const schedule = getSchedule();
+    checkScopes(caller, [...new Set(schedule.flatMap(({requestType, environment}) => getReportScopes(requestType, environment)))]);
+    const dryRun = isTrueParam(requestPayload.dryRun);
+
+    // a repeat of an idempotent request gets the stored response of its first run (see ../utils/idempotency.js)
+    const requestIdempotencyKey = getIdempotencyKey(req);
+    if (requestIdempotencyKey) {
+      const { replay, owner } = await claimIdempotencyKey(storage, requestIdempotencyKey, { requestId, fingerprint: getRequestFingerprint('scheduler', requestPayload) });
+      if (replay) {
+        console.log(getLogMessage(req, res, requestId, null, INFO, `Idempotency-Key already used: responding with the stored response`));
+        res.setHeader(IDEMPOTENT_REPLAYED_HEADER, 'true');
+        res.status(replay.statusCode).send(replay.body);
+        return;
+      }
+      idempotencyKey = requestIdempotencyKey;
+      idempotencyOwner = owner;
+    }
+
+    // one report at a time: they share the request's time budget (see ../utils/http.js), and a report's failure must not stop the others
+    let summary = [];
+    for (const entry of schedule) {
+      summary.push(await runScheduledReport(req, res, requestId, storage, entry, dryRun));
+    }
+    const failedCount = summary.filter(({status}) => status === RUN_STATUS_ERROR).length;
+    console.log(getLogMessage(req, res, requestId, null, INFO,
+      `Scheduled reports: [${schedule.length}], run [${summary.filter(({due}) => due).length}], failed [${failedCount}]`, { summary }));
+
+    const body = {
+      success: !failedCount,
+      dryRun,
+      summary,
+    };
+    if (idempotencyKey) {
+      await saveIdempotentResponse(storage, idempotencyKey, { statusCode: 200, body }, requestId);
+    }
+    res.status(200).send(body);
+  } catch (err) {
+    if (idempotencyKey) {
+      await releaseIdempotencyKey(storage, idempotencyKey, idempotencyOwner, requestId);
+    }
+    handleApiError(err, requestId, req, res);
+  }
+}
+
+/**
+ * Run the scheduled report if it is due (or resume its bulk query job); never throws: a failure is alerted and summarized
+ */
+async function runScheduledReport(req, res, requestId, storage, entry, dryRun) {
+  const { requestType, environment, cadence, outputMode, bulk } = entry;
+  const report = getReportDefinition(requestType);
+  const notifications = getScheduleNotifications(report, entry);
+  let summary = { requestType, environment, due: false, status: SCHEDULE_STATUS_NOT_DUE, window: null, recordCounts: null, delivery: null, bulkJobId: null, error: null };
+  try {
+    const bulkJobId = bulk ? await getPendingBulkJobId(storage, requestType, environment) : null;
+    const { due, previousRunDateTime, nextPreviousRunDateTime } = await isReportDue(storage, entry);
+    summary.window = { previousRunDateTime, nextPreviousRunDateTime };
+    if (!due && !bulkJobId) {
+      console.log(getLogMessage(req, res, requestId, null, INFO, `${requestType} is not due: its checkpoint is ${previousRunDateTime}`));
+      return summary;
+    }
+    summary.due = true;
+    const result = await runReport(req, res, requestId, { requestType, environment, outputMode, dryRun, cadence, notifications, bulk, bulkJobId });
+    return {
+      ...summary,
+      status: result.done ? RUN_STATUS_SUCCESS : RUN_STATUS_PENDING,
+      window: result.window,
+      recordCounts: result.recordCounts ? getRunRecordCounts(result.recordCounts, report.uniqueRecordsStep, result.reportOutput.rows.length) : null,
+      delivery: result.delivery,
+      bulkJobId: result.bulkJob?.jobId ?? null,
+    };
+  }
+  catch (err) {
+    const policy = getErrorPolicy(err);
+    const { error, message } = getErrorBody(err, requestId);
+    console.log(getLogMessage(req, res, requestId, null, policy.severity, `Exception caught running the scheduled ${requestType} report`, { error: err }));
+    if (policy.notify) {
+      await alertError(err, requestId, req, res, `${sanitizeRequestUrl(req.url)} ${requestType}`, notifications, policy.severity);
+    }
+    return { ...summary, status: RUN_STATUS_ERROR, error: { name: error, message, statusCode: policy.statusCode } };
+  }
+}
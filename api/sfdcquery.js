@@ -1,27 +1,61 @@
 /**
  * Query SFDC:
- * 1. Authenticate to get access_token
- * 2. Query Salesforce
+ * 0. Authorize the caller: `Authorization: Bearer <jwt>` header with the report's scopes (see ../utils/auth.js)
+ * 1. Authenticate to get access_token (see ../utils/sfdcclient.js)
+ * 2. Query Salesforce using the report definition for the `requestType` URL query param (see ../utils/reports.js)
+ *
+ * The query window runs from the report's last checkpoint (see ../utils/storage.js) to the last boundary of the report's cadence (midnight in the
+ * business time zone, see ../utils/datewindow.js); to re-run a past period (backfill) without advancing
+ * the checkpoint, pass the ISO-8601 `startDateTime` (and optionally `endDateTime`) URL query params (see ../utils/datewindow.js)
+ *
+ * To preview a report, pass `dryRun=true`: the response has the SOQL, window, record counts at each post processing step and the
+ * report (CSV and JSON); the report is not sent, and neither the checkpoint nor the conversion ledger is updated
+ *
+ * Reports with a conversion ledger (see ../utils/conversionledger.js) only report the conversions that are new or moved to a
+ * later stage since they were last reported, so overlapping or backfilled windows do not report a conversion twice
+ *
+ * The report is sent as attachment(s) to the report's notification channels (see ../utils/notifier.js); to also get the
+ * report itself in the response, pass `format=csv|json|ndjson`
+ *
+ * For extracts too large for the REST query endpoint (eg, a full year backfill), pass `bulk=true` to run the query as an SFDC Bulk API 2.0
+ * query job (see bulkQuery() in ../utils/sfdcclient.js) over the whole window; if the job is still running when the request's time
+ * budget is spent, the response is http status 202 with the job ID, and a later request with `bulkJobId=<job ID>` resumes the job
+ * (same report, window and query) and delivers its report
+ *
+ * Overlapping runs of a report (eg, the cron fires twice) are stopped by the report's lock: the later run fails with http status 409
+ * (see ../utils/runlock.js). To safely retry a request, send an `Idempotency-Key: <unique key>` header: a repeat of the request
+ * with the same key gets the response of the first run instead of running the report again (see ../utils/idempotency.js)
+ *
+ * Every authorized, valid run writes an audit record: window, record counts, delivery status, duration and error (see ../utils/runs.js)
  */
-import '../utils/config';
-import axios from 'axios';
-import url from 'url';
-import { Parser } from '@json2csv/plainjs';
-import ArtuFirebaseRealTimeDatabase from '../utils/artufirebaserealtimedatabase';
+import { getEnvironment } from '../utils/config';
+import {
+  getFormat,
+  getReportDefinition,
+  getReportFilename,
+  toCsv,
+} from '../utils/reports';
+import { runReport } from '../utils/reportrunner';
+import { getStorage } from '../utils/storage';
+import {
+  claimIdempotencyKey,
+  getIdempotencyKey,
+  getRequestFingerprint,
+  releaseIdempotencyKey,
+  saveIdempotentResponse,
+  IDEMPOTENT_REPLAYED_HEADER,
+} from '../utils/idempotency';
+import {
+  authorizeRequest,
+  getReportScopes,
+} from '../utils/auth';
 import {  
   getLogMessage,
   getRequestId,
   handleApiError,
-  MarketingApiAuthorizationError,
+  isTrueParam,
   sanitizeUrlQueryParams,
-  sanitizeRequestUrl,
-  sendEmail,
-  AUTHORIZATION,
   INFO,
-  MASKED_FOR_SECURITY,
-  WARNING,
-  ERROR,
-  NA,
 } from "../utils/common";
 
 /* 
@@ -36,7 +70,7 @@ module.exports = async (req, res) => {
 
    /* handle CORS requests; if sent by browser, the browser sends thge 'OPTIONS' method request */
    const headers = {
-    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, Idempotency-Key',
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET,HEAD,PUT,PATCH,POST,DELETE',
     'Content-Type': 'application/json'
@@ -49,16 +83,16 @@ module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'Origin, X-Requested-With, Content-Type, Accept'
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key'
   );
 
   const requestId = getRequestId();
+  let report = null;
+  // claimed Idempotency-Key of the request and the claim's owner token (released if the request fails, so a repeat runs again)
+  let idempotencyKey = null;
+  let idempotencyOwner = null;
+  let storage = null;
   try {
-    
-    const rootElementName = 'GoogleSearchPaidAdsReportRunDates';
-    const childKey = 'lastRunDateTimes';
-    let allRunDateTimes = null;
-    let nextPreviousRunDateTime = null;
 
     /* 
      * --- NOTE:  this API receives a GET request (so can easily run in cron job) so all parameters are in query string ---
@@ -66,200 +100,108 @@ module.exports = async (req, res) => {
     // req.query is an object representing the key/values in the url query string (ie, URL query params)
     const requestPayload = req.query; 
     let requestPayloadForLog = sanitizeUrlQueryParams(requestPayload);
-    console.log(getLogMessage(req, res, requestId, null, INFO, `Request payload: ${JSON.stringify(requestPayloadForLog)}`));
-
-    // determine if using uat or prod SFDC
-    const isUAT = requestPayload.sfdcEnvironment && (requestPayload.sfdcEnvironment === 'uat') ? true : false;
-    //console.log(`\n\n*** SVU: requestPayload.sfdcEnvironment, isUAT: ${requestPayload.sfdcEnvironment} | ${isUAT}\n\n`);
-
-    const marketingApiKey = isUAT ? process.env.MARKETING_API_KEY_UAT : process.env.MARKETING_API_KEY;
-
-    if (requestPayload[AUTHORIZATION] === marketingApiKey) {
-      /*----------------------
-       * get SFDC access_token
-       *----------------------*/
-      // set payload for x-www-form-urlencoded content type: https://axios-http.com/docs/urlencoded
-      const params = new url.URLSearchParams({
-        username: isUAT ? process.env.SFDC_USERNAME_UAT : process.env.SFDC_USERNAME,
-        password: isUAT ? process.env.SFDC_PASSWORD_UAT : process.env.SFDC_PASSWORD,
-        grant_type: isUAT ? process.env.SFDC_GRANT_TYPE_UAT : process.env.SFDC_GRANT_TYPE,
-        client_id: isUAT ? process.env.SFDC_CLIENT_ID_UAT : process.env.SFDC_CLIENT_ID,
-        client_secret: isUAT ? process.env.SFDC_CLIENT_SECRET_UAT : process.env.SFDC_CLIENT_SECRET
-      });
-
-      const oAuthResponse = await axios({
-        url: isUAT ? process.env.SFDC_OAUTH_URL_UAT : process.env.SFDC_OAUTH_URL,
-        method: 'post',
-        headers: {
-          'content-type': 'application/x-www-form-urlencoded'
-        },
-        data: params.toString()
-      }); 
-
-      // proceed only with 2xx http status code
-      if (String(oAuthResponse.status).match(/^2\d+/)) {
-
-        const {access_token: accessToken, instance_url: apiBaseUrl, token_type: tokenType } = oAuthResponse.data;
-
-        /*----------------------------------------------------
-         * use appropriate query based on request type
-         *----------------------------------------------------*/
-        const requestType = requestPayload.requestType;
-        
-        let apiUrl = null;
-        let apiPayload = null;
-        let apiMethod = 'GET';
-        let apiHeaders = {
-          AUTHORIZATION: `${tokenType} ${accessToken}`
-        };
-
-        // get datetime filter for the query
-        const artuFirebaseRtdb = new ArtuFirebaseRealTimeDatabase(requestId);
-        allRunDateTimes = await getRunDateTimes(artuFirebaseRtdb, rootElementName, childKey);
-        const previousRunDateTime = allRunDateTimes[(allRunDateTimes.length - 1)];
-        nextPreviousRunDateTime = getNextPreviousRunDateTime();
-
-        // --- Google Search (GS) Ads Conversions ---
-        if (requestType === 'googleSearchAdsConversions') {
-          apiUrl = `${apiBaseUrl}/services/data/v52.0/query/`;
-          const query = `
-          SELECT 
-            Id, URL_GCLID__c, Opportunity__c, Email__c, Marketing_Code__c, URL_Details__c, Advertising_Source__c, CreatedDate, Opportunity__r.StageName, Opportunity__r.Application_Date__c
-          FROM
-            Lead_Post__c 
-          WHERE 
-            URL_GCLID__c != null 
-            AND Opportunity__c != null
-            AND Opportunity__r.Application_Date__c != null
-            AND CreatedDate > ${previousRunDateTime}
-            AND CreatedDate < ${nextPreviousRunDateTime}
-            AND First_Name__c != 'AAUTest'
-          ORDER BY 
-            Opportunity__r.Application_Date__c DESC
-          `
-          apiPayload = {
-            q: query
-          }
-        }
-
-        console.log(getLogMessage(req, res, requestId, apiMethod, INFO, `Request to SFDC using ${apiUrl} with payload: ${JSON.stringify(apiPayload)}`));
-
-        // --- make the API request ---
-        const apiResponse = await axios({
-          url: apiUrl,
-          method: apiMethod,
-          headers: apiHeaders,
-          // GET method requests send payload in `params` property (vs. `data` property for POST requests): https://axios-http.com/docs/req_config
-          params: apiPayload,
-        });
-
-        console.log(getLogMessage(req, res, requestId, null, INFO, `Response from SFDC endpoint ${apiUrl}: ${JSON.stringify(apiResponse.data)}`));
-
-        // --- post process the dataset if needed ---
-        if (requestType === 'googleSearchAdsConversions') {
-            const queryResults = apiResponse.data;
-            let emailMsg = null;
-            if (queryResults.totalSize) {
-              let uniqueOpportunities = [];
-              // keep only unique records (based on Opportunity ID) since an applicant can have multiple LeadPost records
-              // (eg, applicant can have multiple LeadPost records -- Marketing Code (Comm key 4) = MMI, OLAP -- but associated with just one Opportunity ID)
-              //
-              // also, a lead can also apply manually (ie, not use OLAP), in which case, they may have an MMI LeadPost with Google Click ID, but an OLAP w/o a Google CLick ID 
-              // (ie, AOS manually creates OLAP LeadPost but doesn't populate gclid)
-              let uniqueConversions = queryResults['records'].filter((queryResult) => {
-                let opportunityId = queryResult['Opportunity__c'];
-                if (uniqueOpportunities.includes(opportunityId)) {
-                  //console.log(`*** SVU: Found duplicate Opp ID: ${opportunityId}`);
-                  return false;
-                }
-                uniqueOpportunities.push(opportunityId);
-                return true;
-              })
-
-              // throw out any records that came from Mantra's get started forms (eg, applicant intially entered Salesforce before TouchPoint took over but only recently applied)
-              let finalData = uniqueConversions.filter((conversion) => {
-                const url = conversion['URL_Details__c'];
-                if (url.match(/https?:\/\/getstarted\./i)) {
-                  //console.log(`*** SVU: Found Mantra lead: ${conversion['URL_GCLID__c']} | ${conversion['CreatedDate']} | ${conversion['Opportunity__r']['Application_Date__c']} | ${url}`);
-                  return false;
-                }
-                return true;
-              });
-              console.log(getLogMessage(req, res, requestId, null, INFO, 
-                `Number of query records [${queryResults['records'].length}], unique Opportunities [${uniqueConversions.length}], final data [${finalData.length}]`));
-
-              // convert JSON to CSV:
-              // 1. github: https://github.com/juanjoDiaz/json2csv
-              // 2. docs: https://juanjodiaz.github.io/json2csv/#/
-              // 3. customize data selection: https://juanjodiaz.github.io/json2csv/#/advanced-options/data-selection
-              const opts = {fields: [
-                {
-                  value: 'URL_GCLID__c',
-                  label: 'Google Click ID',
-                  default: ''
-                },
-                {
-                  value: 'Opportunity__r.StageName',
-                  label: 'Stage Name',
-                  default: ''
-                },
-                {
-                  value: 'Opportunity__r.Application_Date__c',
-                  label: 'Application Date',
-                  default: ''
-
-                }
-              ]};
-              const parser = new Parser(opts);
-              const csv = parser.parse(uniqueConversions);
-              emailMsg = csv;
-            }
-            else {
-              emailMsg = `No conversions for this run`;
-              console.log(getLogMessage(req, res, requestId, null, INFO, emailMsg));
-            }
-            await sendEmail(req, res, requestId, 'svu@academyart.edu', 'stevedvu@gmail.com', 
-              `[Academy of Art University] Google Search Paid Ads conversion report: ${previousRunDateTime} - ${nextPreviousRunDateTime}`, 
-              emailMsg);
-        }
-        await setNextPreviousRunDateTime(artuFirebaseRtdb, rootElementName, childKey, allRunDateTimes, nextPreviousRunDateTime);
-        res.status(200).send({success: true})
-
-        await res.status(apiResponse.status).send(apiResponse.data);
-      }
-      else {
-        throw new MarketingApiAuthorizationError(`Authorization failed for sfdc oAuth endpoint ${process.env.SFDC_OAUTH_URL}`);
+    console.log(getLogMessage(req, res, requestId, null, INFO, `Request payload`, { requestPayload: requestPayloadForLog }));
+
+    // SFDC environment profile, eg, prod or uat (see ../utils/config.js); an unknown environment fails with http status 400
+    const environment = getEnvironment(requestPayload.sfdcEnvironment);
+    const requestType = requestPayload.requestType;
+
+    // the caller must be allowed to run the report against the environment (see ../utils/auth.js)
+    await authorizeRequest(req, res, requestId, { environment, scopes: getReportScopes(requestType, environment) });
+
+    // look up the report definition first so an unknown request type fails fast (http status 400) before calling SFDC
+    report = getReportDefinition(requestType);
+    // respond with the report itself in this format (csv, json, ndjson) instead of a JSON status
+    const format = requestPayload.format || null;
+    if (format) { getFormat(format); }
+
+    // a repeat of an idempotent request gets the stored response of its first run (see ../utils/idempotency.js)
+    const requestIdempotencyKey = getIdempotencyKey(req);
+    if (requestIdempotencyKey) {
+      storage = getStorage(requestId);
+      const { replay, owner } = await claimIdempotencyKey(storage, requestIdempotencyKey, { requestId, fingerprint: getRequestFingerprint('sfdcquery', requestPayload) });
+      if (replay) {
+        console.log(getLogMessage(req, res, requestId, null, INFO, `Idempotency-Key already used: responding with the stored response`));
+        sendResponse(res, { ...replay, headers: { ...replay.headers, [IDEMPOTENT_REPLAYED_HEADER]: 'true' } });
+        return;
       }
+      idempotencyKey = requestIdempotencyKey;
+      idempotencyOwner = owner;
     }
-    else {
-      throw new MarketingApiAuthorizationError(`Authorization failed for sfdcquery endpoint ${sanitizeRequestUrl(req.url)}`);
+
+    // run the report (see ../utils/reportrunner.js); dry run (preview): respond with the query, window, record counts and report
+    // instead of emailing it and advancing the checkpoint
+    const result = await runReport(req, res, requestId, {
+      requestType,
+      environment,
+      outputMode: requestPayload.outputMode,
+      dryRun: isTrueParam(requestPayload.dryRun),
+      backfill: { startDateTime: requestPayload.startDateTime, endDateTime: requestPayload.endDateTime },
+      // run the query as an SFDC Bulk API query job (or resume the job of an earlier request)
+      bulk: isTrueParam(requestPayload.bulk),
+      bulkJobId: requestPayload.bulkJobId || null,
+    });
+
+    const response = getResponse(result, format);
+    if (idempotencyKey) {
+      await saveIdempotentResponse(storage, idempotencyKey, response, requestId);
     }
+    sendResponse(res, response);
   } catch (err) {
-    handleApiError(err, requestId, req, res);
+    if (idempotencyKey) {
+      await releaseIdempotencyKey(storage, idempotencyKey, idempotencyOwner, requestId);
+    }
+    handleApiError(err, requestId, req, res, report?.notifications);
   }
 };
 
 
-async function getRunDateTimes(artuFirebaseRtdb, rootElementName, childKey) {
-  const allRunDateTimes = await artuFirebaseRtdb.readData(rootElementName, null);
-  if (!allRunDateTimes) {
-    return ['2022-11-22T23:59:59.999Z'];
+/**
+ * Response of the report run: {statusCode, headers, body}
+ *  - 202 with the bulk query job, if the job is still running
+ *  - the report in the format (csv, json, ndjson), if the request has one
+ *  - the preview, for a dry run
+ */
+function getResponse(result, format) {
+  const { requestType } = result;
+  if (!result.done) {
+    return { statusCode: 202, headers: {}, body: { success: true, done: false, requestType, window: result.window, bulkJob: result.bulkJob } };
   }
-  else {
-    return allRunDateTimes[childKey];
+  if (format) {
+    const { contentType, serialize } = getFormat(format);
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `inline; filename="${getReportFilename(requestType, result.window, format)}"`,
+      },
+      body: serialize(result.reportOutput),
+    };
   }
+  if (result.dryRun) {
+    return {
+      statusCode: 200,
+      headers: {},
+      body: {
+        success: true,
+        dryRun: true,
+        requestType,
+        outputMode: result.outputMode,
+        backfill: result.backfill,
+        ...(result.bulkJob && { bulkJobId: result.bulkJob.jobId }),
+        window: result.window,
+        queryWindows: result.queryWindows,
+        queries: result.queries,
+        recordCounts: result.recordCounts,
+        csv: toCsv(result.reportOutput),
+        data: result.reportOutput.rows,
+      },
+    };
+  }
+  return { statusCode: 200, headers: {}, body: { success: true } };
 }
 
-function getNextPreviousRunDateTime() {
-  const now = new Date();
-  return `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}T00:00:00.000Z`;
-}
-
-async function setNextPreviousRunDateTime(artuFirebaseRtdb, rootElementName, childKey, allRunDateTimes, nextPreviousRunDateTime) {
-  const newRunDateTimes = [...allRunDateTimes];
-  newRunDateTimes.push(nextPreviousRunDateTime);
-  const dataObj = {
-    [childKey]: newRunDateTimes
-  }
-  await artuFirebaseRtdb.createData(rootElementName, null, dataObj);
+function sendResponse(res, { statusCode, headers, body }) {
+  Object.entries(headers ?? {}).forEach(([name, value]) => res.setHeader(name, value));
+  res.status(statusCode).send(body);
 }
@@ -0,0 +1,31 @@
+/**
+ * Configuration (see ../utils/config.js)
+ */
+import {
+  describeConfig,
+  getConfig,
+  CONFIG_CLICK_IDS,
+} from '../utils/config';
+
+afterEach(() => {
+  delete process.env.META_CLICK_ID_FIELD;
+});
+
+test('an invalid value fails the section', () => {
+  process.env.META_CLICK_ID_FIELD = "x' OR Id != null";
+
+  expect(() => getConfig(CONFIG_CLICK_IDS)).toThrow(`Invalid META_CLICK_ID_FIELD: Invalid SFDC field name`);
+});
+
+test('the config description reports an invalid value in its key', () => {
+  process.env.META_CLICK_ID_FIELD = "x' OR Id != null";
+  const { sections } = describeConfig();
+
+  expect(sections.clickIds.values.meta).toEqual({
+    env: 'META_CLICK_ID_FIELD',
+    value: null,
+    error: `Invalid META_CLICK_ID_FIELD: Invalid SFDC field name 'x' OR Id != null'`,
+  });
+  expect(sections.clickIds.values.googleAds).toEqual({ env: 'GOOGLE_ADS_CLICK_ID_FIELD', value: 'URL_GCLID__c' });
+  expect(sections.clickIds.missing).toEqual([]);
+});
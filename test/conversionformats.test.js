@@ -0,0 +1,105 @@
+/**
+ * Offline conversion upload formats (see ../utils/conversionformats.js)
+ */
+import {
+  getMetaFbc,
+  getUnixTime,
+  hashEmail,
+  normalizeEmail,
+  toGoogleAdsOfflineConversions,
+  toMetaOfflineConversions,
+  toMicrosoftAdsOfflineConversions,
+  ANY_STAGE,
+} from '../utils/conversionformats';
+import leadPosts from './fixtures/leadposts.json';
+
+const CONVERSION_ACTIONS = {
+  Application: { name: 'SFDC Application', value: 1 },
+  Enrolled: { name: 'SFDC Enrollment', value: 10 },
+};
+
+const records = leadPosts.records.map((record) => ({
+  ...record,
+  URL_MSCLKID__c: record.URL_GCLID__c.replace('Cj0KCQiA-gclid', 'msclkid'),
+  URL_FBCLID__c: record.URL_GCLID__c.replace('Cj0KCQiA-gclid', 'IwAR-fbclid'),
+}));
+
+test('Google Ads offline conversions', () => {
+  const { fields, rows, preamble, skippedCount } = toGoogleAdsOfflineConversions(records.slice(3, 5), { conversionActions: CONVERSION_ACTIONS });
+
+  expect(preamble).toBe('Parameters:TimeZone=America/Los_Angeles');
+  expect(fields[0]).toBe('Google Click ID');
+  expect(rows).toEqual([
+    { 'Google Click ID': 'Cj0KCQiA-gclid-3', 'Conversion Name': 'SFDC Application', 'Conversion Time': '2023-03-03 00:00:00', 'Conversion Value': 1, 'Conversion Currency': 'USD' },
+    { 'Google Click ID': 'Cj0KCQiA-gclid-4', 'Conversion Name': 'SFDC Enrollment', 'Conversion Time': '2023-03-04 00:00:00', 'Conversion Value': 10, 'Conversion Currency': 'USD' },
+  ]);
+  expect(skippedCount).toBe(0);
+});
+
+test('Microsoft Advertising offline conversions', () => {
+  const { fields, rows, preamble } = toMicrosoftAdsOfflineConversions(records.slice(0, 1), { conversionActions: CONVERSION_ACTIONS, timeZone: 'UTC' });
+
+  expect(preamble).toBe('Parameters:TimeZone=UTC');
+  expect(fields).toEqual(['Microsoft Click ID', 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency']);
+  expect(rows[0]['Microsoft Click ID']).toBe('msclkid-1');
+});
+
+test('Meta offline events', () => {
+  const { fields, rows, preamble } = toMetaOfflineConversions(records.slice(0, 1), { conversionActions: { [ANY_STAGE]: { name: 'SubmitApplication', value: 1 } } });
+
+  expect(preamble).toBeNull();
+  expect(fields).toEqual(['event_name', 'event_time', 'event_id', 'fbc', 'value', 'currency', 'action_source']);
+  expect(rows).toEqual([{
+    'event_name': 'SubmitApplication',
+    // 2023-03-02 00:00:00 America/Los_Angeles
+    'event_time': 1677744000,
+    'event_id': '0065f00000OPP01AAA_SubmitApplication',
+    'fbc': 'fb.1.1677777300000.IwAR-fbclid-1',
+    'value': 1,
+    'currency': 'USD',
+    'action_source': 'system_generated',
+  }]);
+});
+
+test('records whose stage has no conversion action are left out', () => {
+  const { rows, skippedCount } = toMetaOfflineConversions(records, { conversionActions: { Enrolled: { name: 'Purchase' } } });
+
+  expect(rows).toHaveLength(1);
+  expect(skippedCount).toBe(5);
+});
+
+test('unix time of SFDC date and datetime values', () => {
+  expect(getUnixTime('2023-07-04', 'America/Los_Angeles')).toBe(Date.parse('2023-07-04T07:00:00Z') / 1000);
+  expect(getUnixTime('2023-03-02T17:15:00.000+0000')).toBe(Date.parse('2023-03-02T17:15:00Z') / 1000);
+  expect(getUnixTime(null)).toBeNull();
+});
+
+test('Meta fbc', () => {
+  expect(getMetaFbc('IwAR-x', '2023-03-02T17:15:00.000+0000')).toBe('fb.1.1677777300000.IwAR-x');
+});
+
+describe('enhanced conversions emails', () => {
+  test('normalized: trimmed, lowercased, and without the dots in the local part of Gmail addresses', () => {
+    expect(normalizeEmail('  Jane.Doe@Example.com ')).toBe('jane.doe@example.com');
+    expect(normalizeEmail('Jane.Doe+ads@GMAIL.com')).toBe('janedoe+ads@gmail.com');
+    expect(normalizeEmail('j.a.n.e@googlemail.com')).toBe('jane@googlemail.com');
+    expect(normalizeEmail('')).toBeNull();
+    expect(normalizeEmail(null)).toBeNull();
+  });
+
+  test('hashed with SHA-256 (hex)', () => {
+    expect(hashEmail(' Jane.Doe@example.com')).toBe('86e0b9e56c17cc4d12387e1949b85053fbe73bc3ce5a1188713a9d300cc6133d');
+    expect(hashEmail('jane.doe@gmail.com')).toBe(hashEmail('JANEDOE@gmail.com'));
+    expect(hashEmail(undefined)).toBeNull();
+  });
+
+  test('Google Ads offline conversions with the hashed email column', () => {
+    const { fields, rows } = toGoogleAdsOfflineConversions([{ ...records[0], Hashed_Email: 'abc123' }], {
+      conversionActions: CONVERSION_ACTIONS,
+      hashedEmailField: 'Hashed_Email',
+    });
+
+    expect(fields).toEqual(['Google Click ID', 'Email', 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency']);
+    expect(rows[0]).toMatchObject({ 'Google Click ID': 'Cj0KCQiA-gclid-1', 'Email': 'abc123' });
+  });
+});
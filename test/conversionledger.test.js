@@ -0,0 +1,113 @@
+/**
+ * Conversion ledger (see ../utils/conversionledger.js)
+ */
+import MemoryStorage from '../utils/memorystorage';
+import {
+  filterLedgerRecords,
+  getLedgerKey,
+  getStageRank,
+  updateLedger,
+  LEDGER_READ_BATCH_SIZE,
+  LEDGER_ROOT_ELEMENT_NAME,
+  UNKNOWN_STAGE_RANK,
+} from '../utils/conversionledger';
+
+const REQUEST_TYPE = 'testConversions';
+const ENVIRONMENT = 'prod';
+const LEDGER_CONFIG = { clickIdField: 'URL_GCLID__c', stages: ['Application', 'Accepted', 'Enrolled'] };
+
+function getRecord(opportunityId, gclid, stageName) {
+  return { Opportunity__c: opportunityId, URL_GCLID__c: gclid, Opportunity__r: { StageName: stageName } };
+}
+
+let storage = null;
+
+beforeEach(() => {
+  MemoryStorage.clear();
+  storage = new MemoryStorage('test');
+});
+
+test('ledger keys are valid storage path segments', () => {
+  expect(getLedgerKey('0065f00000OPP01AAA', 'Cj0.KC/Q_iA-x')).toBe('0065f00000OPP01AAA_Cj0%2EKC%2FQ_iA-x');
+});
+
+test('stage rank', () => {
+  expect(getStageRank(LEDGER_CONFIG.stages, 'Accepted')).toBe(1);
+  expect(getStageRank(LEDGER_CONFIG.stages, 'Closed Lost')).toBe(UNKNOWN_STAGE_RANK);
+});
+
+test('new conversions, stage upgrades and conversions already reported', async () => {
+  await updateLedger(storage, ENVIRONMENT, REQUEST_TYPE, (await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, LEDGER_CONFIG, [
+    getRecord('opp1', 'gclid1', 'Application'),
+    getRecord('opp2', 'gclid2', 'Accepted'),
+  ])).entries, 'request1');
+
+  const result = await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, LEDGER_CONFIG, [
+    getRecord('opp1', 'gclid1', 'Enrolled'),
+    getRecord('opp2', 'gclid2', 'Application'),
+    getRecord('opp3', 'gclid3', 'Application'),
+    getRecord('opp3', 'gclid3', 'Application'),
+  ]);
+
+  expect(result.records.map(({Opportunity__c}) => Opportunity__c)).toEqual(['opp1', 'opp3']);
+  expect(result.newCount).toBe(1);
+  expect(result.upgradeCount).toBe(1);
+});
+
+test('the ledger entry has the stage and the run that exported it', async () => {
+  const { entries } = await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, LEDGER_CONFIG, [getRecord('opp1', 'gclid1', 'Accepted')]);
+  await updateLedger(storage, ENVIRONMENT, REQUEST_TYPE, entries, 'request1');
+
+  expect(await storage.readData(LEDGER_ROOT_ELEMENT_NAME, `${ENVIRONMENT}/${REQUEST_TYPE}/opp1_gclid1`)).toEqual({
+    opportunityId: 'opp1',
+    clickId: 'gclid1',
+    stage: 'Accepted',
+    stageRank: 1,
+    action: 'Accepted',
+    exportedAt: expect.any(String),
+    requestId: 'request1',
+  });
+});
+
+test('the ledger is per SFDC environment', async () => {
+  const records = [getRecord('opp1', 'gclid1', 'Application')];
+  await updateLedger(storage, 'uat', REQUEST_TYPE, (await filterLedgerRecords(storage, 'uat', REQUEST_TYPE, LEDGER_CONFIG, records)).entries, 'request1');
+
+  expect((await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, LEDGER_CONFIG, records)).newCount).toBe(1);
+  expect((await filterLedgerRecords(storage, 'uat', REQUEST_TYPE, LEDGER_CONFIG, records)).newCount).toBe(0);
+});
+
+test('a stage upgrade is reported only if it maps to another conversion action', async () => {
+  const ledgerConfig = { ...LEDGER_CONFIG, conversionActions: { '*': { name: 'SFDC Application' }, Enrolled: { name: 'SFDC Enrollment' } } };
+  await updateLedger(storage, ENVIRONMENT, REQUEST_TYPE, (await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, ledgerConfig, [
+    getRecord('opp1', 'gclid1', 'Application'),
+    getRecord('opp2', 'gclid2', 'Application'),
+  ])).entries, 'request1');
+
+  const result = await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, ledgerConfig, [
+    getRecord('opp1', 'gclid1', 'Accepted'),
+    getRecord('opp2', 'gclid2', 'Enrolled'),
+  ]);
+
+  expect(result.records.map(({Opportunity__c}) => Opportunity__c)).toEqual(['opp2']);
+  expect(result.entries[0].action).toBe('SFDC Enrollment');
+});
+
+test('the ledger entries are read in batches', async () => {
+  const records = Array.from({ length: LEDGER_READ_BATCH_SIZE * 2 + 1 }, (_, index) => getRecord(`opp${index}`, `gclid${index}`, 'Application'));
+  await updateLedger(storage, ENVIRONMENT, REQUEST_TYPE, (await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, LEDGER_CONFIG, records.slice(-1))).entries, 'request1');
+  let reading = 0;
+  let maxReading = 0;
+  const readData = storage.readData.bind(storage);
+  storage.readData = async (...args) => {
+    maxReading = Math.max(maxReading, ++reading);
+    const data = await readData(...args);
+    reading--;
+    return data;
+  };
+
+  const result = await filterLedgerRecords(storage, ENVIRONMENT, REQUEST_TYPE, LEDGER_CONFIG, records);
+
+  expect(result.newCount).toBe(LEDGER_READ_BATCH_SIZE * 2);
+  expect(maxReading).toBe(LEDGER_READ_BATCH_SIZE);
+});
@@ -0,0 +1,99 @@
+/**
+ * Query window boundaries (see ../utils/datewindow.js)
+ */
+import {
+  getBusinessTimeZone,
+  getNextPreviousRunDateTime,
+  getZonedMidnight,
+  toSoqlDateTime,
+} from '../utils/datewindow';
+import { MarketingApiConfigError } from '../utils/errors';
+
+const LOS_ANGELES = 'America/Los_Angeles';
+
+describe('toSoqlDateTime', () => {
+  test('zero pads the unpadded datetimes of old checkpoints', () => {
+    expect(toSoqlDateTime('2023-3-5T00:00:00.000Z')).toBe('2023-03-05T00:00:00.000Z');
+    expect(toSoqlDateTime('2023-11-22T23:59:59.999Z')).toBe('2023-11-22T23:59:59.999Z');
+  });
+
+  test('dates are UTC datetime literals', () => {
+    expect(toSoqlDateTime(new Date(Date.UTC(2023, 0, 9, 8)))).toBe('2023-01-09T08:00:00.000Z');
+  });
+});
+
+describe('getZonedMidnight', () => {
+  test('standard and daylight time', () => {
+    expect(getZonedMidnight(2023, 1, 15, LOS_ANGELES).toISOString()).toBe('2023-01-15T08:00:00.000Z');
+    expect(getZonedMidnight(2023, 7, 15, LOS_ANGELES).toISOString()).toBe('2023-07-15T07:00:00.000Z');
+  });
+
+  test('days the clocks change', () => {
+    // 2023-03-12 02:00 PST => 03:00 PDT; 2023-11-05 02:00 PDT => 01:00 PST: midnight is before the change
+    expect(getZonedMidnight(2023, 3, 12, LOS_ANGELES).toISOString()).toBe('2023-03-12T08:00:00.000Z');
+    expect(getZonedMidnight(2023, 3, 13, LOS_ANGELES).toISOString()).toBe('2023-03-13T07:00:00.000Z');
+    expect(getZonedMidnight(2023, 11, 5, LOS_ANGELES).toISOString()).toBe('2023-11-05T07:00:00.000Z');
+    expect(getZonedMidnight(2023, 11, 6, LOS_ANGELES).toISOString()).toBe('2023-11-06T08:00:00.000Z');
+  });
+
+  test('time zones without midnight on the day the clocks change', () => {
+    // 2022-09-11 00:00 America/Santiago => 01:00: the day starts at 01:00 -03
+    expect(getZonedMidnight(2022, 9, 11, 'America/Santiago').toISOString()).toBe('2022-09-11T04:00:00.000Z');
+  });
+});
+
+describe('getNextPreviousRunDateTime', () => {
+  test('daily: midnight today in the time zone', () => {
+    // 2023-03-05 06:00 UTC is still 2023-03-04 in Los Angeles
+    expect(getNextPreviousRunDateTime({ type: 'daily' }, new Date('2023-03-05T06:00:00.000Z'), LOS_ANGELES)).toBe('2023-03-04T08:00:00.000Z');
+    expect(getNextPreviousRunDateTime(undefined, new Date('2023-03-05T09:00:00.000Z'), LOS_ANGELES)).toBe('2023-03-05T08:00:00.000Z');
+    expect(getNextPreviousRunDateTime(undefined, new Date('2023-03-05T09:00:00.000Z'), 'UTC')).toBe('2023-03-05T00:00:00.000Z');
+  });
+
+  test('daily: across the DST changes', () => {
+    expect(getNextPreviousRunDateTime(undefined, new Date('2023-03-12T12:00:00.000Z'), LOS_ANGELES)).toBe('2023-03-12T08:00:00.000Z');
+    expect(getNextPreviousRunDateTime(undefined, new Date('2023-03-13T12:00:00.000Z'), LOS_ANGELES)).toBe('2023-03-13T07:00:00.000Z');
+    // 2023-11-05 23:30 PST (the day is 25 hours long)
+    expect(getNextPreviousRunDateTime(undefined, new Date('2023-11-06T07:30:00.000Z'), LOS_ANGELES)).toBe('2023-11-05T07:00:00.000Z');
+    expect(getNextPreviousRunDateTime(undefined, new Date('2023-11-06T08:00:00.000Z'), LOS_ANGELES)).toBe('2023-11-06T08:00:00.000Z');
+  });
+
+  test('weekly: midnight starting the last weekday', () => {
+    // Wednesday 2023-03-15 => Monday 2023-03-13 (after the DST change) and Sunday 2023-03-12 (before)
+    const now = new Date('2023-03-15T18:00:00.000Z');
+    expect(getNextPreviousRunDateTime({ type: 'weekly' }, now, LOS_ANGELES)).toBe('2023-03-13T07:00:00.000Z');
+    expect(getNextPreviousRunDateTime({ type: 'weekly', weekday: 0 }, now, LOS_ANGELES)).toBe('2023-03-12T08:00:00.000Z');
+    expect(getNextPreviousRunDateTime({ type: 'weekly', weekday: 3 }, now, LOS_ANGELES)).toBe('2023-03-15T07:00:00.000Z');
+  });
+
+  test('custom: every intervalDays days from the anchor date', () => {
+    const cadence = { type: 'custom', intervalDays: 3, anchorDate: '2023-03-01' };
+    expect(getNextPreviousRunDateTime(cadence, new Date('2023-03-06T18:00:00.000Z'), LOS_ANGELES)).toBe('2023-03-04T08:00:00.000Z');
+    expect(getNextPreviousRunDateTime(cadence, new Date('2023-03-13T18:00:00.000Z'), LOS_ANGELES)).toBe('2023-03-13T07:00:00.000Z');
+    // before the anchor date
+    expect(getNextPreviousRunDateTime(cadence, new Date('2023-02-27T18:00:00.000Z'), LOS_ANGELES)).toBe('2023-02-26T08:00:00.000Z');
+  });
+
+  test('invalid cadences', () => {
+    const now = new Date('2023-03-06T18:00:00.000Z');
+    expect(() => getNextPreviousRunDateTime({ type: 'hourly' }, now, LOS_ANGELES)).toThrow(MarketingApiConfigError);
+    expect(() => getNextPreviousRunDateTime({ type: 'weekly', weekday: 7 }, now, LOS_ANGELES)).toThrow(MarketingApiConfigError);
+    expect(() => getNextPreviousRunDateTime({ type: 'custom', intervalDays: 0, anchorDate: '2023-03-01' }, now, LOS_ANGELES)).toThrow(MarketingApiConfigError);
+    expect(() => getNextPreviousRunDateTime({ type: 'custom', intervalDays: 2, anchorDate: '2023-3-1' }, now, LOS_ANGELES)).toThrow(MarketingApiConfigError);
+  });
+});
+
+describe('getBusinessTimeZone', () => {
+  afterEach(() => {
+    delete process.env.BUSINESS_TIMEZONE;
+  });
+
+  test('defaults to Los Angeles', () => {
+    expect(getBusinessTimeZone()).toBe(LOS_ANGELES);
+  });
+
+  test('invalid time zone', () => {
+    process.env.BUSINESS_TIMEZONE = 'Mars/Olympus_Mons';
+    expect(() => getBusinessTimeZone()).toThrow(MarketingApiConfigError);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Test harness: invoke a Vercel handler (../api/*) with mock req/res objects
+ *
+ * Usage:
+ *    const { status, body } = await invokeHandler(sfdcquery, { query: { requestType: 'googleSearchAdsConversions', Authorization: API_KEY } });
+ */
+import jwt from 'jsonwebtoken';
+import MemoryStorage from '../utils/memorystorage';
+import SfdcClient from '../utils/sfdcclient';
+import { clearStubNotifications } from '../utils/notifier';
+
+export const API_KEY = 'test-api-key';
+
+/**
+ * Call the handler and resolve with the response once it is sent: {status, body, headers}
+ */
+export function invokeHandler(handler, { method = 'GET', url = '/', query = {}, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+      },
+      writeHead(statusCode, headers = {}) {
+        this.statusCode = statusCode;
+        Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+        return this;
+      },
+      status(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+      },
+      send(body) {
+        resolve({ status: this.statusCode, body, headers: this.headers });
+        return this;
+      },
+      json(body) {
+        return this.send(body);
+      },
+      end(body) {
+        return this.send(body);
+      },
+    };
+    const req = {
+      method,
+      url,
+      query,
+      headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+/**
+ * Bearer JWT signed with the test secret (MARKETING_API_JWT_SECRET, see ./setup.js)
+ */
+export function getBearerToken(scopes = [], subject = 'test-caller') {
+  return `Bearer ${jwt.sign({ scope: scopes.join(' ') }, process.env.MARKETING_API_JWT_SECRET, { subject, expiresIn: 300 })}`;
+}
+
+/**
+ * Reset the state the modules keep for the life of the (warm) serverless instance
+ */
+export function resetState() {
+  MemoryStorage.clear();
+  SfdcClient.clearTokenCache();
+  clearStubNotifications();
+}
@@ -0,0 +1,52 @@
+/**
+ * Outbound http call retries (see ../utils/http.js)
+ */
+import { isRetryableUnprocessedError, withRetry, HTTP_TIME_BUDGET_EXHAUSTED } from '../utils/http';
+
+const RETRY_OPTIONS = { maxRetries: 2, baseDelayMs: 0, timeBudgetMs: 10000 };
+
+function getHttpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+}
+
+function getNetworkError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+// fails with the errors, one per attempt, then succeeds
+function failWith(...errors) {
+  return jest.fn(async ({ attempt }) => {
+    if (attempt <= errors.length) {
+      throw errors[attempt - 1];
+    }
+    return 'ok';
+  });
+}
+
+describe('withRetry', () => {
+  test('retries the retryable errors', async () => {
+    const fn = failWith(getNetworkError('ECONNABORTED'), getHttpError(502));
+
+    expect(await withRetry(fn, RETRY_OPTIONS)).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('a call that is not idempotent is not retried if the server may have processed it', async () => {
+    const options = { ...RETRY_OPTIONS, isRetryable: isRetryableUnprocessedError };
+    for (const err of [getNetworkError('ECONNABORTED'), getNetworkError('ECONNRESET'), getHttpError(500), getHttpError(503)]) {
+      const fn = failWith(err);
+      await expect(withRetry(fn, options)).rejects.toBe(err);
+      expect(fn).toHaveBeenCalledTimes(1);
+    }
+
+    const fn = failWith(getNetworkError('ECONNREFUSED'), getHttpError(429), getHttpError(503, { 'retry-after': '0' }));
+    expect(await withRetry(fn, { ...options, maxRetries: 3 })).toBe('ok');
+  });
+
+  test('a call made once the time budget is used up fails at once', async () => {
+    const fn = failWith();
+
+    await expect(withRetry(fn, { ...RETRY_OPTIONS, timeBudgetMs: 0 })).rejects.toMatchObject({ code: HTTP_TIME_BUDGET_EXHAUSTED, attempts: 0 });
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Report run lock, idempotent requests and storage transactions (see ../utils/runlock.js, ../utils/idempotency.js and ../utils/memorystorage.js)
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MemoryStorage from '../utils/memorystorage';
+import FileStorage from '../utils/filestorage';
+import {
+  acquireReportLock,
+  getLockPath,
+  releaseReportLock,
+  LOCKS_ROOT_ELEMENT_NAME,
+} from '../utils/runlock';
+import {
+  claimIdempotencyKey,
+  getIdempotencyKey,
+  getRequestFingerprint,
+  releaseIdempotencyKey,
+  saveIdempotentResponse,
+  IDEMPOTENCY_ROOT_ELEMENT_NAME,
+} from '../utils/idempotency';
+
+const REQUEST_TYPE = 'testConversions';
+const ENVIRONMENT = 'prod';
+const KEY = 'retry-key/1.0';
+
+let storage = null;
+
+beforeEach(() => {
+  MemoryStorage.clear();
+  storage = new MemoryStorage('test');
+});
+
+describe('report lock', () => {
+  test('a run holds the lock until it releases it', async () => {
+    const lock = await acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-1');
+
+    expect(lock.requestId).toBe('run-1');
+    await expect(acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-2')).rejects.toMatchObject({ name: 'MarketingApiConflictError', owner: 'run-1' });
+    // the lock of another run is not released
+    await releaseReportLock(storage, ENVIRONMENT, REQUEST_TYPE, { owner: 'another-owner', requestId: 'run-2' });
+    await expect(acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-2')).rejects.toThrow('already running');
+
+    await releaseReportLock(storage, ENVIRONMENT, REQUEST_TYPE, lock);
+    expect(await storage.readData(LOCKS_ROOT_ELEMENT_NAME, getLockPath(ENVIRONMENT, REQUEST_TYPE))).toBeNull();
+    expect((await acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-2')).requestId).toBe('run-2');
+  });
+
+  test('runs with the same request ID do not share the lock', async () => {
+    const lock = await acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, '1678003200000');
+
+    await expect(acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, '1678003200000')).rejects.toThrow('already running');
+    expect(lock.owner).not.toBe('1678003200000');
+  });
+
+  test('the lock is per SFDC environment', async () => {
+    await acquireReportLock(storage, 'uat', REQUEST_TYPE, 'run-1');
+
+    expect((await acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-2')).requestId).toBe('run-2');
+  });
+
+  test('an expired lock is taken over', async () => {
+    await acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-1', -1);
+
+    expect((await acquireReportLock(storage, ENVIRONMENT, REQUEST_TYPE, 'run-2')).requestId).toBe('run-2');
+  });
+});
+
+describe('idempotency keys', () => {
+  const fingerprint = getRequestFingerprint('sfdcquery', { requestType: REQUEST_TYPE });
+
+  test('the header is optional, and limited in length', () => {
+    expect(getIdempotencyKey({ headers: {} })).toBeNull();
+    expect(getIdempotencyKey({ headers: { 'idempotency-key': ` ${KEY} ` } })).toBe(KEY);
+    expect(() => getIdempotencyKey({ headers: { 'idempotency-key': 'x'.repeat(256) } })).toThrow('at most 255 characters');
+  });
+
+  test('the fingerprint does not depend on the credentials or the param order', () => {
+    expect(getRequestFingerprint('sfdcquery', { dryRun: 'true', requestType: REQUEST_TYPE, Authorization: 'key-1' }))
+      .toBe(getRequestFingerprint('sfdcquery', { requestType: REQUEST_TYPE, dryRun: 'true', Authorization: 'key-2' }));
+    expect(getRequestFingerprint('scheduler', { requestType: REQUEST_TYPE })).not.toBe(fingerprint);
+  });
+
+  test('a repeat gets the stored response once the first request completes', async () => {
+    const { replay, owner } = await claimIdempotencyKey(storage, KEY, { requestId: 'request-1', fingerprint });
+    expect(replay).toBeNull();
+    await expect(claimIdempotencyKey(storage, KEY, { requestId: 'request-2', fingerprint }))
+      .rejects.toMatchObject({ name: 'MarketingApiConflictError', owner: 'request-1' });
+
+    const response = { statusCode: 200, headers: {}, body: { success: true } };
+    await saveIdempotentResponse(storage, KEY, response);
+    expect(await claimIdempotencyKey(storage, KEY, { requestId: 'request-2', fingerprint })).toEqual({ replay: response, owner: null });
+    // a completed request's key is not released
+    await releaseIdempotencyKey(storage, KEY, owner, 'request-1');
+    expect(await claimIdempotencyKey(storage, KEY, { requestId: 'request-3', fingerprint })).toEqual({ replay: response, owner: null });
+  });
+
+  test('a released key is claimed again', async () => {
+    const { owner } = await claimIdempotencyKey(storage, KEY, { requestId: 'request-1', fingerprint });
+    await releaseIdempotencyKey(storage, KEY, owner, 'request-1');
+
+    expect((await claimIdempotencyKey(storage, KEY, { requestId: 'request-2', fingerprint })).replay).toBeNull();
+  });
+
+  test('only the claim\'s owner releases the key, not another request with the same request ID', async () => {
+    await claimIdempotencyKey(storage, KEY, { requestId: '1678003200000', fingerprint });
+    await releaseIdempotencyKey(storage, KEY, 'another-owner', '1678003200000');
+
+    await expect(claimIdempotencyKey(storage, KEY, { requestId: '1678003200000', fingerprint })).rejects.toThrow('still running');
+  });
+
+  test('a claim deletes the expired keys', async () => {
+    process.env.IDEMPOTENCY_KEY_TTL_HOURS = '0.000001';
+    try {
+      await claimIdempotencyKey(storage, 'key-1', { requestId: 'request-1', fingerprint });
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      delete process.env.IDEMPOTENCY_KEY_TTL_HOURS;
+      await claimIdempotencyKey(storage, 'key-2', { requestId: 'request-2', fingerprint });
+
+      const entries = await storage.readData(IDEMPOTENCY_ROOT_ELEMENT_NAME);
+      expect(Object.values(entries).map(({requestId}) => requestId)).toEqual(['request-2']);
+    }
+    finally {
+      delete process.env.IDEMPOTENCY_KEY_TTL_HOURS;
+    }
+  });
+
+  test('an expired claim is taken over', async () => {
+    process.env.REPORT_LOCK_TTL_MS = '1';
+    try {
+      await claimIdempotencyKey(storage, KEY, { requestId: 'request-1', fingerprint });
+      await new Promise((resolve) => setTimeout(resolve, 5));
+
+      expect((await claimIdempotencyKey(storage, KEY, { requestId: 'request-2', fingerprint })).replay).toBeNull();
+    }
+    finally {
+      delete process.env.REPORT_LOCK_TTL_MS;
+    }
+  });
+
+  test('a key cannot be reused with other params', async () => {
+    await claimIdempotencyKey(storage, KEY, { requestId: 'request-1', fingerprint });
+
+    await expect(claimIdempotencyKey(storage, KEY, { requestId: 'request-2', fingerprint: getRequestFingerprint('sfdcquery', {}) }))
+      .rejects.toMatchObject({ name: 'MarketingApiValidationError' });
+  });
+});
+
+describe('file storage', () => {
+  const filePath = path.join(os.tmpdir(), `marketing-api-idempotency-test-${process.pid}.json`);
+
+  afterEach(async () => {
+    await fs.promises.rm(filePath, { force: true });
+  });
+
+  test('concurrent transactions do not overwrite each other', async () => {
+    const fileStorage = new FileStorage('test', filePath);
+    await Promise.all([1, 2, 3, 4, 5].map(() => fileStorage.transactionData('Counters', 'count', (count) => (count ?? 0) + 1)));
+
+    expect(await fileStorage.readData('Counters', 'count')).toBe(5);
+  });
+});
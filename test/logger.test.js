@@ -0,0 +1,31 @@
+/**
+ * Structured logging (see ../utils/logger.js)
+ */
+import { formatLogEntry, redact, MASKED_FOR_SECURITY } from '../utils/logger';
+
+test('the credentials are masked at any depth', () => {
+  expect(redact({ response: { access_token: 'at', refresh_token: 'rt', instance_url: 'https://example.my.salesforce.com' }, client_secret: 'cs' })).toEqual({
+    response: { access_token: MASKED_FOR_SECURITY, refresh_token: MASKED_FOR_SECURITY, instance_url: 'https://example.my.salesforce.com' },
+    client_secret: MASKED_FOR_SECURITY,
+  });
+});
+
+test('the storage keys and the lock context are not masked', () => {
+  const entry = JSON.parse(formatLogEntry({ level: 'INFO', source: 'test', message: 'Transaction committed', context: {
+    rootElementName: 'ReportLocks',
+    childKey: 'prod/googleSearchAdsConversions',
+    key: 'IdempotencyKeys/5ba9e',
+    data: { owner: '6f1c2e0a-2d4b-4f7e-9c61-0c5d7a1b9e42', token: 'lock-token' },
+  } }));
+
+  expect(entry.context).toEqual({
+    rootElementName: 'ReportLocks',
+    childKey: 'prod/googleSearchAdsConversions',
+    key: 'IdempotencyKeys/5ba9e',
+    data: { owner: '6f1c2e0a-2d4b-4f7e-9c61-0c5d7a1b9e42', token: 'lock-token' },
+  });
+});
+
+test('email addresses are masked in any string', () => {
+  expect(redact({ message: 'Report sent to marketing@example.com' })).toEqual({ message: `Report sent to ${MASKED_FOR_SECURITY}` });
+});
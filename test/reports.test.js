@@ -0,0 +1,150 @@
+/**
+ * Report post processing steps, queries and click ID report definitions (see ../utils/reports.js)
+ */
+import {
+  createClickIdReport,
+  excludeMantraLeads,
+  getLeadPostsQuery,
+  getStageChangesSince,
+  hashEmails,
+  keepUniqueOpportunities,
+  CLICK_ID_MICROSOFT_ADS,
+  HASHED_EMAIL_FIELD,
+  OUTPUT_MODE_STANDARD,
+} from '../utils/reports';
+import { ANY_STAGE } from '../utils/conversionformats';
+import { MarketingApiConfigError } from '../utils/errors';
+import leadPosts from './fixtures/leadposts.json';
+
+describe('keepUniqueOpportunities', () => {
+  test('keeps the first record of each opportunity', () => {
+    const records = keepUniqueOpportunities(leadPosts.records);
+
+    expect(records.map(({Id}) => Id)).toEqual(['a0X5f00000LP001AAA', 'a0X5f00000LP003AAA', 'a0X5f00000LP004AAA', 'a0X5f00000LP005AAA']);
+  });
+
+  test('no records', () => {
+    expect(keepUniqueOpportunities([])).toEqual([]);
+  });
+});
+
+describe('excludeMantraLeads', () => {
+  test('drops the records from the get started forms', () => {
+    const records = excludeMantraLeads(leadPosts.records);
+
+    expect(records).toHaveLength(5);
+    expect(records.map(({URL_Details__c}) => URL_Details__c)).not.toContain('https://getstarted.academyart.edu/form');
+  });
+
+  test('keeps the records without URL details', () => {
+    const records = [{ Id: 'a', URL_Details__c: null }, { Id: 'b' }, { Id: 'c', URL_Details__c: 'http://GETSTARTED.academyart.edu' }];
+
+    expect(excludeMantraLeads(records).map(({Id}) => Id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('hashEmails', () => {
+  test('replaces the raw email with its hash', () => {
+    const [record] = hashEmails(leadPosts.records);
+
+    expect(record).not.toHaveProperty('Email__c');
+    expect(record[HASHED_EMAIL_FIELD]).toBe('86e0b9e56c17cc4d12387e1949b85053fbe73bc3ce5a1188713a9d300cc6133d');
+    expect(record.Id).toBe('a0X5f00000LP001AAA');
+  });
+});
+
+describe('getLeadPostsQuery', () => {
+  const queryWindow = { previousRunDateTime: '2023-03-04T08:00:00.000Z', nextPreviousRunDateTime: '2023-03-05T08:00:00.000Z' };
+
+  afterEach(() => {
+    delete process.env.SFDC_TEST_RECORD_EXCLUSIONS;
+  });
+
+  test('leaves out the default test records', () => {
+    const query = getLeadPostsQuery('URL_GCLID__c', queryWindow);
+
+    expect(query).toMatch('URL_GCLID__c != null');
+    expect(query).toMatch('(CreatedDate > 2023-03-04T08:00:00.000Z AND CreatedDate < 2023-03-05T08:00:00.000Z)');
+    expect(query).toMatch(/ AND First_Name__c != 'AAUTest' ORDER BY /);
+  });
+
+  test('configurable test record exclusions', () => {
+    process.env.SFDC_TEST_RECORD_EXCLUSIONS = 'First_Name__c=AAUTest, Email__c=qa@academyart.edu,Last_Name__c=O\'Test';
+    const query = getLeadPostsQuery('URL_GCLID__c', queryWindow);
+
+    expect(query).toMatch('AND First_Name__c != \'AAUTest\' AND Email__c != \'qa@academyart.edu\' AND Last_Name__c != \'O\\\'Test\' ORDER BY');
+  });
+
+  test('invalid test record exclusions', () => {
+    process.env.SFDC_TEST_RECORD_EXCLUSIONS = 'First Name=AAUTest';
+
+    expect(() => getLeadPostsQuery('URL_GCLID__c', queryWindow)).toThrow(MarketingApiConfigError);
+  });
+});
+
+describe('getStageChangesSince', () => {
+  const STAGE_ACTIONS = { Application: { name: 'SFDC Application' }, Enrolled: { name: 'SFDC Enrolled' } };
+  const queryWindow = { previousRunDateTime: '2023-03-04T08:00:00.000Z', nextPreviousRunDateTime: '2023-03-05T08:00:00.000Z' };
+
+  afterEach(() => {
+    delete process.env.CONVERSION_LEDGER_START_DATE;
+  });
+
+  test('the stage changes are queried since the ledger start, if they map to another conversion action', () => {
+    process.env.CONVERSION_LEDGER_START_DATE = '2023-03-01';
+    const stageChangesSince = getStageChangesSince(STAGE_ACTIONS);
+    const query = getLeadPostsQuery('URL_GCLID__c', queryWindow, { stageChangesSince });
+
+    expect(stageChangesSince).toBe('2023-03-01T00:00:00.000Z');
+    expect(query).toMatch('OR ((Opportunity__r.LastModifiedDate > 2023-03-04T08:00:00.000Z AND Opportunity__r.LastModifiedDate < 2023-03-05T08:00:00.000Z) AND CreatedDate >= 2023-03-01T00:00:00.000Z))');
+  });
+
+  test('the stage changes are not queried without a ledger start, or if no stage change is reported', () => {
+    expect(getStageChangesSince(STAGE_ACTIONS)).toBeNull();
+    process.env.CONVERSION_LEDGER_START_DATE = '2023-03-01';
+    expect(getStageChangesSince({ [ANY_STAGE]: { name: 'SFDC Application' } })).toBeNull();
+    expect(getLeadPostsQuery('URL_GCLID__c', queryWindow)).not.toMatch('LastModifiedDate');
+  });
+
+  test('invalid ledger start', () => {
+    process.env.CONVERSION_LEDGER_START_DATE = 'March 1st';
+
+    expect(() => getStageChangesSince(STAGE_ACTIONS)).toThrow('Invalid CONVERSION_LEDGER_START_DATE');
+  });
+});
+
+describe('createClickIdReport', () => {
+  const toConversions = jest.fn(() => ({ fields: [], rows: [], preamble: null, skippedCount: 0 }));
+  const report = createClickIdReport({
+    platform: CLICK_ID_MICROSOFT_ADS,
+    clickIdLabel: 'Microsoft Click ID',
+    legacyCheckpointRootElementName: 'MicrosoftAdsReportRunDates',
+    conversionActions: { [ANY_STAGE]: { name: 'SFDC Application', value: 1 } },
+    toConversions,
+    conversionOutputModes: { offline: {}, enhanced: { hashedEmailField: HASHED_EMAIL_FIELD } },
+    envPrefix: 'MICROSOFT_ADS_CONVERSION',
+    defaultOutputMode: 'offline',
+    reportName: 'Microsoft Advertising conversion report',
+  });
+
+  afterEach(() => {
+    delete process.env.MICROSOFT_ADS_CONVERSION_CURRENCY;
+  });
+
+  test('the query, ledger and output modes use the platform\'s click ID field', () => {
+    process.env.MICROSOFT_ADS_CONVERSION_CURRENCY = 'EUR';
+    report.outputModes.enhanced([], report);
+
+    expect(Object.keys(report.outputModes)).toEqual([OUTPUT_MODE_STANDARD, 'offline', 'enhanced']);
+    expect(report.getQuery({ previousRunDateTime: '2023-03-04T08:00:00.000Z', nextPreviousRunDateTime: '2023-03-05T08:00:00.000Z' }))
+      .toMatch('URL_MSCLKID__c != null');
+    expect(report.ledger).toMatchObject({ clickIdField: 'URL_MSCLKID__c', conversionActions: report.conversionActions });
+    expect(report.csvFields[0]).toEqual({ value: 'URL_MSCLKID__c', label: 'Microsoft Click ID', default: '' });
+    expect(toConversions).toHaveBeenCalledWith([], expect.objectContaining({
+      clickIdField: 'URL_MSCLKID__c',
+      hashedEmailField: HASHED_EMAIL_FIELD,
+      conversionActions: report.conversionActions,
+      currency: 'EUR',
+    }));
+  });
+});
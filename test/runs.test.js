@@ -0,0 +1,64 @@
+/**
+ * Report run audit history and /api/runs (see ../utils/runs.js and ../api/runs.js)
+ */
+import runsApi from '../api/runs';
+import MemoryStorage from '../utils/memorystorage';
+import { getRuns, saveRun, startRun } from '../utils/runs';
+import { invokeHandler, getBearerToken, API_KEY } from './harness';
+
+let storage = null;
+
+beforeEach(async () => {
+  MemoryStorage.clear();
+  storage = new MemoryStorage('test');
+  await saveRun(storage, { ...startRun({ requestId: 'run-1', requestType: 'googleSearchAdsConversions', environment: 'prod' }), startedAt: '2023-03-07T10:00:00.000Z' });
+  await saveRun(storage, { ...startRun({ requestId: 'run-2', requestType: 'metaAdsConversions', environment: 'prod' }), startedAt: '2023-03-08T10:00:00.000Z' });
+  await saveRun(storage, { ...startRun({ requestId: 'run-3', requestType: 'metaAdsConversions', environment: 'uat' }), startedAt: '2023-03-09T10:00:00.000Z' });
+});
+
+function listRuns(query = {}, headers = {}) {
+  return invokeHandler(runsApi, { url: '/api/runs', query, headers });
+}
+
+describe('runs', () => {
+  test('the newest runs come first', async () => {
+    expect((await getRuns(storage)).map(({requestId}) => requestId)).toEqual(['run-3', 'run-2', 'run-1']);
+    expect((await getRuns(storage, { limit: 1 })).map(({requestId}) => requestId)).toEqual(['run-3']);
+  });
+
+  test('filtering by a run field requires a start of the range', async () => {
+    await expect(getRuns(storage, { requestType: 'googleSearchAdsConversions' }))
+      .rejects.toMatchObject({ name: 'MarketingApiValidationError' });
+    await expect(getRuns(storage, { status: 'success', endDateTime: '2023-03-09T00:00:00.000Z' })).rejects.toThrow('requires a startDateTime');
+
+    const runs = await getRuns(storage, { requestType: 'googleSearchAdsConversions', startDateTime: '2023-03-07T00:00:00.000Z' });
+    expect(runs.map(({requestId}) => requestId)).toEqual(['run-1']);
+  });
+});
+
+describe('/api/runs', () => {
+  test('the caller gets only the runs of its SFDC environments', async () => {
+    const uat = await listRuns({}, { Authorization: getBearerToken(['runs:read', 'env:uat']) });
+    expect(uat.body.runs.map(({requestId}) => requestId)).toEqual(['run-3']);
+
+    // the API key only reads the runs of its own environment
+    const prod = await listRuns({ Authorization: API_KEY });
+    expect(prod.body.runs.map(({requestId}) => requestId)).toEqual(['run-2', 'run-1']);
+
+    const all = await listRuns({}, { Authorization: getBearerToken(['runs:read', 'env:*']) });
+    expect(all.body.count).toBe(3);
+  });
+
+  test('an sfdcEnvironment filter requires the scope of the environment', async () => {
+    const { status } = await listRuns({ sfdcEnvironment: 'prod', startDateTime: '2023-03-01' },
+      { Authorization: getBearerToken(['runs:read', 'env:uat']) });
+
+    expect(status).toBe(403);
+  });
+
+  test('a date-only endDateTime includes the runs of that day', async () => {
+    const { body } = await listRuns({ Authorization: API_KEY, startDateTime: '2023-03-07', endDateTime: '2023-03-07' });
+
+    expect(body.runs.map(({requestId}) => requestId)).toEqual(['run-1']);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * /api/scheduler end to end, against the local SFDC stub, the stub notifier and the in-memory storage (see ./setup.js)
+ */
+import scheduler from '../api/scheduler';
+import { getStorage } from '../utils/storage';
+import { getStubNotifications } from '../utils/notifier';
+import { getNextPreviousRunDateTime } from '../utils/datewindow';
+import { getLockPath, LOCKS_ROOT_ELEMENT_NAME } from '../utils/runlock';
+import { getCheckpointPath, CHECKPOINTS_ROOT_ELEMENT_NAME } from '../utils/reportrunner';
+import { startSfdcStub, BULK_JOB_ID } from './sfdcstub';
+import { invokeHandler, getBearerToken, resetState, API_KEY } from './harness';
+import leadPosts from './fixtures/leadposts.json';
+
+let sfdcStub = null;
+
+beforeAll(async () => {
+  sfdcStub = await startSfdcStub();
+});
+
+afterAll(async () => {
+  await sfdcStub.close();
+});
+
+beforeEach(() => {
+  sfdcStub.reset();
+  sfdcStub.setRecords(leadPosts.records);
+  resetState();
+});
+
+afterEach(() => {
+  delete process.env.SCHEDULE_MANIFEST;
+});
+
+function setSchedule(manifest) {
+  process.env.SCHEDULE_MANIFEST = JSON.stringify(manifest);
+}
+
+function runScheduler(query = {}, headers = {}) {
+  return invokeHandler(scheduler, { url: '/api/scheduler', query: { Authorization: API_KEY, ...query }, headers });
+}
+
+// the report ran at the last boundary of its cadence
+async function setCheckpointToLastBoundary(requestType, cadence = { type: 'daily' }) {
+  await getStorage().createData(CHECKPOINTS_ROOT_ELEMENT_NAME, getCheckpointPath('prod', requestType), [getNextPreviousRunDateTime(cadence)]);
+}
+
+describe('due reports', () => {
+  test('runs the reports whose cadence has a boundary after their checkpoint', async () => {
+    setSchedule([
+      { requestType: 'googleSearchAdsConversions', recipients: ['marketing@example.com', 'ads@example.com'] },
+      { requestType: 'metaAdsConversions', cadence: { type: 'weekly', weekday: 1 } },
+    ]);
+    await setCheckpointToLastBoundary('metaAdsConversions', { type: 'weekly', weekday: 1 });
+    const { status, body } = await runScheduler();
+
+    expect(status).toBe(200);
+    expect(body.success).toBe(true);
+    expect(body.summary.map(({requestType, due, status}) => [requestType, due, status])).toEqual([
+      ['googleSearchAdsConversions', true, 'success'],
+      ['metaAdsConversions', false, 'notDue'],
+    ]);
+    expect(body.summary[0]).toMatchObject({ recordCounts: { final: 3 }, delivery: { status: 'sent' } });
+    // the report goes to the manifest's recipients
+    const reports = getStubNotifications().filter(({notification}) => notification.severity === 'REPORT');
+    expect(reports.map(({channel}) => channel.to)).toEqual(['marketing@example.com, ads@example.com']);
+  });
+
+  test('a report is not run again until its next boundary', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions' }]);
+    await runScheduler();
+    const { body } = await runScheduler();
+
+    expect(body.summary[0]).toMatchObject({ due: false, status: 'notDue' });
+    expect(getStubNotifications()).toHaveLength(1);
+  });
+
+  test('a dry run does not send the reports or advance the checkpoints', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions' }]);
+    const { body } = await runScheduler({ dryRun: 'true' });
+    const again = await runScheduler({ dryRun: 'true' });
+
+    expect(body.summary[0]).toMatchObject({ due: true, status: 'success' });
+    expect(again.body.summary[0]).toMatchObject({ due: true, status: 'success' });
+    expect(getStubNotifications()).toHaveLength(0);
+  });
+});
+
+describe('bulk reports', () => {
+  afterEach(() => {
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+    delete process.env.SFDC_BULK_POLL_INTERVAL_MS;
+  });
+
+  test('a pending bulk query job is resumed on the next tick', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions', bulk: true }]);
+    process.env.SFDC_BULK_POLL_INTERVAL_MS = '5';
+    process.env.SFDC_BULK_TIME_BUDGET_MS = '1';
+    sfdcStub.setBulkJob({ pollsUntilComplete: 1000 });
+    const pending = await runScheduler();
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+    sfdcStub.setBulkJob({ pollsUntilComplete: 0 });
+    const resumed = await runScheduler();
+
+    expect(pending.body.summary[0]).toMatchObject({ status: 'pending', bulkJobId: BULK_JOB_ID });
+    expect(resumed.body.summary[0]).toMatchObject({ status: 'success', bulkJobId: BULK_JOB_ID, recordCounts: { final: 3 } });
+    expect(sfdcStub.getRequests().filter(({method, path}) => method === 'POST' && path.endsWith('/jobs/query'))).toHaveLength(1);
+  });
+
+  test('the pending job of a dry run is not resumed by a tick', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions', bulk: true }]);
+    process.env.SFDC_BULK_POLL_INTERVAL_MS = '5';
+    process.env.SFDC_BULK_TIME_BUDGET_MS = '1';
+    sfdcStub.setBulkJob({ pollsUntilComplete: 1000 });
+    const preview = await runScheduler({ dryRun: 'true' });
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+    sfdcStub.setBulkJob({ pollsUntilComplete: 0 });
+    await setCheckpointToLastBoundary('googleSearchAdsConversions');
+    const { body } = await runScheduler();
+
+    expect(preview.body.summary[0]).toMatchObject({ status: 'pending', bulkJobId: BULK_JOB_ID });
+    expect(body.summary[0]).toMatchObject({ due: false, status: 'notDue' });
+    expect(getStubNotifications()).toHaveLength(0);
+  });
+});
+
+describe('error isolation', () => {
+  test('a failing report does not stop the other reports', async () => {
+    setSchedule([
+      { requestType: 'microsoftAdsConversions', bulk: true },
+      { requestType: 'googleSearchAdsConversions' },
+    ]);
+    sfdcStub.setBulkJob({ finalState: 'Failed' });
+    const { status, body } = await runScheduler();
+
+    expect(status).toBe(200);
+    expect(body.success).toBe(false);
+    expect(body.summary.map(({requestType, status}) => [requestType, status])).toEqual([
+      ['microsoftAdsConversions', 'error'],
+      ['googleSearchAdsConversions', 'success'],
+    ]);
+    expect(body.summary[0].error).toMatchObject({ name: 'MarketingApiSfdcError', statusCode: 502 });
+    // the failure is alerted, and the other report is sent
+    expect(getStubNotifications().map(({notification}) => notification.severity)).toEqual(['ERROR', 'REPORT']);
+    expect(getStubNotifications()[0].notification.subject).toMatch('microsoftAdsConversions');
+  });
+});
+
+describe('manifest and authorization', () => {
+  test('a report another run holds the lock of is not run again', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions' }]);
+    await getStorage().createData(LOCKS_ROOT_ELEMENT_NAME, getLockPath('prod', 'googleSearchAdsConversions'),
+      { owner: 'manual-run-token', requestId: 'manual-run', acquiredAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60000).toISOString() });
+    const { status, body } = await runScheduler();
+
+    expect(status).toBe(200);
+    expect(body.summary[0]).toMatchObject({ due: true, status: 'error', error: { name: 'MarketingApiConflictError', statusCode: 409 } });
+    // a conflict is not alerted
+    expect(getStubNotifications()).toHaveLength(0);
+  });
+
+  test('a repeated tick with the same Idempotency-Key gets the stored summary', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions' }]);
+    const headers = { 'Idempotency-Key': 'tick-2023-03-05T08' };
+    const first = await runScheduler({}, headers);
+    const repeat = await runScheduler({}, headers);
+
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(getStubNotifications()).toHaveLength(1);
+  });
+
+  test('an invalid manifest fails the tick', async () => {
+    setSchedule([{ requestType: 'notAReport' }]);
+    const { status, body } = await runScheduler();
+
+    expect(status).toBe(500);
+    expect(body.error).toBe('MarketingApiConfigError');
+    expect(body.message).toMatch(`Unknown scheduled report 'notAReport'`);
+  });
+
+  test('an unauthenticated request does not read the manifest', async () => {
+    setSchedule([{ requestType: 'notAReport' }]);
+    const { status } = await runScheduler({ Authorization: undefined });
+
+    expect(status).toBe(401);
+    expect(getStubNotifications()).toHaveLength(0);
+  });
+
+  test('a report is scheduled once per SFDC environment', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions' }, { requestType: 'googleSearchAdsConversions', environment: 'prod', cadence: { type: 'weekly', weekday: 1 } }]);
+    const { status, body } = await runScheduler();
+
+    expect(status).toBe(500);
+    expect(body.message).toMatch('scheduled more than once');
+  });
+
+  test('an invalid storage backend fails the request with a response', async () => {
+    process.env.STORAGE_BACKEND = 'redis';
+    try {
+      const { status, body } = await runScheduler();
+
+      expect(status).toBe(500);
+      expect(body.message).toMatch(`Unknown STORAGE_BACKEND 'redis'`);
+    }
+    finally {
+      process.env.STORAGE_BACKEND = 'memory';
+    }
+  });
+
+  test('the caller needs the scheduler scope and the scheduled reports\' scopes', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions' }]);
+    const forbidden = await runScheduler({ Authorization: undefined }, { Authorization: getBearerToken(['scheduler:run', 'env:prod']) });
+    const allowed = await runScheduler({ Authorization: undefined, dryRun: 'true' },
+      { Authorization: getBearerToken(['scheduler:run', 'report:googleSearchAdsConversions', 'env:prod']) });
+
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.message).toMatch('report:googleSearchAdsConversions');
+    expect(allowed.status).toBe(200);
+  });
+
+  test('the prod API key does not run the reports of the other environments', async () => {
+    setSchedule([{ requestType: 'googleSearchAdsConversions', environment: 'uat' }]);
+    const { status, body } = await runScheduler({ dryRun: 'true' });
+
+    expect(status).toBe(403);
+    expect(body.message).toMatch('env:uat');
+  });
+});
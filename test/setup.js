@@ -0,0 +1,31 @@
+/**
+ * Test env (jest setupFiles): runs before each test file loads the modules under test
+ *
+ * The tests never call the live services:
+ *  - SFDC:     the local stub server (see ./sfdcstub.js) sets SFDC_OAUTH_URL when it starts
+ *  - Mailgun:  the stub notification transport records the notifications (see getStubNotifications() in ../utils/notifier.js)
+ *  - Firebase: the in-memory storage backend (see ../utils/memorystorage.js)
+ */
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'memory',
+  NOTIFIER_TRANSPORT: 'stub',
+  MARKETING_API_KEY: 'test-api-key',
+  MARKETING_API_JWT_SECRET: 'test-jwt-secret',
+  SFDC_OAUTH_URL: 'http://127.0.0.1:1/services/oauth2/token',
+  SFDC_USERNAME: 'test-user@example.com',
+  SFDC_PASSWORD: 'test-password',
+  SFDC_CLIENT_ID: 'test-client-id',
+  SFDC_CLIENT_SECRET: 'test-client-secret',
+  // fail fast instead of backing off in the tests of failed calls
+  HTTP_MAX_RETRIES: '0',
+});
+
+// JWKS and public key verification take precedence over the secret (see ../utils/auth.js)
+delete process.env.MARKETING_API_JWKS_URI;
+delete process.env.MARKETING_API_JWT_PUBLIC_KEY;
+delete process.env.NOTIFICATIONS;
+
+// the modules log a JSON line per step; set TEST_LOGS=true to see them
+if (process.env.TEST_LOGS !== 'true') {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+}
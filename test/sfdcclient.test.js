@@ -0,0 +1,33 @@
+/**
+ * SFDC Bulk API query results (see ../utils/sfdcclient.js)
+ */
+import { parseCsv, toSfdcRecords } from '../utils/sfdcclient';
+
+describe('parseCsv', () => {
+  test('quoted values with commas, quotes and line breaks', () => {
+    expect(parseCsv('"Id","Name"\n"1","Doe, ""JD"" Jane\r\nline 2"\r\n"2",\n')).toEqual([
+      ['Id', 'Name'],
+      ['1', 'Doe, "JD" Jane\r\nline 2'],
+      ['2', ''],
+    ]);
+  });
+
+  test('empty CSV', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('toSfdcRecords', () => {
+  test('relationship columns become nested objects, and empty values are null', () => {
+    const csv = [
+      'Id,URL_GCLID__c,Opportunity__r.StageName,Opportunity__r.Application_Date__c',
+      'a01,gclid-1,Application,2023-03-02',
+      'a02,,,',
+    ].join('\n');
+
+    expect(toSfdcRecords(csv)).toEqual([
+      { Id: 'a01', URL_GCLID__c: 'gclid-1', Opportunity__r: { StageName: 'Application', Application_Date__c: '2023-03-02' } },
+      { Id: 'a02', URL_GCLID__c: null, Opportunity__r: null },
+    ]);
+  });
+});
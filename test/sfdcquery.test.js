@@ -0,0 +1,644 @@
+/**
+ * /api/sfdcquery end to end, against the local SFDC stub, the stub notifier and the in-memory storage (see ./setup.js)
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import sfdcquery from '../api/sfdcquery';
+import { getStorage } from '../utils/storage';
+import MemoryStorage from '../utils/memorystorage';
+import { getStubNotifications } from '../utils/notifier';
+import { RUNS_ROOT_ELEMENT_NAME } from '../utils/runs';
+import { getLockPath, LOCKS_ROOT_ELEMENT_NAME } from '../utils/runlock';
+import { IDEMPOTENCY_ROOT_ELEMENT_NAME } from '../utils/idempotency';
+import { getCheckpointPath, CHECKPOINTS_ROOT_ELEMENT_NAME, DEFAULT_PREVIOUS_RUN_DATE_TIME } from '../utils/reportrunner';
+import { startSfdcStub, BULK_JOB_ID, NEXT_RECORDS_PATH, OAUTH_PATH } from './sfdcstub';
+import { invokeHandler, getBearerToken, resetState, API_KEY } from './harness';
+import leadPosts from './fixtures/leadposts.json';
+
+const REQUEST_TYPE = 'googleSearchAdsConversions';
+const BACKFILL_WINDOW = { startDateTime: '2023-03-01', endDateTime: '2023-03-05' };
+
+let sfdcStub = null;
+
+beforeAll(async () => {
+  sfdcStub = await startSfdcStub();
+});
+
+afterAll(async () => {
+  await sfdcStub.close();
+});
+
+beforeEach(() => {
+  sfdcStub.reset();
+  resetState();
+});
+
+function runReport(query = {}, headers = {}) {
+  return invokeHandler(sfdcquery, {
+    url: '/api/sfdcquery',
+    query: { requestType: REQUEST_TYPE, Authorization: API_KEY, ...BACKFILL_WINDOW, ...query },
+    headers,
+  });
+}
+
+function getRunDateTimes(environment = 'prod') {
+  return getStorage().readData(CHECKPOINTS_ROOT_ELEMENT_NAME, getCheckpointPath(environment, REQUEST_TYPE));
+}
+
+async function getRuns() {
+  return await getStorage().queryData(RUNS_ROOT_ELEMENT_NAME, null, { orderByChild: 'startedAt' });
+}
+
+describe('post processing', () => {
+  test('keeps one record per opportunity', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const { status, body } = await runReport({ dryRun: 'true' });
+
+    expect(status).toBe(200);
+    expect(body.recordCounts.keepUniqueOpportunities).toBe(4);
+    const gclids = body.data.map((row) => row['Google Click ID']);
+    expect(gclids).toEqual(['Cj0KCQiA-gclid-1', 'Cj0KCQiA-gclid-3', 'Cj0KCQiA-gclid-4']);
+  });
+
+  test('excludes the Mantra get started form leads', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const { status, body } = await runReport({ dryRun: 'true' });
+
+    expect(status).toBe(200);
+    expect(body.recordCounts).toEqual({ query: 6, hashEmails: 6, keepUniqueOpportunities: 4, excludeMantraLeads: 3, conversionLedger: 3, standard: 3 });
+    expect(body.data.map((row) => row['Google Click ID'])).not.toContain('Cj0KCQiA-gclid-2');
+  });
+
+  test('a dry run does not send the report or advance the checkpoint', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const { status, body } = await runReport({ dryRun: 'true', startDateTime: undefined, endDateTime: undefined });
+
+    expect(status).toBe(200);
+    expect(body.dryRun).toBe(true);
+    expect(getStubNotifications()).toHaveLength(0);
+    expect(await getRunDateTimes()).toBeNull();
+  });
+});
+
+describe('checkpoint', () => {
+  const UAT_SFDC_ENV = ['SFDC_OAUTH_URL', 'SFDC_USERNAME', 'SFDC_PASSWORD', 'SFDC_CLIENT_ID', 'SFDC_CLIENT_SECRET'];
+
+  beforeEach(() => {
+    UAT_SFDC_ENV.forEach((name) => { process.env[`${name}_UAT`] = process.env[name]; });
+  });
+
+  afterEach(() => {
+    UAT_SFDC_ENV.forEach((name) => { delete process.env[`${name}_UAT`]; });
+  });
+
+  function runUatReport() {
+    return runReport({ Authorization: undefined, sfdcEnvironment: 'uat', startDateTime: undefined, endDateTime: undefined },
+      { Authorization: getBearerToken([`report:${REQUEST_TYPE}`, 'env:uat']) });
+  }
+
+  test('a uat run does not advance the prod checkpoint', async () => {
+    sfdcStub.setRecords([]);
+    expect((await runUatReport()).status).toBe(200);
+    expect(await getRunDateTimes('uat')).toHaveLength(2);
+    expect(await getRunDateTimes()).toBeNull();
+
+    await runReport({ startDateTime: undefined, endDateTime: undefined });
+    const runs = await getRuns();
+    expect(runs.map(({data}) => [data.environment, data.window.previousRunDateTime])).toEqual([
+      ['uat', DEFAULT_PREVIOUS_RUN_DATE_TIME],
+      ['prod', DEFAULT_PREVIOUS_RUN_DATE_TIME],
+    ]);
+  });
+
+  test('the first prod run continues from the legacy run dates', async () => {
+    sfdcStub.setRecords([]);
+    await getStorage().createData('GoogleSearchPaidAdsReportRunDates', 'lastRunDateTimes', ['2023-3-5T08:00:00.000Z']);
+    await runUatReport();
+    await runReport({ startDateTime: undefined, endDateTime: undefined });
+
+    const runs = await getRuns();
+    expect(runs.map(({data}) => data.window.previousRunDateTime)).toEqual([DEFAULT_PREVIOUS_RUN_DATE_TIME, '2023-03-05T08:00:00.000Z']);
+    const runDateTimes = await getRunDateTimes();
+    expect(runDateTimes).toEqual(['2023-3-5T08:00:00.000Z', runs[1].data.window.nextPreviousRunDateTime]);
+  });
+});
+
+describe('delivery', () => {
+  test('sends the report and records the run', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const { status, body } = await runReport();
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ success: true });
+    const [notification] = getStubNotifications();
+    expect(notification.transport).toBe('mailgun');
+    expect(notification.notification.text).toMatch(/^Conversions: 3/);
+    expect(notification.notification.attachments[0].filename).toBe(`${REQUEST_TYPE}_20230301T000000Z_20230305T000000Z.csv`);
+
+    const [run] = await getRuns();
+    expect(run.data).toMatchObject({
+      requestType: REQUEST_TYPE,
+      environment: 'prod',
+      backfill: true,
+      status: 'success',
+      recordCounts: { raw: 6, unique: 4, final: 3 },
+      delivery: { status: 'sent' },
+    });
+  });
+
+  test('empty results send a "no conversions" report and advance the checkpoint', async () => {
+    sfdcStub.setRecords([]);
+    const { status } = await runReport({ startDateTime: undefined, endDateTime: undefined });
+
+    expect(status).toBe(200);
+    const [notification] = getStubNotifications();
+    expect(notification.notification.text).toBe('No conversions for this run');
+    const runDateTimes = await getRunDateTimes();
+    expect(runDateTimes).toHaveLength(2);
+    const [run] = await getRuns();
+    expect(run.data.recordCounts).toMatchObject({ raw: 0, unique: 0, final: 0 });
+  });
+});
+
+describe('ad platforms', () => {
+  test('Microsoft Advertising report in its offline conversion upload format', async () => {
+    sfdcStub.setRecords(leadPosts.records.map((record) => ({ ...record, URL_MSCLKID__c: record.URL_GCLID__c.replace('Cj0KCQiA-gclid', 'msclkid') })));
+    const { status, body } = await runReport({ requestType: 'microsoftAdsConversions', dryRun: 'true' });
+
+    expect(status).toBe(200);
+    expect(body.outputMode).toBe('microsoftAdsOfflineConversions');
+    expect(body.queries[0]).toMatch('URL_MSCLKID__c != null');
+    expect(body.recordCounts).toMatchObject({ query: 6, keepUniqueOpportunities: 4, excludeMantraLeads: 3 });
+    expect(body.data.map((row) => row['Microsoft Click ID'])).toEqual(['msclkid-1', 'msclkid-3', 'msclkid-4']);
+  });
+
+  test('Meta report with a configured click ID field', async () => {
+    process.env.META_CLICK_ID_FIELD = 'Meta_Click_ID__c';
+    try {
+      sfdcStub.setRecords(leadPosts.records.map((record) => ({ ...record, Meta_Click_ID__c: record.URL_GCLID__c.replace('Cj0KCQiA-gclid', 'IwAR-fbclid') })));
+      const { status, body } = await runReport({ requestType: 'metaAdsConversions', dryRun: 'true' });
+
+      expect(status).toBe(200);
+      expect(body.queries[0]).toMatch('Meta_Click_ID__c != null');
+      expect(body.data.map((row) => row.fbc)).toEqual([
+        'fb.1.1677777300000.IwAR-fbclid-1',
+        'fb.1.1677777300000.IwAR-fbclid-3',
+        'fb.1.1677777300000.IwAR-fbclid-4',
+      ]);
+    }
+    finally {
+      delete process.env.META_CLICK_ID_FIELD;
+    }
+  });
+
+  test('an invalid click ID field config fails the request', async () => {
+    process.env.META_CLICK_ID_FIELD = "x' OR Id != null";
+    try {
+      const { status, body } = await runReport({ requestType: 'metaAdsConversions', dryRun: 'true' });
+
+      expect(status).toBe(500);
+      expect(body.error).toBe('MarketingApiConfigError');
+    }
+    finally {
+      delete process.env.META_CLICK_ID_FIELD;
+    }
+  });
+
+  test('an invalid conversion actions config fails the request', async () => {
+    process.env.GOOGLE_ADS_CONVERSION_ACTIONS = '{"*": {"name": "SFDC Application", "value": 1}';
+    try {
+      const { status, body } = await runReport({ dryRun: 'true' });
+
+      expect(status).toBe(500);
+      expect(body.error).toBe('MarketingApiConfigError');
+      expect(body.message).toMatch('Invalid GOOGLE_ADS_CONVERSION_ACTIONS');
+      expect(sfdcStub.getRequests()).toHaveLength(0);
+    }
+    finally {
+      delete process.env.GOOGLE_ADS_CONVERSION_ACTIONS;
+    }
+  });
+});
+
+describe('enhanced conversions', () => {
+  test('the report has the hashed emails, and the raw emails are not in the response, the report or the logs', async () => {
+    const logSpy = jest.spyOn(console, 'log');
+    sfdcStub.setRecords(leadPosts.records);
+    const { status, body } = await runReport({ outputMode: 'googleAdsEnhancedConversions' });
+
+    expect(status).toBe(200);
+    const [{ notification }] = getStubNotifications();
+    const csv = notification.attachments[0].data;
+    expect(csv.split('\n')[1]).toBe('"Google Click ID","Email","Conversion Name","Conversion Time","Conversion Value","Conversion Currency"');
+    // sha256('jane.doe@example.com')
+    expect(csv).toMatch('"Cj0KCQiA-gclid-1","86e0b9e56c17cc4d12387e1949b85053fbe73bc3ce5a1188713a9d300cc6133d"');
+
+    const output = [JSON.stringify(body), csv, ...logSpy.mock.calls.map((args) => args.join(' '))].join('\n');
+    leadPosts.records.forEach(({Email__c}) => expect(output).not.toContain(Email__c));
+  });
+});
+
+describe('conversion ledger', () => {
+  test('a conversion is reported once across overlapping runs', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await runReport();
+    await runReport({ startDateTime: '2023-03-02', endDateTime: '2023-03-06' });
+
+    const [first, second] = getStubNotifications();
+    expect(first.notification.text).toMatch(/^Conversions: 3/);
+    expect(second.notification.text).toBe('No conversions for this run');
+  });
+
+  test('a conversion is reported again when its stage advances to another conversion action', async () => {
+    process.env.GOOGLE_ADS_CONVERSION_ACTIONS = JSON.stringify({ '*': { name: 'SFDC Application', value: 1 }, Enrolled: { name: 'SFDC Enrollment', value: 10 } });
+    try {
+      sfdcStub.setRecords(leadPosts.records);
+      await runReport();
+      const enrolled = { ...leadPosts.records[0], Opportunity__r: { ...leadPosts.records[0].Opportunity__r, StageName: 'Enrolled' } };
+      sfdcStub.setRecords([enrolled, ...leadPosts.records.slice(1)]);
+      const { body } = await runReport({ dryRun: 'true' });
+
+      expect(body.recordCounts.conversionLedger).toBe(1);
+      expect(body.data).toEqual([{ 'Google Click ID': 'Cj0KCQiA-gclid-1', 'Stage Name': 'Enrolled', 'Application Date': '2023-03-02' }]);
+    }
+    finally {
+      delete process.env.GOOGLE_ADS_CONVERSION_ACTIONS;
+    }
+  });
+
+  test('a stage advance with the same conversion action is not reported again', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await runReport();
+    const accepted = { ...leadPosts.records[0], Opportunity__r: { ...leadPosts.records[0].Opportunity__r, StageName: 'Accepted' } };
+    sfdcStub.setRecords([accepted, ...leadPosts.records.slice(1)]);
+    const { body } = await runReport({ dryRun: 'true' });
+
+    expect(body.recordCounts.conversionLedger).toBe(0);
+  });
+
+  test('a dry run does not update the ledger', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await runReport({ dryRun: 'true' });
+    const { body } = await runReport({ dryRun: 'true' });
+
+    expect(body.recordCounts.conversionLedger).toBe(3);
+  });
+});
+
+describe('pagination', () => {
+  test('follows nextRecordsUrl until all the records are read', async () => {
+    sfdcStub.setRecords(leadPosts.records, { pageSize: 2 });
+    const { status, body } = await runReport({ dryRun: 'true' });
+
+    expect(status).toBe(200);
+    expect(body.recordCounts.query).toBe(6);
+    const queryRequests = sfdcStub.getRequests().filter(({path}) => path !== OAUTH_PATH);
+    expect(queryRequests.map(({path}) => path)).toEqual([
+      '/services/data/v52.0/query/',
+      `${NEXT_RECORDS_PATH}-2`,
+      `${NEXT_RECORDS_PATH}-4`,
+    ]);
+  });
+
+  test('rejects a query that matches more than the max records', async () => {
+    process.env.SFDC_QUERY_MAX_RECORDS = '5';
+    try {
+      sfdcStub.setRecords(leadPosts.records, { pageSize: 2 });
+      const { status, body } = await runReport({ dryRun: 'true' });
+
+      expect(status).toBe(422);
+      expect(body.error).toBe('MarketingApiLimitError');
+      // an operator must narrow the window or raise the limit
+      expect(getStubNotifications().map(({notification}) => notification.severity)).toEqual(['ERROR']);
+      // only the first page is read
+      expect(sfdcStub.getRequests().filter(({path}) => path !== OAUTH_PATH)).toHaveLength(1);
+    }
+    finally {
+      delete process.env.SFDC_QUERY_MAX_RECORDS;
+    }
+  });
+});
+
+describe('bulk mode', () => {
+  beforeEach(() => {
+    process.env.SFDC_BULK_POLL_INTERVAL_MS = '5';
+  });
+
+  afterEach(() => {
+    delete process.env.SFDC_BULK_POLL_INTERVAL_MS;
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+  });
+
+  test('the bulk query job results are post processed like the REST query records', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const { body: restBody } = await runReport({ dryRun: 'true' });
+    sfdcStub.setRecords(leadPosts.records, { pageSize: 4 });
+    sfdcStub.setBulkJob({ pollsUntilComplete: 2 });
+    const { status, body } = await runReport({ dryRun: 'true', bulk: 'true' });
+
+    expect(status).toBe(200);
+    expect(body.bulkJobId).toBe(BULK_JOB_ID);
+    expect(body.recordCounts).toEqual(restBody.recordCounts);
+    expect(body.data).toEqual(restBody.data);
+    // one query over the whole window; two result pages
+    expect(body.queries).toHaveLength(1);
+    const resultRequests = sfdcStub.getRequests().filter(({path}) => path.endsWith('/results'));
+    expect(resultRequests.map(({query}) => query.locator)).toEqual([undefined, '4']);
+  });
+
+  test('a job that outlives the request is resumed by its job ID', async () => {
+    process.env.SFDC_BULK_TIME_BUDGET_MS = '1';
+    sfdcStub.setRecords(leadPosts.records);
+    sfdcStub.setBulkJob({ pollsUntilComplete: 1000 });
+    const pending = await runReport({ bulk: 'true' });
+
+    expect(pending.status).toBe(202);
+    expect(pending.body).toMatchObject({ done: false, bulkJob: { jobId: BULK_JOB_ID, state: 'InProgress' } });
+    expect(getStubNotifications()).toHaveLength(0);
+
+    // the resumed run uses the job's window, even without the backfill params
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+    sfdcStub.setBulkJob({ pollsUntilComplete: 0 });
+    const resumed = await runReport({ bulkJobId: BULK_JOB_ID, startDateTime: undefined, endDateTime: undefined });
+
+    expect(resumed.status).toBe(200);
+    const [{notification}] = getStubNotifications();
+    expect(notification.text).toMatch('Conversions: 3');
+    expect(notification.text).toMatch('Query window: 2023-03-01');
+    expect(sfdcStub.getRequests().filter(({method, path}) => method === 'POST' && path.endsWith('/jobs/query'))).toHaveLength(1);
+    const runs = await getRuns();
+    expect(runs.map(({data}) => [data.status, data.bulkJobId, data.backfill])).toEqual([['pending', BULK_JOB_ID, true], ['success', BULK_JOB_ID, true]]);
+
+    // the job's report is delivered once
+    const again = await runReport({ bulkJobId: BULK_JOB_ID });
+    expect(again.status).toBe(400);
+    expect(again.body.message).toMatch(`Unknown bulk query job '${BULK_JOB_ID}'`);
+  });
+
+  test('a resumed job does not move the checkpoint back', async () => {
+    process.env.SFDC_BULK_TIME_BUDGET_MS = '1';
+    sfdcStub.setRecords(leadPosts.records);
+    sfdcStub.setBulkJob({ pollsUntilComplete: 1000 });
+    const pending = await runReport({ bulk: 'true', startDateTime: undefined, endDateTime: undefined });
+    expect(pending.status).toBe(202);
+
+    // a later run advanced the checkpoint while the job was running
+    await getStorage().createData(CHECKPOINTS_ROOT_ELEMENT_NAME, getCheckpointPath('prod', REQUEST_TYPE), ['2099-01-01T08:00:00.000Z']);
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+    sfdcStub.setBulkJob({ pollsUntilComplete: 0 });
+    const resumed = await runReport({ bulkJobId: BULK_JOB_ID, startDateTime: undefined, endDateTime: undefined });
+
+    expect(resumed.status).toBe(200);
+    expect(await getRunDateTimes()).toEqual(['2099-01-01T08:00:00.000Z']);
+  });
+
+  test('the job of a dry run is only resumed as a dry run', async () => {
+    process.env.SFDC_BULK_TIME_BUDGET_MS = '1';
+    sfdcStub.setRecords(leadPosts.records);
+    sfdcStub.setBulkJob({ pollsUntilComplete: 1000 });
+    await runReport({ bulk: 'true', dryRun: 'true' });
+    delete process.env.SFDC_BULK_TIME_BUDGET_MS;
+    sfdcStub.setBulkJob({ pollsUntilComplete: 0 });
+    const delivered = await runReport({ bulkJobId: BULK_JOB_ID });
+    const preview = await runReport({ bulkJobId: BULK_JOB_ID, dryRun: 'true' });
+
+    expect(delivered.status).toBe(400);
+    expect(delivered.body.message).toMatch('is of a dry run');
+    expect(preview.status).toBe(200);
+    expect(preview.body.recordCounts.standard).toBe(3);
+    expect(getStubNotifications()).toHaveLength(0);
+    expect(await getStorage().readData('BulkQueryJobs', BULK_JOB_ID)).toBeNull();
+  });
+
+  test('a job is resumed by the report that created it', async () => {
+    process.env.SFDC_BULK_TIME_BUDGET_MS = '1';
+    sfdcStub.setBulkJob({ pollsUntilComplete: 1000 });
+    await runReport({ bulk: 'true' });
+    const { status, body } = await runReport({ requestType: 'metaAdsConversions', bulkJobId: BULK_JOB_ID });
+
+    expect(status).toBe(400);
+    expect(body.message).toMatch(`is for the ${REQUEST_TYPE} report`);
+  });
+
+  test('a failed job fails the run', async () => {
+    sfdcStub.setBulkJob({ finalState: 'Failed' });
+    const { status, body } = await runReport({ bulk: 'true' });
+
+    expect(status).toBe(502);
+    expect(body.error).toBe('MarketingApiSfdcError');
+    expect(body.message).toMatch('INVALID_FIELD: No such column');
+  });
+
+  test('a failure to send the alert does not keep the error response', async () => {
+    // not a list of channels: sending the alert throws
+    process.env.NOTIFICATIONS = JSON.stringify({ ERROR: { transport: 'mailgun' } });
+    const logSpy = jest.spyOn(console, 'log');
+    try {
+      sfdcStub.setBulkJob({ finalState: 'Failed' });
+      const { status, body } = await runReport({ bulk: 'true' });
+
+      expect(status).toBe(502);
+      expect(body.error).toBe('MarketingApiSfdcError');
+      expect(logSpy.mock.calls.some(([entry]) => String(entry).includes('Exception caught sending the alert'))).toBe(true);
+    }
+    finally {
+      logSpy.mockRestore();
+      delete process.env.NOTIFICATIONS;
+    }
+  });
+});
+
+describe('overlapping runs', () => {
+  const IDEMPOTENCY_KEY = { 'Idempotency-Key': '6f1c2e0a-2d4b-4f7e-9c61-0c5d7a1b9e42' };
+
+  async function setLock(owner, expiresInMs) {
+    await getStorage().createData(LOCKS_ROOT_ELEMENT_NAME, getLockPath('prod', REQUEST_TYPE),
+      { owner: `${owner}-token`, requestId: owner, acquiredAt: new Date().toISOString(), expiresAt: new Date(Date.now() + expiresInMs).toISOString() });
+  }
+
+  test('a run fails while another run holds the report lock', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await setLock('other-request', 60000);
+    const { status, body } = await runReport();
+
+    expect(status).toBe(409);
+    expect(body.error).toBe('MarketingApiConflictError');
+    expect(body.message).toMatch('other-request');
+    expect(getStubNotifications()).toHaveLength(0);
+    expect(sfdcStub.getRequests().filter(({path}) => path !== OAUTH_PATH)).toHaveLength(0);
+  });
+
+  test('an expired lock is taken over, and the lock is released after the run', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await setLock('stopped-request', -1000);
+    const { status } = await runReport();
+
+    expect(status).toBe(200);
+    expect(getStubNotifications()).toHaveLength(1);
+    expect(await getStorage().readData(LOCKS_ROOT_ELEMENT_NAME, getLockPath('prod', REQUEST_TYPE))).toBeNull();
+  });
+
+  test('a dry run does not need the lock', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await setLock('other-request', 60000);
+    const { status } = await runReport({ dryRun: 'true' });
+
+    expect(status).toBe(200);
+    expect((await getStorage().readData(LOCKS_ROOT_ELEMENT_NAME, getLockPath('prod', REQUEST_TYPE))).requestId).toBe('other-request');
+  });
+
+  test('a repeat with the same Idempotency-Key gets the stored response', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const first = await runReport({}, IDEMPOTENCY_KEY);
+    const repeat = await runReport({}, IDEMPOTENCY_KEY);
+
+    expect(first.status).toBe(200);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(repeat.status).toBe(200);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(getStubNotifications()).toHaveLength(1);
+    expect(await getRuns()).toHaveLength(1);
+  });
+
+  test('the stored response of a formatted report has its content type', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const first = await runReport({ dryRun: 'true', format: 'csv' }, IDEMPOTENCY_KEY);
+    const repeat = await runReport({ dryRun: 'true', format: 'csv' }, IDEMPOTENCY_KEY);
+
+    expect(repeat.body).toBe(first.body);
+    expect(repeat.headers['content-type']).toBe(first.headers['content-type']);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('a failure to store the response does not fail the delivered run', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const updateData = MemoryStorage.prototype.updateData;
+    const spy = jest.spyOn(MemoryStorage.prototype, 'updateData').mockImplementation(function (rootElementName, ...args) {
+      return rootElementName === IDEMPOTENCY_ROOT_ELEMENT_NAME ? Promise.reject(new Error('Storage unavailable')) : updateData.call(this, rootElementName, ...args);
+    });
+    let first = null;
+    try {
+      first = await runReport({}, IDEMPOTENCY_KEY);
+    }
+    finally {
+      spy.mockRestore();
+    }
+    const repeat = await runReport({}, IDEMPOTENCY_KEY);
+
+    expect(first.status).toBe(200);
+    // the key is still claimed: the repeat is not run again
+    expect(repeat.status).toBe(409);
+    expect(getStubNotifications()).toHaveLength(1);
+  });
+
+  test('an Idempotency-Key cannot be reused with other params', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    await runReport({}, IDEMPOTENCY_KEY);
+    const { status, body } = await runReport({ outputMode: 'standard' }, IDEMPOTENCY_KEY);
+
+    expect(status).toBe(400);
+    expect(body.message).toMatch('already used for a request with other params');
+  });
+
+  test('a failed request releases its Idempotency-Key', async () => {
+    process.env.SFDC_BULK_POLL_INTERVAL_MS = '5';
+    sfdcStub.setBulkJob({ finalState: 'Failed' });
+    const failed = await runReport({ bulk: 'true' }, IDEMPOTENCY_KEY);
+    sfdcStub.setBulkJob({ finalState: 'JobComplete' });
+    sfdcStub.setRecords(leadPosts.records);
+    const retried = await runReport({ bulk: 'true' }, IDEMPOTENCY_KEY);
+    delete process.env.SFDC_BULK_POLL_INTERVAL_MS;
+
+    expect(failed.status).toBe(502);
+    expect(retried.status).toBe(200);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(getStubNotifications().filter(({notification}) => notification.severity === 'REPORT')).toHaveLength(1);
+  });
+});
+
+describe('auth failures', () => {
+  test('missing credentials', async () => {
+    const { status, body } = await runReport({ Authorization: undefined });
+
+    expect(status).toBe(401);
+    expect(body.error).toBe('MarketingApiAuthorizationError');
+    expect(sfdcStub.getRequests()).toHaveLength(0);
+  });
+
+  test('wrong API key', async () => {
+    const { status, body } = await runReport({ Authorization: 'not-the-api-key' });
+
+    expect(status).toBe(401);
+    expect(body.message).toBe('API key authorization failed');
+  });
+
+  test('JWT without the report scope', async () => {
+    const { status, body } = await runReport({ Authorization: undefined }, { Authorization: getBearerToken(['env:prod']) });
+
+    expect(status).toBe(403);
+    expect(body.error).toBe('MarketingApiForbiddenError');
+    expect(body.message).toMatch(`report:${REQUEST_TYPE}`);
+  });
+
+  test('JWT with the report and environment scopes', async () => {
+    sfdcStub.setRecords(leadPosts.records);
+    const { status } = await runReport({ Authorization: undefined, dryRun: 'true' }, { Authorization: getBearerToken([`report:${REQUEST_TYPE}`, 'env:prod']) });
+
+    expect(status).toBe(200);
+  });
+
+  test('JWT without a subject', async () => {
+    const token = jwt.sign({ scope: `report:${REQUEST_TYPE} env:prod` }, process.env.MARKETING_API_JWT_SECRET, { expiresIn: 300 });
+    const { status, body } = await runReport({ Authorization: undefined }, { Authorization: `Bearer ${token}` });
+
+    expect(status).toBe(401);
+    expect(body.message).toBe('JWT has no sub claim');
+  });
+
+  describe('public key', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const claims = { scope: `report:${REQUEST_TYPE} env:prod` };
+
+    beforeEach(() => {
+      process.env.MARKETING_API_JWT_PUBLIC_KEY = publicKeyPem;
+    });
+
+    afterEach(() => {
+      delete process.env.MARKETING_API_JWT_PUBLIC_KEY;
+      delete process.env.MARKETING_API_JWT_ALGORITHMS;
+    });
+
+    test('a token signed with the private key is verified', async () => {
+      sfdcStub.setRecords(leadPosts.records);
+      const token = jwt.sign(claims, privateKey, { algorithm: 'RS256', subject: 'test-caller', expiresIn: 300 });
+      const { status } = await runReport({ Authorization: undefined, dryRun: 'true' }, { Authorization: `Bearer ${token}` });
+
+      expect(status).toBe(200);
+    });
+
+    test('an HMAC algorithm is not allowed with the public key', async () => {
+      process.env.MARKETING_API_JWT_ALGORITHMS = 'RS256,HS256';
+      // signed with the public key as the HMAC secret (algorithm confusion)
+      const token = jwt.sign(claims, publicKeyPem, { algorithm: 'HS256', subject: 'test-caller', expiresIn: 300 });
+      const { status, body } = await runReport({ Authorization: undefined }, { Authorization: `Bearer ${token}` });
+
+      expect(status).toBe(500);
+      expect(body.message).toBe('Invalid MARKETING_API_JWT_ALGORITHMS: HS256 cannot be used with MARKETING_API_JWT_PUBLIC_KEY');
+    });
+  });
+
+  test('SFDC rejects the connected app credentials', async () => {
+    sfdcStub.setOAuthError({ status: 400, body: { error: 'invalid_grant', error_description: 'authentication failure' } });
+    const { status, body } = await runReport();
+
+    expect(status).toBe(502);
+    expect(body.error).toBe('MarketingApiSfdcError');
+    expect(body.message).toMatch('invalid_grant: authentication failure');
+    // the failure is alerted, the report is not sent, and the run is recorded
+    expect(getStubNotifications().map(({notification}) => notification.severity)).toEqual(['ERROR']);
+    const [run] = await getRuns();
+    expect(run.data).toMatchObject({ status: 'error', error: { name: 'MarketingApiSfdcError', statusCode: 502 } });
+  });
+});
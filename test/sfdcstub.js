@@ -0,0 +1,138 @@
+/**
+ * Local stand-in for the SFDC OAuth and REST query endpoints
+ *
+ * Serves the records (eg, a fixture) as query result pages of `pageSize` records, following SFDC's pagination
+ * (`done: false` and a `nextRecordsUrl` while there are more records):
+ * https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/resources_query.htm
+ *
+ * Also serves the records as the CSV results (pages of `pageSize` records, with the Sforce-Locator header) of a Bulk API 2.0
+ * query job, which completes after `pollsUntilComplete` job state checks (or ends in the `finalState`, eg, Failed):
+ * https://developer.salesforce.com/docs/atlas.en-us.api_asynch.meta/api_asynch/queries.htm
+ *
+ * Usage:
+ *    const sfdcStub = await startSfdcStub();     // sets SFDC_OAUTH_URL to the stub
+ *    sfdcStub.setRecords(fixture.records, { pageSize: 2 });
+ *    ...
+ *    await sfdcStub.close();
+ */
+import http from 'http';
+import url from 'url';
+
+export const OAUTH_PATH = '/services/oauth2/token';
+export const QUERY_PATH_PATTERN = /^\/services\/data\/v[\d.]+\/query\/?$/;
+export const NEXT_RECORDS_PATH = '/services/data/v52.0/query/01gTEST';
+export const ACCESS_TOKEN = 'test-access-token';
+export const BULK_JOBS_PATH_PATTERN = /^\/services\/data\/v[\d.]+\/jobs\/query(\/([^/]+))?(\/results)?$/;
+export const BULK_JOB_ID = '750TEST00000001';
+
+// the records' fields as CSV columns, eg, Opportunity__r.StageName (without the attributes)
+function toCsv(records) {
+  const flatten = (record, prefix = '') => Object.entries(record).filter(([key]) => key !== 'attributes').flatMap(([key, value]) =>
+    value !== null && typeof value === 'object' ? flatten(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]);
+  const flatRecords = records.map((record) => Object.fromEntries(flatten(record)));
+  const columns = [...new Set(flatRecords.flatMap(Object.keys))];
+  const quote = (value) => value === null || value === undefined ? '' : `"${String(value).replace(/"/g, '""')}"`;
+  return [columns.join(','), ...flatRecords.map((record) => columns.map((column) => quote(record[column])).join(','))].join('\n') + '\n';
+}
+
+export async function startSfdcStub() {
+  let records = [];
+  let pageSize = 2000;
+  // OAuth error response, eg, {status: 400, body: {error: 'invalid_grant', error_description: 'authentication failure'}}
+  let oAuthError = null;
+  // every request the stub received: [{method, path, query, body}]
+  let requests = [];
+  // bulk query job: {pollsUntilComplete, finalState}, and the job state checks so far
+  let bulkJob = { pollsUntilComplete: 0, finalState: 'JobComplete' };
+  let bulkJobPolls = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const { pathname, query } = url.parse(req.url, true);
+      requests.push({ method: req.method, path: pathname, query, body });
+      const send = (status, data) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (pathname === OAUTH_PATH) {
+        return oAuthError ?
+          send(oAuthError.status, oAuthError.body) :
+          send(200, { access_token: ACCESS_TOKEN, instance_url: baseUrl, token_type: 'Bearer', issued_at: String(Date.now()) });
+      }
+      if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+        return send(401, [{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]);
+      }
+      if (QUERY_PATH_PATTERN.test(pathname) || pathname.startsWith(`${NEXT_RECORDS_PATH}-`)) {
+        const offset = QUERY_PATH_PATTERN.test(pathname) ? 0 : parseInt(pathname.split('-').pop(), 10);
+        const nextOffset = offset + pageSize;
+        const done = nextOffset >= records.length;
+        return send(200, {
+          totalSize: records.length,
+          done,
+          ...(!done && { nextRecordsUrl: `${NEXT_RECORDS_PATH}-${nextOffset}` }),
+          records: records.slice(offset, nextOffset),
+        });
+      }
+      const bulkJobsMatch = pathname.match(BULK_JOBS_PATH_PATTERN);
+      if (bulkJobsMatch && req.method === 'POST' && !bulkJobsMatch[2]) {
+        return send(200, { id: BULK_JOB_ID, operation: 'query', object: 'Lead_Post__c', state: 'UploadComplete' });
+      }
+      if (bulkJobsMatch && bulkJobsMatch[2] !== BULK_JOB_ID) {
+        return send(404, [{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+      }
+      if (bulkJobsMatch && !bulkJobsMatch[3]) {
+        bulkJobPolls++;
+        const complete = bulkJobPolls > bulkJob.pollsUntilComplete;
+        return send(200, {
+          id: BULK_JOB_ID,
+          state: complete ? bulkJob.finalState : 'InProgress',
+          numberRecordsProcessed: complete ? records.length : 0,
+          ...(complete && bulkJob.finalState === 'Failed' && { errorMessage: 'INVALID_FIELD: No such column' }),
+        });
+      }
+      if (bulkJobsMatch) {
+        const offset = parseInt(query.locator ?? '0', 10);
+        const nextOffset = offset + Math.min(pageSize, parseInt(query.maxRecords ?? pageSize, 10));
+        res.writeHead(200, { 'content-type': 'text/csv', 'sforce-locator': nextOffset < records.length ? String(nextOffset) : 'null' });
+        return res.end(toCsv(records.slice(offset, nextOffset)));
+      }
+      return send(404, [{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.SFDC_OAUTH_URL = `${baseUrl}${OAUTH_PATH}`;
+
+  return {
+    baseUrl,
+    setRecords(newRecords, options = {}) {
+      records = newRecords;
+      pageSize = options.pageSize ?? 2000;
+    },
+    setBulkJob(job) {
+      bulkJob = { ...bulkJob, ...job };
+      bulkJobPolls = 0;
+    },
+    setOAuthError(error) {
+      oAuthError = error;
+    },
+    getRequests() {
+      return requests;
+    },
+    reset() {
+      records = [];
+      pageSize = 2000;
+      oAuthError = null;
+      requests = [];
+      bulkJob = { pollsUntilComplete: 0, finalState: 'JobComplete' };
+      bulkJobPolls = 0;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * SOQL query builder (see ../utils/soqlbuilder.js)
+ */
+import {
+  and,
+  buildSoqlQuery,
+  dateTimeBetween,
+  equals,
+  escapeSoqlString,
+  inList,
+  isNotNull,
+  isNull,
+  not,
+  notEquals,
+  notInList,
+  or,
+  relationshipFields,
+  toSoqlLiteral,
+  LITERAL_DATE,
+  LITERAL_DATETIME,
+} from '../utils/soqlbuilder';
+import { MarketingApiConfigError, MarketingApiValidationError } from '../utils/errors';
+
+describe('toSoqlLiteral', () => {
+  test('escapes the strings', () => {
+    expect(escapeSoqlString('O\'Brien "Bob" \\ \n')).toBe('O\\\'Brien \\"Bob\\" \\\\ \\n');
+    expect(toSoqlLiteral('x\' OR Name != \'')).toBe('\'x\\\' OR Name != \\\'\'');
+  });
+
+  test('typed literals', () => {
+    expect(toSoqlLiteral(null)).toBe('null');
+    expect(toSoqlLiteral(10)).toBe('10');
+    expect(toSoqlLiteral(false)).toBe('false');
+    expect(toSoqlLiteral(new Date('2023-03-05T08:00:00.000Z'))).toBe('2023-03-05T08:00:00.000Z');
+    expect(toSoqlLiteral('2023-3-5T08:00:00.000Z', LITERAL_DATETIME)).toBe('2023-03-05T08:00:00.000Z');
+    expect(toSoqlLiteral('2023-03-05', LITERAL_DATE)).toBe('2023-03-05');
+  });
+
+  test('values that are not valid for the type', () => {
+    expect(() => toSoqlLiteral('2023-03-05\' OR Id != null', LITERAL_DATE)).toThrow(MarketingApiValidationError);
+    expect(() => toSoqlLiteral('yesterday', LITERAL_DATETIME)).toThrow(MarketingApiValidationError);
+    expect(() => toSoqlLiteral(NaN)).toThrow(MarketingApiValidationError);
+  });
+});
+
+describe('filters', () => {
+  test('comparisons and null checks', () => {
+    expect(equals('Marketing_Code__c', 'MMI').soql).toBe('Marketing_Code__c = \'MMI\'');
+    expect(notEquals('Amount__c', 0).soql).toBe('Amount__c != 0');
+    expect(isNull('Email__c').soql).toBe('Email__c = null');
+    expect(isNotNull('Opportunity__r.StageName').soql).toBe('Opportunity__r.StageName != null');
+  });
+
+  test('IN lists', () => {
+    expect(inList('StageName', ['Application', 'Enrolled']).soql).toBe('StageName IN (\'Application\', \'Enrolled\')');
+    expect(notInList('Amount__c', [1, 2]).soql).toBe('Amount__c NOT IN (1, 2)');
+    expect(() => inList('StageName', [])).toThrow(MarketingApiValidationError);
+  });
+
+  test('logical filters', () => {
+    expect(dateTimeBetween('CreatedDate', '2023-03-04T08:00:00.000Z', '2023-03-05T08:00:00.000Z').soql)
+      .toBe('(CreatedDate > 2023-03-04T08:00:00.000Z AND CreatedDate < 2023-03-05T08:00:00.000Z)');
+    expect(or(isNull('A__c'), and(equals('B__c', true), not(isNull('C__c')))).soql)
+      .toBe('(A__c = null OR (B__c = true AND (NOT C__c = null)))');
+  });
+
+  test('field names are checked', () => {
+    expect(() => equals('Name = \'x\' OR Id', 'y')).toThrow(MarketingApiConfigError);
+    expect(() => relationshipFields('Opportunity__r', ['Stage Name'])).toThrow(MarketingApiConfigError);
+  });
+});
+
+describe('buildSoqlQuery', () => {
+  test('select, where, order by and limit', () => {
+    expect(buildSoqlQuery({
+      select: ['Id', 'Email__c', ...relationshipFields('Opportunity__r', ['StageName']), 'Id'],
+      from: 'Lead_Post__c',
+      where: [isNotNull('Opportunity__c'), notEquals('First_Name__c', 'AAUTest')],
+      orderBy: ['CreatedDate', { field: 'Opportunity__r.Application_Date__c', direction: 'desc', nulls: 'last' }],
+      limit: 10,
+    })).toBe('SELECT Id, Email__c, Opportunity__r.StageName FROM Lead_Post__c WHERE Opportunity__c != null AND First_Name__c != \'AAUTest\' ' +
+      'ORDER BY CreatedDate ASC, Opportunity__r.Application_Date__c DESC NULLS LAST LIMIT 10');
+  });
+
+  test('only the filter helpers build the WHERE clause', () => {
+    expect(() => buildSoqlQuery({ select: ['Id'], from: 'Lead_Post__c', where: ['Id != null'] })).toThrow(MarketingApiConfigError);
+  });
+
+  test('invalid queries', () => {
+    expect(() => buildSoqlQuery({ select: [], from: 'Lead_Post__c' })).toThrow(MarketingApiConfigError);
+    expect(() => buildSoqlQuery({ select: ['Id'], from: 'Lead_Post__c', limit: 0 })).toThrow(MarketingApiConfigError);
+    expect(() => buildSoqlQuery({ select: ['Id'], from: 'Lead_Post__c', orderBy: [{ field: 'Id', direction: 'UP' }] })).toThrow(MarketingApiConfigError);
+  });
+});
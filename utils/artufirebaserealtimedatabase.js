@@ -1,8 +1,23 @@
-import '../utils/config';
-import { initializeApp } from "firebase/app";
-import { getDatabase, ref, child, get, set, update, remove, push } from "firebase/database";
+/**
+ * Firebase Realtime Database storage (see the storage interface in ./storage.js)
+ *
+ * Firebase docs: https://firebase.google.com/docs/database/web/read-and-write
+ *
+ * Every method logs and then throws a MarketingApiStorageError (with the Firebase error as its `cause`) if the call fails,
+ * so eg, a checkpoint that was not saved fails the request instead of being reported as a success
+ */
 import {
-  getLogDate,
+  getConfig,
+  CONFIG_FIREBASE,
+} from '../utils/config';
+import { getApp, getApps, initializeApp } from "firebase/app";
+import {
+  getDatabase, ref, child, get, set, update, remove, push, runTransaction,
+  query, orderByChild, orderByKey, orderByValue, startAt, endAt, equalTo, limitToFirst, limitToLast,
+} from "firebase/database";
+import { formatLogEntry } from '../utils/logger';
+import {
+  MarketingApiStorageError,
   INFO,
   WARNING,
   ERROR,
@@ -12,35 +27,22 @@ export default class ArtuFirebaseRealTimeDatabase {
   static db;
 
   constructor(requestId = null) {
-    const app = initializeApp(this.#getConfig()); 
-    this.db = getDatabase();
+    // initialize the app only once: a warm serverless instance reuses the module for later requests, and
+    // initializeApp() throws if the (default) app already exists
+    const app = getApps().length ? getApp() : initializeApp(getConfig(CONFIG_FIREBASE));
+    this.db = getDatabase(app);
     this.requestId = requestId ?? 'Optional request ID not provided';
   }
 
-  #getConfig() {
-    // Config source: the Project's App settings:
-    // https://console.firebase.google.com/project/marketing-api-dcf84/settings/general/web:NDU5NTI3MjItNDJiOC00YTk0LTkwZTMtMWU3Nzg1MjY2NDZl
-    return {
-      apiKey: process.env.FIREBASE_API_KEY,
-      authDomain: process.env.FIREBASE_AUTH_DOMAIN,
-      projectId: process.env.FIREBASE_PROJECT_ID,
-      storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
-      messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
-      appId: process.env.FIREBASE_APP_ID,
-      // from: https://console.firebase.google.com/project/marketing-api-dcf84/database/marketing-api-dcf84-default-rtdb/data
-      databaseURL: process.env.FIREBASE_DATABASE_URL
-    };
-  }
-
   async createData(rootElementName, childKey, dataObj) {
+    // to save an array as value, call this method with a null childKey and dataObj as {myArray: [ ... ]}
+    const path = getPath(rootElementName, childKey);
     try {
-      // to save an array as value, call this method with a null childKey and dataObj as {myArray: [ ... ]}
-      const path = childKey ? `${rootElementName}/${childKey}` : rootElementName;
       await set(ref(this.db, path), dataObj)
-      console.log(this.createLogMessage(INFO, 'createData', `Data created successfully using:  ${JSON.stringify({rootElementName, childKey, dataObj})}`));
+      console.log(this.createLogMessage(INFO, 'createData', `Data created successfully`, null, {rootElementName, childKey, dataObj}));
     }
     catch(err) {
-      console.log(this.createLogMessage(ERROR, 'createData', `Exception caught using: ${JSON.stringify({rootElementName, childKey, dataObj})}`, err));
+      throw this.#storageError('createData', path, err, {rootElementName, childKey, dataObj});
     };
   }
 
@@ -53,65 +55,130 @@ export default class ArtuFirebaseRealTimeDatabase {
       const listRef = ref(this.db, rootElementName);
       const newRef = push(listRef); // auto generated key
       await set(newRef, dataObj)
-      console.log(this.createLogMessage(INFO, 'createDataWithAutoKey',  `Data with auto key created successfully using: ${JSON.stringify({rootElementName, newRef, dataObj})}`));
+      console.log(this.createLogMessage(INFO, 'createDataWithAutoKey', `Data with auto key created successfully`, null, {rootElementName, key: newRef.key, dataObj}));
+      return newRef.key;
     }
     catch(err) {
-      console.log(this.createLogMessage(ERROR, 'createDataWithAutoKey', `Exception caught using:  ${JSON.stringify({rootElementName, newRef, dataObj})}`, err));
+      throw this.#storageError('createDataWithAutoKey', rootElementName, err, {rootElementName, dataObj});
     };
   }
-  
+
+  // returns null if there is no data at the path
   async readData(rootElementName, childKey) {
-    let data = null;
+    const path = getPath(rootElementName, childKey);
+    let snapshot = null;
     try {
-      const dbref = ref(this.db);
-      const path = childKey ? `${rootElementName}/${childKey}` : rootElementName;
-      const snapshot = await get(child(dbref, path));
-      if (snapshot.exists()) {
-        data = snapshot.val();
-        console.log(this.createLogMessage(INFO, 'readData', `Data for path '${path}' using: ${JSON.stringify({rootElementName, childKey})} : ${JSON.stringify(data)}`));
-      }
-      else {
-        console.log(this.createLogMessage(WARNING, 'readData', `No data found for path ${path} using: ${JSON.stringify({rootElementName, childKey})}`));
-      }
+      snapshot = await get(child(ref(this.db), path));
     }
     catch(err) {
-      console.log(this.createLogMessage(ERROR, 'readData', `Exception caught using: ${JSON.stringify({rootElementName, childKey})}`, err));
+      throw this.#storageError('readData', path, err, {rootElementName, childKey});
+    }
+    if (!snapshot.exists()) {
+      console.log(this.createLogMessage(WARNING, 'readData', `No data found for path ${path}`, null, {rootElementName, childKey}));
+      return null;
+    }
+    const data = snapshot.val();
+    console.log(this.createLogMessage(INFO, 'readData', `Data for path '${path}'`, null, {rootElementName, childKey, data}));
+    return data;
+  }
+
+  /**
+   * Read only the matching children of the path (instead of the whole subtree): https://firebase.google.com/docs/database/web/lists-of-data#sorting_and_filtering_data
+   *
+   * options (all optional; sorted by key if neither orderByChild nor orderByValue is set):
+   *  - orderByChild: child path to sort by, eg, 'createdAt' (add an `.indexOn` rule for it in the database rules)
+   *  - orderByValue: true to sort by the children's values
+   *  - startAt, endAt, equalTo: range filters on the sort value
+   *  - limitToFirst, limitToLast: max number of children from the start/end of the sorted children
+   *
+   * Returns the sorted children: [{key, data}]
+   */
+  async queryData(rootElementName, childKey, options = {}) {
+    const path = getPath(rootElementName, childKey);
+    const isOrderByKey = !options.orderByChild && !options.orderByValue;
+    // keys are strings, so range filters on keys must be too
+    const rangeValue = (value) => isOrderByKey ? String(value) : value;
+    const queryConstraints = [
+      options.orderByChild ? orderByChild(options.orderByChild) : (options.orderByValue ? orderByValue() : orderByKey()),
+      ...(options.startAt !== undefined ? [startAt(rangeValue(options.startAt))] : []),
+      ...(options.endAt !== undefined ? [endAt(rangeValue(options.endAt))] : []),
+      ...(options.equalTo !== undefined ? [equalTo(rangeValue(options.equalTo))] : []),
+      ...(options.limitToFirst ? [limitToFirst(options.limitToFirst)] : []),
+      ...(options.limitToLast ? [limitToLast(options.limitToLast)] : []),
+    ];
+    try {
+      const snapshot = await get(query(ref(this.db, path), ...queryConstraints));
+      let children = [];
+      // the snapshot's val() is an object, which loses the sort order, so read the children in order
+      snapshot.forEach((childSnapshot) => {
+        children.push({ key: childSnapshot.key, data: childSnapshot.val() });
+      });
+      console.log(this.createLogMessage(INFO, 'queryData', `Query for path '${path}' matched [${children.length}] children`, null, {rootElementName, childKey, options}));
+      return children;
     }
-    finally {
-      return data;
+    catch(err) {
+      throw this.#storageError('queryData', path, err, {rootElementName, childKey, options});
     }
   }
-    
+
   async updateData(rootElementName, childKey, dataObj) {
+    const path = getPath(rootElementName, childKey);
     try {
-      await update(ref(this.db, `${rootElementName}/${childKey}`), dataObj)
-      console.log(this.createLogMessage(INFO, 'updateData', `Data updated successfully using: ${JSON.stringify({rootElementName, childKey, dataObj})}`));
+      await update(ref(this.db, path), dataObj)
+      console.log(this.createLogMessage(INFO, 'updateData', `Data updated successfully`, null, {rootElementName, childKey, dataObj}));
     }
     catch(err) {
-      console.log(this.createLogMessage(ERROR, 'updateData', `Exception caught using: ${JSON.stringify({rootElementName, childKey, dataObj})}`, err));
+      throw this.#storageError('updateData', path, err, {rootElementName, childKey, dataObj});
     };
   }
-  
+
   async deleteData(rootElementName, childKey) {
+    const path = getPath(rootElementName, childKey);
     try {
-      const path = childKey ? `${rootElementName}/${childKey}` : rootElementName;
       await remove(ref(this.db, path));
-      console.log(this.createLogMessage(INFO, 'deleteData', `Data deleted successfully using: ${JSON.stringify({rootElementName, childKey})}`));
+      console.log(this.createLogMessage(INFO, 'deleteData', `Data deleted successfully`, null, {rootElementName, childKey}));
+    }
+    catch(err) {
+      throw this.#storageError('deleteData', path, err, {rootElementName, childKey});
+    };
+  }
 
+  // Transactions for read-modify-write data (eg, appending to an array): https://firebase.google.com/docs/database/web/read-and-write#save_data_as_transactions
+  // updateFn may be called more than once (with null first if the data is not cached locally), so it must not have side effects
+  async transactionData(rootElementName, childKey, updateFn) {
+    const path = getPath(rootElementName, childKey);
+    try {
+      const { committed, snapshot } = await runTransaction(ref(this.db, path), updateFn);
+      const data = snapshot.val();
+      console.log(this.createLogMessage(INFO, 'transactionData', `Transaction ${committed ? 'committed' : 'aborted'}`, null, {rootElementName, childKey, data}));
+      return { committed, data };
     }
     catch(err) {
-      console.logconsole.log(this.createLogMessage(ERROR, 'deleteData', `Exception caught using: ${JSON.stringify({rootElementName, childKey})}`));
+      throw this.#storageError('transactionData', path, err, {rootElementName, childKey});
     };
   }
 
-  createLogMessage(level, source, msg, err = null) {
-    return([
-      this.requestId,
-      getLogDate(),
+  // log the failed call and wrap the Firebase error
+  #storageError(operation, path, err, context) {
+    console.log(this.createLogMessage(ERROR, operation, `Exception caught`, err, context));
+    return new MarketingApiStorageError(`Storage ${operation} failed for path '${path}': ${err?.message ?? err}`, { cause: err, operation, path });
+  }
+
+  /**
+   * Log entry (JSON line, see ./logger.js); context (optional) is redacted before it is written
+   */
+  createLogMessage(level, source, msg, err = null, context = null) {
+    return formatLogEntry({
       level,
-      `ArtuFirebaseRealTimeDatabase.${source}()`,
-      msg,
-      err ? err : null
-    ].join(' | '));
+      source: `ArtuFirebaseRealTimeDatabase.${source}()`,
+      message: msg,
+      requestId: this.requestId,
+      context,
+      error: err,
+    });
   }
-}
\ No newline at end of file
+}
+
+function getPath(rootElementName, childKey) {
+  return childKey ? `${rootElementName}/${childKey}` : rootElementName;
+}
@@ -0,0 +1,236 @@
+/**
+ * API authorization
+ *
+ * I. Bearer JWT (preferred): `Authorization: Bearer <jwt>` request header
+ *
+ *    The JWT signature is verified (see verifyJTW() in ./common.js) with, in order of precedence:
+ *      - MARKETING_API_JWKS_URI:       JWKS document of the authorization server, eg, https://<tenant>.auth0.com/.well-known/jwks.json
+ *      - MARKETING_API_JWT_PUBLIC_KEY: PEM public key (or certificate)
+ *      - MARKETING_API_JWT_SECRET:     HMAC shared secret
+ *    and optionally its audience (MARKETING_API_JWT_AUDIENCE) and issuer (MARKETING_API_JWT_ISSUER). MARKETING_API_JWT_ALGORITHMS
+ *    (comma delimited) overrides the allowed algorithms: RS* or ES* with the JWKS or the public key (default RS256), HS* with the
+ *    secret (default HS256). An HMAC algorithm is never allowed with a public key, which anyone may have (algorithm confusion:
+ *    https://auth0.com/blog/critical-vulnerabilities-in-json-web-token-libraries/). The token must have a `sub` claim (the caller).
+ *
+ *    The token's scopes (the space delimited `scope` claim, the Auth0 `permissions` claim and the claim named by
+ *    MARKETING_API_JWT_SCOPES_CLAIM) say what the caller may run:
+ *      - report:<requestType>  run the report, eg, report:googleSearchAdsConversions (report:* for every report)
+ *      - env:<environment>     run against the SFDC environment, eg, env:uat (env:* for every environment)
+ *      - other endpoint scopes, eg, runs:read, config:read, scheduler:run
+ *
+ * II. API key (deprecated): the `Authorization` URL query param compared (timing safe) to the environment's MARKETING_API_KEY,
+ *    eg, MARKETING_API_KEY_UAT for uat (see ./config.js)
+ *
+ *    The API key grants every scope for its environment: the env:<environment> scopes of the other environments are not granted,
+ *    eg, the prod API key cannot run a report against uat. Disable it with MARKETING_API_KEY_AUTH=disabled once every
+ *    caller sends a JWT.
+ */
+import {
+  getConfig,
+  CONFIG_API_KEY,
+} from '../utils/config';
+import crypto from 'crypto';
+import {
+  decodeJWT,
+  getLogMessage,
+  verifyJTW,
+  MarketingApiAuthorizationError,
+  MarketingApiConfigError,
+  MarketingApiForbiddenError,
+  AUTHORIZATION,
+  INFO,
+  WARNING,
+} from '../utils/common';
+import { requestWithRetry } from '../utils/http';
+
+export const AUTH_METHOD_JWT = 'jwt';
+export const AUTH_METHOD_API_KEY = 'apiKey';
+export const ANY_SCOPE = '*';
+export const ENV_SCOPE_PREFIX = 'env:';
+
+// JWT algorithms allowed with the public keys (JWKS or MARKETING_API_JWT_PUBLIC_KEY), and with the shared secret
+const PUBLIC_KEY_ALGORITHMS_REGEX = /^(RS|ES)(256|384|512)$/;
+const SECRET_ALGORITHMS_REGEX = /^HS(256|384|512)$/;
+
+const JWKS_CACHE_TTL_MILLISECONDS = 10 * 60 * 1000;
+// JWKS documents by uri; module level so the cache is shared by requests in the (warm) serverless instance
+const jwksCache = new Map();
+
+/**
+ * Get the bearer token from the Authorization request header; null if none
+ */
+export function getBearerToken(req) {
+  const authorizationHeader = req.headers?.authorization ?? '';
+  const match = authorizationHeader.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Get the scopes granted by the JWT claims
+ */
+export function getTokenScopes(claims) {
+  let scopes = [];
+  if (typeof claims.scope === 'string') {
+    scopes.push(...claims.scope.split(/\s+/));
+  }
+  if (Array.isArray(claims.permissions)) {
+    scopes.push(...claims.permissions);
+  }
+  const scopesClaim = process.env.MARKETING_API_JWT_SCOPES_CLAIM;
+  if (scopesClaim && claims[scopesClaim]) {
+    scopes.push(...(Array.isArray(claims[scopesClaim]) ? claims[scopesClaim] : String(claims[scopesClaim]).split(/\s+/)));
+  }
+  return [...new Set(scopes.filter(Boolean))];
+}
+
+/**
+ * Check if the granted scopes include the required scope; a granted scope of '*' matches every scope
+ * and a granted scope ending in ':*' (eg, report:*) matches every scope with that prefix
+ */
+export function hasScope(grantedScopes, requiredScope) {
+  return grantedScopes.some((grantedScope) =>
+    grantedScope === ANY_SCOPE ||
+    grantedScope === requiredScope ||
+    (grantedScope.endsWith(':*') && requiredScope.startsWith(grantedScope.slice(0, -1))));
+}
+
+/**
+ * Scopes required to run the report against the SFDC environment
+ */
+export function getReportScopes(requestType, environment) {
+  return [`report:${requestType}`, `${ENV_SCOPE_PREFIX}${environment}`];
+}
+
+/**
+ * Check if the caller (see authorizeRequest()) has the scope; an API key only has the env scope of its own environment
+ */
+export function isScopeGranted(caller, scope) {
+  if (caller.method === AUTH_METHOD_API_KEY && scope.startsWith(ENV_SCOPE_PREFIX)) {
+    return scope === `${ENV_SCOPE_PREFIX}${caller.environment}`;
+  }
+  return hasScope(caller.scopes, scope);
+}
+
+/**
+ * Check that the caller (see authorizeRequest()) has the scopes, eg, the scopes that are only known once the caller is authenticated
+ *
+ * Throws a MarketingApiForbiddenError (http status 403) if the caller does not have the scopes
+ */
+export function checkScopes(caller, scopes) {
+  const missingScopes = scopes.filter((scope) => !isScopeGranted(caller, scope));
+  if (missingScopes.length) {
+    throw new MarketingApiForbiddenError(`Caller '${caller.subject}' is missing the scope(s): ${missingScopes.join(', ')}`);
+  }
+}
+
+/**
+ * Get the key to verify the JWT signature: {key, algorithms}
+ */
+async function getVerificationKey(token, requestId) {
+  if (process.env.MARKETING_API_JWKS_URI) {
+    const kid = decodeJWT(token)?.header?.kid;
+    const jwks = await getJwks(process.env.MARKETING_API_JWKS_URI, requestId);
+    const jwk = jwks.keys.find((key) => key.kid === kid) ?? (jwks.keys.length === 1 ? jwks.keys[0] : null);
+    if (!jwk) {
+      throw new MarketingApiAuthorizationError(`JWT signing key '${kid}' not found in the JWKS document`);
+    }
+    // JWK => PEM: https://nodejs.org/api/crypto.html#cryptocreatepublickeykey
+    return {
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' }),
+      algorithms: getAlgorithms('RS256', PUBLIC_KEY_ALGORITHMS_REGEX, 'MARKETING_API_JWKS_URI'),
+    };
+  }
+  if (process.env.MARKETING_API_JWT_PUBLIC_KEY) {
+    // newlines may be escaped as \n in the env variable
+    return {
+      key: process.env.MARKETING_API_JWT_PUBLIC_KEY.replace(/\\n/g, '\n'),
+      algorithms: getAlgorithms('RS256', PUBLIC_KEY_ALGORITHMS_REGEX, 'MARKETING_API_JWT_PUBLIC_KEY'),
+    };
+  }
+  if (process.env.MARKETING_API_JWT_SECRET) {
+    return { key: process.env.MARKETING_API_JWT_SECRET, algorithms: getAlgorithms('HS256', SECRET_ALGORITHMS_REGEX, 'MARKETING_API_JWT_SECRET') };
+  }
+  throw new MarketingApiAuthorizationError(`JWT authorization is not configured (MARKETING_API_JWKS_URI, MARKETING_API_JWT_PUBLIC_KEY or MARKETING_API_JWT_SECRET)`);
+}
+
+/**
+ * Allowed algorithms of the key: MARKETING_API_JWT_ALGORITHMS, or else the default algorithm
+ *
+ * Throws a MarketingApiConfigError if MARKETING_API_JWT_ALGORITHMS has an algorithm that is not allowed with the key (see above)
+ */
+function getAlgorithms(defaultAlgorithm, allowedAlgorithmsRegex, keyEnvName) {
+  const algorithms = (process.env.MARKETING_API_JWT_ALGORITHMS || defaultAlgorithm).split(',').map((algorithm) => algorithm.trim()).filter(Boolean);
+  const disallowedAlgorithms = algorithms.filter((algorithm) => !allowedAlgorithmsRegex.test(algorithm));
+  if (disallowedAlgorithms.length) {
+    throw new MarketingApiConfigError(`Invalid MARKETING_API_JWT_ALGORITHMS: ${disallowedAlgorithms.join(', ')} cannot be used with ${keyEnvName}`);
+  }
+  return algorithms;
+}
+
+async function getJwks(jwksUri, requestId) {
+  const cachedJwks = jwksCache.get(jwksUri);
+  if (cachedJwks && cachedJwks.expiresAt > Date.now()) {
+    return cachedJwks.jwks;
+  }
+  const response = await requestWithRetry({ url: jwksUri, method: 'GET' }, { requestId, source: 'getJwks()' });
+  jwksCache.set(jwksUri, { jwks: response.data, expiresAt: Date.now() + JWKS_CACHE_TTL_MILLISECONDS });
+  return response.data;
+}
+
+/**
+ * Compare the API keys in constant time (hash both so the buffers have the same length for timingSafeEqual)
+ */
+export function isApiKeyMatch(apiKey, expectedApiKey) {
+  if (!apiKey || !expectedApiKey) {
+    return false;
+  }
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(apiKey), hash(expectedApiKey));
+}
+
+/**
+ * Authorize the request with the bearer JWT or (deprecated) API key
+ *
+ * options:
+ *  - environment: SFDC environment profile, eg, 'prod' or 'uat' (see ../utils/config.js); also selects the API key
+ *  - scopes:      scopes the caller must have, eg, getReportScopes(requestType, environment)
+ *
+ * Returns the caller: {method, subject, scopes, environment}
+ * Throws a MarketingApiAuthorizationError (http status 401) if the request is not authenticated, or a
+ * MarketingApiForbiddenError (http status 403) if the caller does not have the scopes
+ */
+export async function authorizeRequest(req, res, requestId, { environment, scopes = [] }) {
+  let caller = null;
+  const token = getBearerToken(req);
+  if (token) {
+    const { key, algorithms } = await getVerificationKey(token, requestId);
+    const { isJWTverified, decoded } = verifyJTW(token, key, algorithms, {
+      audience: process.env.MARKETING_API_JWT_AUDIENCE || undefined,
+      issuer: process.env.MARKETING_API_JWT_ISSUER || undefined,
+    });
+    if (!isJWTverified) {
+      throw new MarketingApiAuthorizationError(`JWT verification failed`);
+    }
+    if (typeof decoded.sub !== 'string' || !decoded.sub) {
+      throw new MarketingApiAuthorizationError(`JWT has no sub claim`);
+    }
+    caller = { method: AUTH_METHOD_JWT, subject: decoded.sub, scopes: getTokenScopes(decoded), environment };
+  }
+  else if (process.env.MARKETING_API_KEY_AUTH !== 'disabled' && req.query?.[AUTHORIZATION]) {
+    const { apiKey: expectedApiKey } = getConfig(CONFIG_API_KEY, environment);
+    if (!isApiKeyMatch(req.query[AUTHORIZATION], expectedApiKey)) {
+      throw new MarketingApiAuthorizationError(`API key authorization failed`);
+    }
+    console.log(getLogMessage(req, res, requestId, null, WARNING,
+      `Deprecated API key authorization used; send an 'Authorization: Bearer <jwt>' header instead`));
+    // the API key is per environment, so it grants every scope of its environment (see isScopeGranted())
+    caller = { method: AUTH_METHOD_API_KEY, subject: AUTH_METHOD_API_KEY, scopes: [ANY_SCOPE], environment };
+  }
+  else {
+    throw new MarketingApiAuthorizationError(`Missing 'Authorization: Bearer <jwt>' request header`);
+  }
+
+  checkScopes(caller, scopes);
+  console.log(getLogMessage(req, res, requestId, null, INFO, `Authorized caller '${caller.subject}' using ${caller.method}`));
+  return caller;
+}
@@ -1,16 +1,46 @@
-import Mailgun from 'mailgun.js';
-import FormData from 'form-data';
 import jwt from 'jsonwebtoken'; // installing requires `yarn add jsonwebtoken` and `yarn add @types/jsonwebtoken` or will get module not found error
 import axios from 'axios';
+import {
+  getNotificationChannels,
+  notify,
+  MAILGUN,
+} from '../utils/notifier';
+import {
+  getConfig,
+  CONFIG_AUTH0,
+} from '../utils/config';
+import {
+  formatLogEntry,
+  startRequestTimer,
+  MASKED_FOR_SECURITY,
+} from '../utils/logger';
+import {
+  getErrorBody,
+  getErrorPolicy,
+  MarketingApiDeliveryError,
+} from '../utils/errors';
 
 export const INFO = 'INFO';
 export const WARNING = 'WARNING';
 export const ERROR = 'ERROR';
 export const NA = 'N/A';
 export const AUTHORIZATION = 'Authorization';
-export const MASKED_FOR_SECURITY = '*** masked for security ***';
+export { MASKED_FOR_SECURITY };
+// the error types (see ./errors.js) are also exported here, where the endpoints and utils import them from
+export {
+  MarketingApiError,
+  MarketingApiAuthorizationError,
+  MarketingApiForbiddenError,
+  MarketingApiValidationError,
+  MarketingApiSfdcError,
+  MarketingApiStorageError,
+  MarketingApiDeliveryError,
+  MarketingApiConfigError,
+  MarketingApiLimitError,
+  MarketingApiConflictError,
+} from '../utils/errors';
 
-const TIMEZONE = 'America/Los_Angeles';
+export const TIMEZONE = 'America/Los_Angeles';
 
 export function getLogDate() { 
   try {
@@ -31,20 +61,29 @@ export function getLogDate() {
   } 
 }
 
-export function getLogMessage(req, res, requestId, requestMethod, status, message) {
+/**
+ * Log entry (JSON line, see ./logger.js) for the request; context (optional) is an object with details for the log entry,
+ * eg, {recordCounts}, which is redacted (eg, Email__c values are masked) before it is written
+ */
+export function getLogMessage(req, res, requestId, requestMethod, status, message, context = null) {
   try {
     // the Request object is a Node Request object (not Express Request object)
 
     let requestUrl = sanitizeRequestUrl(req.url);
-    return [
+    return formatLogEntry({
+      level: status,
+      source: (requestUrl ?? '').split('?')[0],
+      message,
       requestId,
-      getLogDate(),
-      req.headers['user-agent'] ?? 'N/A',
-      requestMethod ? requestMethod : req.method,
-      (req.headers.host ?? '') + requestUrl,
-      status,
-      message
-    ].join(' | ');
+      context: {
+        request: {
+          method: requestMethod ? requestMethod : req.method,
+          url: (req.headers.host ?? '') + requestUrl,
+          userAgent: req.headers['user-agent'] ?? NA,
+        },
+        ...context,
+      },
+    });
   }
   catch (err) {
     handleGenericError(`Exception caught in utils/common.js::getLogMessage()`, err);
@@ -80,95 +119,88 @@ export function sanitizeUrlQueryParams(queryParamsObj) {
   return sanitizedQueryParamsObj;
 }
 
+/**
+ * URL query params are strings; treat 'true' (any case) and '1' as true
+ */
+export function isTrueParam(value) {
+  return ['true', '1'].includes(String(value ?? '').toLowerCase());
+}
+
 export function getRequestId() {
   try {
     // getLogDate() output example: 11/04/2022, 02:08:12.884 AM PDT
-    return getLogDate().replace(/^(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})\.(\d{3}).*$/, '$3$1$2$4$5$6$7');    
+    const requestId = getLogDate().replace(/^(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})\.(\d{3}).*$/, '$3$1$2$4$5$6$7');
+    // start of the request, for the durationMs of its log entries
+    startRequestTimer(requestId);
+    return requestId;
   }
   catch (err) {
     handleGenericError(`Exception caught in utils/common.js::getRequestId()`, err);
   }
 }
 
-export function handleApiError(error, requestId, req, res) {
-  /*
-   * determine if API response error or other types of error (eg, code, runtime, etc.)
-   */
-  let errorContent = null;
-  let errorObj = error;
-  let errorCode = ERROR;
+/**
+ * Log the error, send the alert (to the notifications channels for the severity, see ./notifier.js) and respond with the
+ * error body, by the error type's policy (see ./errors.js)
+ *
+ * policyOverride (optional) overrides the error's policy for the endpoint, eg, a webhook endpoint whose caller must ALWAYS
+ * get http status 200 to know its POST data was received (eg, SlickText: https://api.slicktext.com/webhooks/setup.php#3)
+ * passes {statusCode: 200}
+ */
+export function handleApiError(error, requestId, req, res, notifications = null, policyOverride = null) {
   const requestUrl = sanitizeRequestUrl(req.url);
+  let severity = ERROR;
   try {
-    // NOTE: API (vs. code) error object has a 'response' object so need to access it to get friendly error message
-    // reference: https://axios-http.com/docs/handling_errors
-    if (error.response) {
-      if (error.response.data) { 
-        errorObj = error.response.data; 
-        if (errorObj.message && (
-            errorObj.message.match(/Tour\/Open House Date.*?is in the past to attend/i) ||
-            errorObj.message.match(/An active NTX Service Indicator already exists/i)
-          )
-        ) { 
-            errorCode = WARNING; 
-          }
-      }
-      else { errorObj = error.response; }
-    }
-    // try to set the error to a string so it's easier to read in the log
-    try { 
-      errorContent = JSON.stringify(errorObj);
-      // if the error is a coding error, then JSON.stringify will not error out, but will return a useless empty object string, '{}'
-      if (errorContent === '{}') {
-        errorContent = errorObj;
-      }
+    const policy = { ...getErrorPolicy(error), ...policyOverride };
+    severity = policy.severity;
+    const errorBody = getErrorBody(error, requestId);
+    // log the error itself (vs. the error body) so the log entry has the actual error details, eg, the stack and cause
+    console.log(getLogMessage(req, res, requestId, NA, severity, `Exception caught in ${requestUrl}`, { statusCode: policy.statusCode, error }));
+    const respond = () => res.status(policy.statusCode).json(errorBody);
+    if (!policy.notify) {
+      respond();
+      return;
     }
-    // catch possible circular reference error converting obj to string
-    catch (e) { errorContent = errorObj; }
     /*
-     * Send email using Mailgun JS API: https://github.com/mailgun/mailgun.js
+     * Send the alert to the channels for the severity (see ./notifier.js), then respond
+     * (the serverless function may be stopped once it responds); a failure to send the alert is logged, and must not keep the response
      */
-    const mailgun = new Mailgun(FormData);
-    const mg = mailgun.client({
-      username: process.env.MAILGUN_USERNAME,
-      key: process.env.MAILGUN_API_KEY,
-    });
-    mg.messages.create(process.env.MAILGUN_DOMAIN, {
-      from: 'stevedvu@gmail.com',
-      to: 'svu@academyart.edu',
-      subject: `[${errorCode}] ${requestUrl}`,
-      // if setting email content to an object, may get `source.on` error, so just reference the log to see details
-      text: typeof errorContent === 'object' ? `Could not embed error object in Mailgun content; see error log ID ${requestId}` : 
-        `${errorContent}\n\nRequest ID: ${requestId}`,
-    })
-      .then((msg) => console.log(getLogMessage(req, res, requestId, NA, INFO, `Email successfully sent: ${JSON.stringify(msg)}`)))
-      .catch((mailError) => console.log(getLogMessage(req, res, requestId, NA, ERROR, `Exception caught sending email: ${JSON.stringify(mailError)}`)))
-      .finally (() => {
-        if (typeof errorContent === 'object') {
-          // output the error object outside the string so get actual error details instead of `[object Object]`
-          console.log(getLogMessage(req, res, requestId, NA, errorCode, `Exception caught in ${requestUrl}:\n`), errorContent);
-        } else {
-          console.log(getLogMessage(req, res, requestId, NA, errorCode, `Exception caught in ${requestUrl}: ${errorContent}`));
-        }
-        let errorStatusCode = error.response ? error.response.status : 500;
-        // if call is from slicktextwebhook, ALWAYS send a status 200 back to Slicktext to tell it you've received its POST data
-        // reference: https://api.slicktext.com/webhooks/setup.php#3
-        if (req.url.match(/slicktextwebhook/i)) { errorStatusCode = 200; }
-        res.status(errorStatusCode).json(errorObj);
-      });    
+    alertError(error, requestId, req, res, requestUrl, notifications, severity)
+      .catch((err) => console.log(getLogMessage(req, res, requestId, NA, ERROR, `Exception caught sending the alert of ${requestUrl}`, { error: err })))
+      .finally(respond);
   }
   catch (err) {
-    console.log(getLogMessage(req, res, requestId, NA, errorCode, `Exception caught in ./utils/common.js::handleApiError:\n`), err);
+    console.log(getLogMessage(req, res, requestId, NA, severity, `Exception caught in ./utils/common.js::handleApiError`, { error: err }));
   }
 }
 
-export function handleGenericError(msg, err) {
+/**
+ * Send the error alert to the channels for the severity (see ./notifier.js), eg, for an error that does not fail the request
+ * (see ../api/scheduler.js); the subject is prefixed with the severity
+ */
+export async function alertError(error, requestId, req, res, subject, notifications = null, severity = getErrorPolicy(error).severity) {
+  const errorBody = getErrorBody(error, requestId);
+  const results = await notify(getNotificationChannels(notifications, severity), {
+    severity,
+    subject: `[${severity}] ${subject}`,
+    text: `${errorBody.error}: ${error?.message ?? error}\n\nRequest ID: ${requestId}`,
+    requestId,
+  });
+  results.forEach(({transport, success, response, error: notifyError}) => success ?
+    console.log(getLogMessage(req, res, requestId, NA, INFO, `Notification successfully sent using ${transport}`, { response })) :
+    console.log(getLogMessage(req, res, requestId, NA, ERROR, `Exception caught sending notification using ${transport}`, { error: notifyError })));
+  return results;
+}
+
+export function handleGenericError(msg, err, requestId = null) {
   try {
-    console.log([
-      getLogDate(),
-      ERROR,
-      msg,
-      err
-    ].join(' | '));
+    console.log(formatLogEntry({
+      level: ERROR,
+      source: 'handleGenericError',
+      message: msg,
+      requestId,
+      error: err,
+    }));
   }
   catch (err) {
     console.log([
@@ -180,24 +212,22 @@ export function handleGenericError(msg, err) {
   }
 }
 
-export async function sendEmail(req, res, requestId, from, to, subject, text) {
-  try {
-    const mailgun = new Mailgun(FormData);
-    const mg = mailgun.client({
-      username: process.env.MAILGUN_USERNAME,
-      key: process.env.MAILGUN_API_KEY,
-    });
-    const msg = await mg.messages.create(process.env.MAILGUN_DOMAIN, {
-      from: from,
-      to: to,
-      subject: subject,
-      text: text,
-    });
-    console.log(getLogMessage(req, res, requestId, NA, INFO, `Email successfully sent: ${JSON.stringify(msg)}`));
-  }
-  catch (err) {
-    handleGenericError(`Exception caught in utils/common.js::sendMail()`, err);
+/**
+ * Send email using Mailgun JS API: https://github.com/mailgun/mailgun.js#messages
+ * (through the notifier's mailgun transport, so the call has a timeout and retries, see ./notifier.js)
+ *
+ * attachments (optional): [{filename, data, contentType}], where data is a string or Buffer
+ *
+ * Throws a MarketingApiDeliveryError (with the Mailgun error as its `cause`) if the email is not sent
+ */
+export async function sendEmail(req, res, requestId, from, to, subject, text, attachments = []) {
+  const [{ success, response, error }] = await notify([{ transport: MAILGUN, from, to }], { subject, text, attachments, requestId });
+  if (!success) {
+    handleGenericError(`Exception caught in utils/common.js::sendMail()`, error, requestId);
+    throw new MarketingApiDeliveryError(`Email '${subject}' was not sent: ${error?.message ?? error}`, { cause: error });
   }
+  console.log(getLogMessage(req, res, requestId, NA, INFO, `Email successfully sent`, { attachments: attachments.map(({filename}) => filename), response }));
+  return response;
 }
 
 /**
@@ -208,15 +238,16 @@ export async function sendEmail(req, res, requestId, from, to, subject, text) {
  */
 export async function getAuth0AccessToken() {
   try {
+    const { oAuthUrl, clientId, clientSecret, audience, grantType } = getConfig(CONFIG_AUTH0);
     const auth0AuthenticationResponse = await axios({
-      url: process.env.AUTH0_OAUTH_URL,
+      url: oAuthUrl,
       method: 'POST',
       headers: {'content-type': 'application/json'},
       data: {
-        'client_id': process.env.AUTH0_CLIENT_ID,
-        'client_secret': process.env.AUTH0_CLIENT_SECRET,
-        'audience': process.env.AUTH0_AUDIENCE,
-        'grant_type': process.env.AUTH0_GRANT_TYPE
+        'client_id': clientId,
+        'client_secret': clientSecret,
+        'audience': audience,
+        'grant_type': grantType
       }
     });
     // console.log(`*** SVU: auth0AuthenticationResponse.data:`, auth0AuthenticationResponse.data);
@@ -336,11 +367,13 @@ export function decodeJWT(token) {
  *    R5. stackoverflow JWT validation explanation: https://stackoverflow.com/a/62095056
  *    R6. how to create (sign) JWT using jsonwebtoken module's sign() method: https://siddharthac6.medium.com/json-web-token-jwt-the-right-way-of-implementing-with-node-js-65b8915d550e
  */
-export function verifyJTW(token, secret, signatureAlgorithm) {
+export function verifyJTW(token, secret, signatureAlgorithm, options = {}) {
   try {
     //If the verification is a success, the method will return "the payload decoded if the signature is valid and 
     // optional expiration, audience, or issuer are valid. If not, it will throw the error."
-    const decoded = jwt.verify(token, secret, {algorithms: [signatureAlgorithm]});
+    // signatureAlgorithm can be one algorithm (eg, 'RS256') or a list of allowed algorithms; options, eg, {audience, issuer}
+    const algorithms = Array.isArray(signatureAlgorithm) ? signatureAlgorithm : [signatureAlgorithm];
+    const decoded = jwt.verify(token, secret, {...options, algorithms});
     //console.log(`*** SVU: SUCCESS verifying jwt, secret from env!!!, decoded:\n`, decoded);
     return { isJWTverified: true, 'decoded': decoded };
   }
@@ -350,23 +383,3 @@ export function verifyJTW(token, secret, signatureAlgorithm) {
     return { isJWTverified: false};
   }
 }
-
-/**
- * Custom authorization error: \
- * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
- */
-export class MarketingApiAuthorizationError extends Error {
- constructor(message, ...params) {
-   // Pass remaining arguments (including vendor specific ones) to parent constructor
-   super(...params);
-
-   // Maintains proper stack trace for where our error was thrown (only available on V8)
-   if (Error.captureStackTrace) {
-     Error.captureStackTrace(this, MarketingApiAuthorizationError);
-   }
-
-   this.name = 'MarketingApiAuthorizationError';
-   // Custom debugging information
-   this.messsage = message;
- }
-}
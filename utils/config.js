@@ -1,2 +1,332 @@
+/**
+ * Configuration
+ *
+ * The env variables are loaded from `.env.${NODE_ENV}` (eg, .env.development) and described by CONFIG_SCHEMA below, by section:
+ *  - sfdc:     SFDC connected app credentials (per SFDC environment profile, see below)
+ *  - apiKey:   (deprecated) API key of the callers (per SFDC environment profile, see ./auth.js)
+ *  - storage:  storage backend (see ./storage.js)
+ *  - firebase: Firebase project, required when the storage backend is firebase
+ *  - notifier: notification transport (see ./notifier.js)
+ *  - mailgun:  Mailgun account, required unless the notifier transport is stub
+ *  - auth0:    Auth0 client credentials (see getAuth0AccessToken() in ./common.js)
+ *  - clickIds: SFDC Lead_Post__c fields with each ad platform's click ID (see ./reports.js)
+ *  - testRecords: test records the report queries leave out (see ./reports.js)
+ *  - conversionActions: each ad platform's conversion actions, overriding the report's (see getConversionActions() in ./conversionformats.js)
+ *
+ * SFDC environment profiles (the `sfdcEnvironment` URL query param; default prod):
+ *  - prod: the per environment variables have no suffix, eg, SFDC_USERNAME
+ *  - uat:  the per environment variables have the _UAT suffix, eg, SFDC_USERNAME_UAT
+ *  - other sandboxes: list them in the SFDC_SANDBOXES env variable (comma delimited, eg, SFDC_SANDBOXES=dev,qa) and set
+ *    their variables with the sandbox name as the suffix, eg, SFDC_USERNAME_DEV
+ *
+ * Usage:
+ *    const environment = getEnvironment(req.query.sfdcEnvironment);   // throws a MarketingApiValidationError if unknown
+ *    validateConfig([CONFIG_SFDC, CONFIG_FIREBASE], environment);      // throws a MarketingApiConfigError listing the missing variables
+ *    const { oAuthUrl, clientId } = getConfig(CONFIG_SFDC, environment);
+ *    console.log(describeConfig(environment));                         // values of the variables, with the secrets masked
+ */
 import * as dotenv from 'dotenv' // see https://github.com/motdotla/dotenv#how-do-i-use-dotenv-with-import
-dotenv.config({path: `.env.${process.env.NODE_ENV || 'development'}`});
\ No newline at end of file
+import { MASKED_FOR_SECURITY } from '../utils/logger';
+import {
+  MarketingApiConfigError,
+  MarketingApiValidationError,
+} from '../utils/errors';
+
+dotenv.config({path: `.env.${process.env.NODE_ENV || 'development'}`});
+
+export const SFDC_ENVIRONMENT_PROD = 'prod';
+export const SFDC_ENVIRONMENT_UAT = 'uat';
+
+export const CONFIG_SFDC = 'sfdc';
+export const CONFIG_API_KEY = 'apiKey';
+export const CONFIG_STORAGE = 'storage';
+export const CONFIG_FIREBASE = 'firebase';
+export const CONFIG_NOTIFIER = 'notifier';
+export const CONFIG_MAILGUN = 'mailgun';
+export const CONFIG_AUTH0 = 'auth0';
+export const CONFIG_CLICK_IDS = 'clickIds';
+export const CONFIG_TEST_RECORDS = 'testRecords';
+export const CONFIG_CONVERSION_ACTIONS = 'conversionActions';
+export const CONFIG_CONVERSION_LEDGER = 'conversionLedger';
+
+export const SFDC_AUTH_FLOW_PASSWORD = 'password';
+export const SFDC_AUTH_FLOW_JWT = 'jwt';
+
+const toInt = (value) => parseInt(value, 10) || undefined;
+// PEM keys: newlines may be escaped as \n in the env variable
+const toPem = (value) => value.replace(/\\n/g, '\n');
+// SFDC field names are used in the SOQL, so only allow (possibly relationship, eg, Opportunity__r.Name) API names
+const toSfdcFieldName = (value) => {
+  if (!value.match(/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/)) {
+    throw new MarketingApiConfigError(`Invalid SFDC field name '${value}'`);
+  }
+  return value;
+};
+// comma delimited `<SFDC field>=<value>` pairs, eg, First_Name__c=AAUTest,Last_Name__c=AAUTest => [{field, value}]
+const toFieldValues = (value) => value.split(',').map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+  const separatorIndex = pair.indexOf('=');
+  if (separatorIndex < 1) {
+    throw new MarketingApiConfigError(`Invalid field value '${pair}'; use <SFDC field>=<value>`);
+  }
+  return { field: toSfdcFieldName(pair.slice(0, separatorIndex).trim()), value: pair.slice(separatorIndex + 1).trim() };
+});
+// ISO-8601 date (midnight UTC) or datetime, eg, 2023-03-05 or 2023-03-05T08:00:00Z => 2023-03-05T08:00:00.000Z
+const toIsoDateTime = (value) => {
+  const date = new Date(value);
+  if (!value.match(/^\d{4}-\d{2}-\d{2}(T|$)/) || isNaN(date.getTime())) {
+    throw new MarketingApiConfigError(`Invalid date '${value}'; use an ISO-8601 date (eg, 2023-03-05) or datetime (eg, 2023-03-05T08:00:00Z)`);
+  }
+  return date.toISOString();
+};
+// JSON map of Opportunity StageName (or * for any stage) => conversion action {name, value}, eg, {"*": {"name": "SFDC Application", "value": 1}}
+const toConversionActions = (value) => {
+  let conversionActions = null;
+  try {
+    conversionActions = JSON.parse(value);
+  }
+  catch (err) {
+    throw new MarketingApiConfigError(`Invalid conversion actions JSON: ${err.message}`, { cause: err });
+  }
+  const isConversionAction = (action) => typeof action?.name === 'string' && action.name.trim() !== '' &&
+    (action.value === undefined || typeof action.value === 'number');
+  if (!conversionActions || typeof conversionActions !== 'object' || Array.isArray(conversionActions) ||
+    !Object.values(conversionActions).every(isConversionAction)) {
+    throw new MarketingApiConfigError(`Invalid conversion actions; use {"<Opportunity StageName or *>": {"name": "<conversion action>", "value": <number>}}`);
+  }
+  return conversionActions;
+};
+
+/**
+ * Config sections: {perEnvironment, isEnabled(environment), keys}, where each key is
+ * {env: variable name (without the environment suffix), required: boolean or (values) => boolean, secret, default, parse}
+ */
+export const CONFIG_SCHEMA = {
+  [CONFIG_SFDC]: {
+    perEnvironment: true,
+    keys: {
+      authFlow: { env: 'SFDC_AUTH_FLOW', default: SFDC_AUTH_FLOW_PASSWORD, parse: (value) => value.toLowerCase() },
+      oAuthUrl: { env: 'SFDC_OAUTH_URL', required: true },
+      username: { env: 'SFDC_USERNAME', required: true },
+      password: { env: 'SFDC_PASSWORD', secret: true, required: ({authFlow}) => authFlow === SFDC_AUTH_FLOW_PASSWORD },
+      grantType: { env: 'SFDC_GRANT_TYPE', default: 'password' },
+      clientId: { env: 'SFDC_CLIENT_ID', required: true },
+      clientSecret: { env: 'SFDC_CLIENT_SECRET', secret: true, required: ({authFlow}) => authFlow === SFDC_AUTH_FLOW_PASSWORD },
+      // PEM private key of the certificate uploaded to the connected app
+      jwtPrivateKey: { env: 'SFDC_JWT_PRIVATE_KEY', secret: true, parse: toPem, required: ({authFlow}) => authFlow === SFDC_AUTH_FLOW_JWT },
+      // https://login.salesforce.com for prod, https://test.salesforce.com for sandboxes
+      jwtAudience: {
+        env: 'SFDC_JWT_AUDIENCE',
+        default: (environment) => environment === SFDC_ENVIRONMENT_PROD ? 'https://login.salesforce.com' : 'https://test.salesforce.com',
+      },
+      // SFDC's token response does not say when the access_token expires (that's the org's session timeout setting),
+      // so the client caches it for tokenTtlSeconds, and relies on its 401 retry if the session ends sooner
+      tokenTtlSeconds: { env: 'SFDC_TOKEN_TTL_SECONDS', default: 3600, parse: toInt },
+    },
+  },
+  [CONFIG_API_KEY]: {
+    perEnvironment: true,
+    keys: {
+      apiKey: { env: 'MARKETING_API_KEY', secret: true },
+    },
+  },
+  [CONFIG_STORAGE]: {
+    keys: {
+      backend: { env: 'STORAGE_BACKEND', default: 'firebase', parse: (value) => value.toLowerCase() },
+      filePath: { env: 'STORAGE_FILE_PATH' },
+    },
+  },
+  [CONFIG_FIREBASE]: {
+    isEnabled: () => getConfig(CONFIG_STORAGE).backend === 'firebase',
+    // Config source: the Project's App settings:
+    // https://console.firebase.google.com/project/marketing-api-dcf84/settings/general/web:NDU5NTI3MjItNDJiOC00YTk0LTkwZTMtMWU3Nzg1MjY2NDZl
+    keys: {
+      apiKey: { env: 'FIREBASE_API_KEY', secret: true, required: true },
+      authDomain: { env: 'FIREBASE_AUTH_DOMAIN' },
+      projectId: { env: 'FIREBASE_PROJECT_ID', required: true },
+      storageBucket: { env: 'FIREBASE_STORAGE_BUCKET' },
+      messagingSenderId: { env: 'FIREBASE_MESSAGING_SENDER_ID' },
+      appId: { env: 'FIREBASE_APP_ID' },
+      // from: https://console.firebase.google.com/project/marketing-api-dcf84/database/marketing-api-dcf84-default-rtdb/data
+      databaseURL: { env: 'FIREBASE_DATABASE_URL', required: true },
+    },
+  },
+  [CONFIG_NOTIFIER]: {
+    keys: {
+      transport: { env: 'NOTIFIER_TRANSPORT' },
+    },
+  },
+  [CONFIG_MAILGUN]: {
+    isEnabled: () => getConfig(CONFIG_NOTIFIER).transport !== 'stub',
+    keys: {
+      username: { env: 'MAILGUN_USERNAME', required: true },
+      apiKey: { env: 'MAILGUN_API_KEY', secret: true, required: true },
+      domain: { env: 'MAILGUN_DOMAIN', required: true },
+    },
+  },
+  [CONFIG_AUTH0]: {
+    keys: {
+      oAuthUrl: { env: 'AUTH0_OAUTH_URL', required: true },
+      clientId: { env: 'AUTH0_CLIENT_ID', required: true },
+      clientSecret: { env: 'AUTH0_CLIENT_SECRET', secret: true, required: true },
+      audience: { env: 'AUTH0_AUDIENCE', required: true },
+      grantType: { env: 'AUTH0_GRANT_TYPE', default: 'client_credentials' },
+    },
+  },
+  [CONFIG_CLICK_IDS]: {
+    keys: {
+      googleAds: { env: 'GOOGLE_ADS_CLICK_ID_FIELD', default: 'URL_GCLID__c', parse: toSfdcFieldName },
+      microsoftAds: { env: 'MICROSOFT_ADS_CLICK_ID_FIELD', default: 'URL_MSCLKID__c', parse: toSfdcFieldName },
+      meta: { env: 'META_CLICK_ID_FIELD', default: 'URL_FBCLID__c', parse: toSfdcFieldName },
+    },
+  },
+  [CONFIG_TEST_RECORDS]: {
+    keys: {
+      // the records with any of these field values are left out, eg, SFDC_TEST_RECORD_EXCLUSIONS=First_Name__c=AAUTest,Email__c=qa@academyart.edu
+      exclusions: { env: 'SFDC_TEST_RECORD_EXCLUSIONS', default: [{ field: 'First_Name__c', value: 'AAUTest' }], parse: toFieldValues },
+    },
+  },
+  [CONFIG_CONVERSION_ACTIONS]: {
+    // not set: the report's default conversion actions (see ./reports.js)
+    keys: {
+      googleAds: { env: 'GOOGLE_ADS_CONVERSION_ACTIONS', parse: toConversionActions },
+      microsoftAds: { env: 'MICROSOFT_ADS_CONVERSION_ACTIONS', parse: toConversionActions },
+      // Meta events (standard events: https://developers.facebook.com/docs/meta-pixel/reference#standard-events)
+      meta: { env: 'META_CONVERSION_EVENTS', parse: toConversionActions },
+    },
+  },
+  [CONFIG_CONVERSION_LEDGER]: {
+    keys: {
+      // when the conversion ledger went live (see ./conversionledger.js): the stage changes of the lead posts created since then are
+      // reported; the earlier ones are not in the ledger, so they were reported before it. Not set: the stage changes are not queried
+      startDateTime: { env: 'CONVERSION_LEDGER_START_DATE', parse: toIsoDateTime },
+    },
+  },
+};
+
+/**
+ * SFDC environment profiles: prod, uat and the SFDC_SANDBOXES
+ */
+export function getEnvironments() {
+  const sandboxes = (process.env.SFDC_SANDBOXES ?? '').split(',').map((sandbox) => sandbox.trim().toLowerCase()).filter(Boolean);
+  return [...new Set([SFDC_ENVIRONMENT_PROD, SFDC_ENVIRONMENT_UAT, ...sandboxes])];
+}
+
+/**
+ * Get the SFDC environment profile for the `sfdcEnvironment` URL query param (prod if the request has none)
+ *
+ * Throws a MarketingApiValidationError (http status 400) if it is not a configured environment
+ */
+export function getEnvironment(sfdcEnvironment) {
+  if (!sfdcEnvironment) {
+    return SFDC_ENVIRONMENT_PROD;
+  }
+  const environment = String(sfdcEnvironment).toLowerCase();
+  if (!getEnvironments().includes(environment)) {
+    throw new MarketingApiValidationError(`Unknown sfdcEnvironment '${sfdcEnvironment}'; supported environments: ${getEnvironments().join(', ')}`);
+  }
+  return environment;
+}
+
+function getEnvName(section, key, environment) {
+  return section.perEnvironment && environment !== SFDC_ENVIRONMENT_PROD ? `${key.env}_${environment.toUpperCase()}` : key.env;
+}
+
+// throws a MarketingApiConfigError naming the env variable if its value is not valid
+function parseEnvValue(key, envName, envValue) {
+  try {
+    return key.parse(envValue);
+  }
+  catch (err) {
+    throw new MarketingApiConfigError(`Invalid ${envName}: ${err.message}`, { cause: err });
+  }
+}
+
+// values of the section's keys, the env variables of the required keys that are not set, and the parse errors of the keys
+// whose env variable is not valid (a MarketingApiConfigError per key)
+function readSection(sectionName, environment) {
+  const section = CONFIG_SCHEMA[sectionName];
+  if (!section) {
+    throw new MarketingApiConfigError(`Unknown config section '${sectionName}'; supported sections: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+  }
+  let values = {};
+  let envNames = {};
+  let errors = {};
+  for (const [name, key] of Object.entries(section.keys)) {
+    envNames[name] = getEnvName(section, key, environment);
+    const envValue = process.env[envNames[name]];
+    try {
+      values[name] = envValue !== undefined && envValue !== '' ?
+        (key.parse ? parseEnvValue(key, envNames[name], envValue) : envValue) :
+        (typeof key.default === 'function' ? key.default(environment) : key.default);
+    }
+    catch (err) {
+      errors[name] = err;
+      values[name] = null;
+    }
+  }
+  const missing = Object.entries(section.keys)
+    .filter(([name, key]) => !errors[name] && (typeof key.required === 'function' ? key.required(values) : key.required) && (values[name] === undefined || values[name] === null))
+    .map(([name]) => envNames[name]);
+  return { section, values, envNames, missing, errors };
+}
+
+/**
+ * Get the section's values, eg, getConfig(CONFIG_SFDC, 'uat') => {authFlow, oAuthUrl, username, ...}
+ *
+ * Throws a MarketingApiConfigError naming the env variable that is not valid, or listing the env variables that are required but not set
+ */
+export function getConfig(sectionName, environment = SFDC_ENVIRONMENT_PROD) {
+  const { values, missing, errors } = readSection(sectionName, environment);
+  const [error] = Object.values(errors);
+  if (error) {
+    throw error;
+  }
+  if (missing.length) {
+    throw new MarketingApiConfigError(`Missing ${sectionName} config${environment !== SFDC_ENVIRONMENT_PROD ? ` for the ${environment} environment` : ''}: ${missing.join(', ')}`);
+  }
+  return values;
+}
+
+/**
+ * Check (before doing any work) that the required env variables of the (enabled) sections are set
+ *
+ * Throws a MarketingApiConfigError naming the env variable that is not valid, or listing every missing env variable
+ */
+export function validateConfig(sectionNames, environment = SFDC_ENVIRONMENT_PROD) {
+  const sections = sectionNames
+    .filter((sectionName) => CONFIG_SCHEMA[sectionName]?.isEnabled?.() ?? true)
+    .map((sectionName) => readSection(sectionName, environment));
+  const [error] = sections.flatMap(({errors}) => Object.values(errors));
+  if (error) {
+    throw error;
+  }
+  const missing = sections.flatMap(({missing}) => missing);
+  if (missing.length) {
+    throw new MarketingApiConfigError(`Missing config for the ${environment} environment: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Sanitized view of the config for debugging: the env variable and value of every key, with the secrets masked; a key whose
+ * env variable is not valid has a null value and the parse error, so one bad value does not hide the rest of the config
+ *
+ * Returns {environment, environments, sections: {[section]: {enabled, missing, values: {[key]: {env, value, error}}}}}
+ */
+export function describeConfig(environment = SFDC_ENVIRONMENT_PROD) {
+  return {
+    environment,
+    environments: getEnvironments(),
+    sections: Object.fromEntries(Object.keys(CONFIG_SCHEMA).map((sectionName) => {
+      const { section, values, envNames, missing, errors } = readSection(sectionName, environment);
+      return [sectionName, {
+        enabled: section.isEnabled?.() ?? true,
+        missing,
+        values: Object.fromEntries(Object.entries(section.keys).map(([name, key]) => [name, {
+          env: envNames[name],
+          value: key.secret && values[name] !== undefined && values[name] !== null ? MASKED_FOR_SECURITY : (values[name] ?? null),
+          ...(errors[name] && { error: errors[name].message }),
+        }])),
+      }];
+    })),
+  };
+}
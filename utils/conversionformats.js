@@ -0,0 +1,260 @@
+/**
+ * Offline conversion upload formats for the ad platforms
+ *
+ * Google Ads offline conversion import (Google Click ID) template:
+ * https://support.google.com/google-ads/answer/7014069
+ *
+ *    Parameters:TimeZone=America/Los_Angeles
+ *    Google Click ID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency
+ *    Cj0KCQjw...,SFDC Application,2023-03-05 00:00:00,1,USD
+ *
+ * with enhanced conversions for leads, the template also has the SHA-256 hash of the normalized email, so Google Ads can
+ * match a conversion whose click ID was lost: https://support.google.com/google-ads/answer/11347292
+ *
+ *    Google Click ID,Email,Conversion Name,Conversion Time,Conversion Value,Conversion Currency
+ *    Cj0KCQjw...,5ba9e...,SFDC Application,2023-03-05 00:00:00,1,USD
+ *
+ * Microsoft Advertising offline conversion import (Microsoft Click ID) template:
+ * https://help.ads.microsoft.com/#apex/ads/en/56852/2
+ *
+ *    Parameters:TimeZone=America/Los_Angeles
+ *    Microsoft Click ID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency
+ *    1a2b3c4d...,SFDC Application,2023-03-05 00:00:00,1,USD
+ *
+ * Meta offline events upload (Conversions API parameters, matched on the click ID as `fbc`):
+ * https://developers.facebook.com/docs/marketing-api/conversions-api/parameters
+ *
+ *    event_name,event_time,event_id,fbc,value,currency,action_source
+ *    SubmitApplication,1678003200,0065f00000OPP01AAA_SubmitApplication,fb.1.1677777300000.IwAR2...,1,USD,system_generated
+ */
+import crypto from 'crypto';
+import {
+  TIMEZONE,
+} from '../utils/common';
+import {
+  getConfig,
+  CONFIG_CONVERSION_ACTIONS,
+} from '../utils/config';
+import {
+  getZonedMidnight,
+} from '../utils/datewindow';
+
+export const DEFAULT_CONVERSION_CURRENCY = 'USD';
+
+// key in a conversion actions map that applies to any stage not explicitly mapped
+export const ANY_STAGE = '*';
+
+// domains whose addresses ignore dots in the local part, eg, jane.doe@gmail.com is janedoe@gmail.com
+export const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Get the ad platform's conversion actions map ({ [Opportunity StageName]: {name, value} }), using the JSON in its env variable
+ * of the conversionActions config (see ./config.js) if set,
+ * eg, GOOGLE_ADS_CONVERSION_ACTIONS='{"Application": {"name": "SFDC Application", "value": 1}, "Enrolled": {"name": "SFDC Enrollment", "value": 10}}'
+ *
+ * Throws a MarketingApiConfigError if the env variable is not a valid conversion actions map, rather than upload the
+ * conversions under the default conversion name
+ */
+export function getConversionActions(platform, defaultConversionActions) {
+  return getConfig(CONFIG_CONVERSION_ACTIONS)[platform] ?? defaultConversionActions;
+}
+
+/**
+ * Get the conversion action ({name, value}) for the opportunity stage; null if the stage is not mapped
+ */
+export function getConversionAction(conversionActions, stageName) {
+  return conversionActions[stageName] ?? conversionActions[ANY_STAGE] ?? null;
+}
+
+/**
+ * Format the conversion time as `yyyy-MM-dd HH:mm:ss` in the time zone (which is declared in the file's Parameters:TimeZone= header)
+ *
+ * SFDC date fields (eg, 2023-03-05) are used as midnight of that day; SFDC datetime fields (eg, 2023-03-05T18:22:11.000+0000)
+ * are converted to the time zone
+ */
+export function formatConversionTime(value, timeZone = TIMEZONE) {
+  if (!value) {
+    return '';
+  }
+  if (String(value).match(/^\d{4}-\d{2}-\d{2}$/)) {
+    return `${value} 00:00:00`;
+  }
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZone
+  }).formatToParts(new Date(value)).map(({type, value}) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Normalize the email for enhanced conversions: trimmed, lowercased, and without the dots in the local part of Gmail
+ * addresses: https://developers.google.com/google-ads/api/docs/conversions/enhanced-conversions/leads#normalize_and_hash
+ * Returns null if there is no email
+ */
+export function normalizeEmail(email) {
+  const normalized = String(email ?? '').trim().toLowerCase();
+  if (!normalized) {
+    return null;
+  }
+  const [localPart, domain] = normalized.split(/@(?=[^@]*$)/);
+  return GMAIL_DOMAINS.includes(domain) ? `${localPart.replace(/\./g, '')}@${domain}` : normalized;
+}
+
+/**
+ * SHA-256 hash (hex) of the normalized email; null if there is no email
+ */
+export function hashEmail(email) {
+  const normalized = normalizeEmail(email);
+  return normalized ? crypto.createHash('sha256').update(normalized).digest('hex') : null;
+}
+
+/**
+ * Get the value of a (possibly nested, eg, 'Opportunity__r.StageName') field of an SFDC record
+ */
+export function getFieldValue(record, field) {
+  return field.split('.').reduce((value, key) => value?.[key], record);
+}
+
+/**
+ * Build the click ID offline conversion import rows (the Google Ads and Microsoft Advertising templates) from the SFDC records
+ *
+ * options:
+ *  - conversionActions:   { [Opportunity StageName]: {name, value} } (records whose stage is not mapped are left out)
+ *  - clickIdField:        SFDC field with the click ID
+ *  - clickIdLabel:        the template's click ID column, eg, Google Click ID
+ *  - hashedEmailField:    (optional) field with the hashed email (see hashEmail()), for the enhanced conversions Email column
+ *  - stageNameField:      SFDC field with the opportunity stage
+ *  - conversionTimeField: SFDC date/datetime field used as the conversion time
+ *  - timeZone, currency
+ *
+ * Returns the report output: {fields, rows, preamble, skippedCount}, where preamble is the Parameters:TimeZone= line
+ * that must precede the CSV column headers
+ */
+function toClickIdOfflineConversions(records, {
+  conversionActions,
+  clickIdField,
+  clickIdLabel,
+  hashedEmailField = null,
+  stageNameField = 'Opportunity__r.StageName',
+  conversionTimeField = 'Opportunity__r.Application_Date__c',
+  timeZone = TIMEZONE,
+  currency = DEFAULT_CONVERSION_CURRENCY,
+}) {
+  let skippedCount = 0;
+  const rows = records.reduce((rows, record) => {
+    const conversionAction = getConversionAction(conversionActions, getFieldValue(record, stageNameField));
+    if (!conversionAction) {
+      skippedCount++;
+      return rows;
+    }
+    rows.push({
+      [clickIdLabel]: getFieldValue(record, clickIdField),
+      ...(hashedEmailField && { 'Email': getFieldValue(record, hashedEmailField) ?? '' }),
+      'Conversion Name': conversionAction.name,
+      'Conversion Time': formatConversionTime(getFieldValue(record, conversionTimeField), timeZone),
+      'Conversion Value': conversionAction.value ?? '',
+      'Conversion Currency': currency,
+    });
+    return rows;
+  }, []);
+
+  return {
+    fields: [clickIdLabel, ...(hashedEmailField ? ['Email'] : []), 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency'],
+    rows,
+    preamble: `Parameters:TimeZone=${timeZone}`,
+    skippedCount,
+  };
+}
+
+/**
+ * Build the Google Ads offline conversion import rows from the SFDC records (see toClickIdOfflineConversions() for the options)
+ */
+export function toGoogleAdsOfflineConversions(records, { clickIdField = 'URL_GCLID__c', ...options }) {
+  return toClickIdOfflineConversions(records, { ...options, clickIdField, clickIdLabel: 'Google Click ID' });
+}
+
+/**
+ * Build the Microsoft Advertising offline conversion import rows from the SFDC records (see toClickIdOfflineConversions() for the options)
+ */
+export function toMicrosoftAdsOfflineConversions(records, { clickIdField = 'URL_MSCLKID__c', ...options }) {
+  return toClickIdOfflineConversions(records, { ...options, clickIdField, clickIdLabel: 'Microsoft Click ID' });
+}
+
+/**
+ * Unix time (seconds) of an SFDC date (midnight of that day in the time zone) or datetime field value; null if there is none
+ */
+export function getUnixTime(value, timeZone = TIMEZONE) {
+  if (!value) {
+    return null;
+  }
+  if (String(value).match(/^\d{4}-\d{2}-\d{2}$/)) {
+    const [year, month, day] = value.split('-').map((part) => parseInt(part, 10));
+    return Math.floor(getZonedMidnight(year, month, day, timeZone).getTime() / 1000);
+  }
+  return Math.floor(new Date(value).getTime() / 1000);
+}
+
+/**
+ * Meta click ID parameter from the fbclid: fb.<subdomain index>.<click time in ms>.<fbclid>
+ * https://developers.facebook.com/docs/marketing-api/conversions-api/parameters/fbp-and-fbc
+ */
+export function getMetaFbc(fbclid, clickTime) {
+  const clickTimeMs = new Date(clickTime).getTime();
+  return `fb.1.${isNaN(clickTimeMs) ? Date.now() : clickTimeMs}.${fbclid}`;
+}
+
+/**
+ * Build the Meta offline event rows from the SFDC records
+ *
+ * options:
+ *  - conversionActions:   { [Opportunity StageName]: {name, value} }, where name is the Meta event name, eg, SubmitApplication
+ *  - clickIdField:        SFDC field with the Meta click ID (fbclid)
+ *  - clickTimeField:      SFDC datetime field used as the click time of the fbc, eg, the lead post's CreatedDate
+ *  - opportunityIdField:  SFDC field with the Opportunity ID; the event_id is `${opportunityId}_${event name}` so Meta dedups
+ *                         re-uploads (including the stages that map to the same event)
+ *  - stageNameField, conversionTimeField, timeZone, currency: as for toGoogleAdsOfflineConversions()
+ *
+ * Returns the report output: {fields, rows, preamble, skippedCount}
+ */
+export function toMetaOfflineConversions(records, {
+  conversionActions,
+  clickIdField = 'URL_FBCLID__c',
+  clickTimeField = 'CreatedDate',
+  opportunityIdField = 'Opportunity__c',
+  stageNameField = 'Opportunity__r.StageName',
+  conversionTimeField = 'Opportunity__r.Application_Date__c',
+  timeZone = TIMEZONE,
+  currency = DEFAULT_CONVERSION_CURRENCY,
+}) {
+  let skippedCount = 0;
+  const rows = records.reduce((rows, record) => {
+    const conversionAction = getConversionAction(conversionActions, getFieldValue(record, stageNameField));
+    if (!conversionAction) {
+      skippedCount++;
+      return rows;
+    }
+    rows.push({
+      'event_name': conversionAction.name,
+      'event_time': getUnixTime(getFieldValue(record, conversionTimeField), timeZone),
+      'event_id': `${getFieldValue(record, opportunityIdField)}_${conversionAction.name}`,
+      'fbc': getMetaFbc(getFieldValue(record, clickIdField), getFieldValue(record, clickTimeField)),
+      'value': conversionAction.value ?? '',
+      'currency': currency,
+      'action_source': 'system_generated',
+    });
+    return rows;
+  }, []);
+
+  return {
+    fields: ['event_name', 'event_time', 'event_id', 'fbc', 'value', 'currency', 'action_source'],
+    rows,
+    preamble: null,
+    skippedCount,
+  };
+}
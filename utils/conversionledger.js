@@ -0,0 +1,151 @@
+/**
+ * Conversion ledger: the conversions each report has exported, across runs
+ *
+ * Dedup within a run (see keepUniqueOpportunities() in ./reports.js) does not stop overlapping or backfilled windows from
+ * reporting a conversion again, and a conversion whose opportunity stage later advances must be reported again at its
+ * new stage. So a report with a `ledger` config (see ./reports.js) keeps an entry per exported conversion, keyed by its
+ * Opportunity ID and click ID, under LEDGER_ROOT_ELEMENT_NAME/<environment>/<requestType>/<key>:
+ *    { opportunityId, clickId, stage, stageRank, action, exportedAt, requestId }
+ * The ledger is per SFDC environment: the full and partial sandboxes keep the production record IDs, so a sandbox run
+ * must not mark production conversions as exported.
+ *
+ * Each run emits only the records that are new conversions or genuine stage upgrades (the stage ranks higher than the
+ * ledger's stage, and maps to another conversion action), and updates the ledger once the report is delivered (never on dry runs).
+ * An upgrade to a stage with the same conversion action (eg, the default '*' action) would upload the same conversion again,
+ * so it is not emitted, and the ledger keeps the exported stage. The lead posts reports query the stage changes only if their
+ * stages map to more than one conversion action, and only of the lead posts created since the ledger went live
+ * (CONVERSION_LEDGER_START_DATE, see getStageChangesSince() in ./reports.js): the ledger starts empty, so it does not know the earlier exports.
+ *
+ * The ledger config: {opportunityIdField, clickIdField, stageNameField, stages, conversionActions}, where stages are the opportunity
+ * stages in order of progression, eg, ['Application', 'Accepted', 'Enrolled'] (a stage that is not listed ranks below them all),
+ * and conversionActions (optional) the report's conversion actions map (see getConversionActions() in ./conversionformats.js);
+ * without it, each stage is its own action.
+ */
+import {
+  getConversionAction,
+  getFieldValue,
+} from '../utils/conversionformats';
+
+export const LEDGER_ROOT_ELEMENT_NAME = 'ConversionLedger';
+
+// max concurrent ledger entry reads: a full-year (bulk) backfill has up to hundreds of thousands of records
+export const LEDGER_READ_BATCH_SIZE = 100;
+
+// rank of a stage that is not in the ledger config's stages
+export const UNKNOWN_STAGE_RANK = -1;
+
+/**
+ * Ledger key of the conversion: `${opportunityId}_${clickId}`, escaped for a storage path segment
+ * (Firebase keys cannot contain . # $ [ ] /: https://firebase.google.com/docs/database/web/structure-data)
+ */
+export function getLedgerKey(opportunityId, clickId) {
+  const escape = (value) => encodeURIComponent(String(value ?? '')).replace(/\./g, '%2E');
+  return `${escape(opportunityId)}_${escape(clickId)}`;
+}
+
+/**
+ * Ledger path of the report in the SFDC environment (relative to LEDGER_ROOT_ELEMENT_NAME)
+ */
+export function getLedgerPath(environment, requestType) {
+  return `${environment}/${requestType}`;
+}
+
+export function getStageRank(stages, stage) {
+  const rank = (stages ?? []).indexOf(stage);
+  return rank >= 0 ? rank : UNKNOWN_STAGE_RANK;
+}
+
+/**
+ * Conversion action (name) of the stage: the stage itself if the ledger config has no conversion actions; null if the stage is not mapped
+ */
+export function getLedgerAction({ conversionActions }, stage) {
+  return conversionActions ? getConversionAction(conversionActions, stage)?.name ?? null : stage;
+}
+
+/**
+ * Ledger entry the record would write: {key, opportunityId, clickId, stage, stageRank, action}
+ */
+export function getLedgerEntry(ledgerConfig, record) {
+  const { opportunityIdField = 'Opportunity__c', clickIdField, stageNameField = 'Opportunity__r.StageName', stages } = ledgerConfig;
+  const opportunityId = getFieldValue(record, opportunityIdField) ?? null;
+  const clickId = getFieldValue(record, clickIdField) ?? null;
+  const stage = getFieldValue(record, stageNameField) ?? null;
+  return {
+    key: getLedgerKey(opportunityId, clickId),
+    opportunityId,
+    clickId,
+    stage,
+    stageRank: getStageRank(stages, stage),
+    action: getLedgerAction(ledgerConfig, stage),
+  };
+}
+
+/**
+ * Check the ledger entry of the record: new (not exported yet), upgrade (exported at a lower ranked stage, with another
+ * conversion action) or null (already exported, or the upgrade has no new conversion action)
+ *
+ * The ledger entries written before the entries had their action are compared by the action of their stage (see getLedgerAction())
+ */
+export function getLedgerChange(entry, ledgerEntry, ledgerConfig = {}) {
+  if (!ledgerEntry) {
+    return 'new';
+  }
+  if (entry.stageRank <= (ledgerEntry.stageRank ?? UNKNOWN_STAGE_RANK) || !entry.action) {
+    return null;
+  }
+  const ledgerAction = ledgerEntry.action !== undefined ? ledgerEntry.action : getLedgerAction(ledgerConfig, ledgerEntry.stage);
+  return entry.action !== ledgerAction ? 'upgrade' : null;
+}
+
+/**
+ * Read the ledger entries of the keys ({ [key]: entry or null }), LEDGER_READ_BATCH_SIZE at a time
+ */
+async function readLedgerEntries(storage, ledgerPath, keys) {
+  let ledgerEntries = {};
+  for (let index = 0; index < keys.length; index += LEDGER_READ_BATCH_SIZE) {
+    const batch = keys.slice(index, index + LEDGER_READ_BATCH_SIZE);
+    const batchEntries = await Promise.all(batch.map((key) => storage.readData(LEDGER_ROOT_ELEMENT_NAME, `${ledgerPath}/${key}`)));
+    batch.forEach((key, batchIndex) => {
+      ledgerEntries[key] = batchEntries[batchIndex];
+    });
+  }
+  return ledgerEntries;
+}
+
+/**
+ * Keep only the records that are new conversions or stage upgrades (records with the same key in the run count once)
+ *
+ * Returns {records, entries, newCount, upgradeCount}, where entries are the ledger entries to write with updateLedger()
+ * once the report is delivered
+ */
+export async function filterLedgerRecords(storage, environment, requestType, ledgerConfig, records) {
+  const recordEntries = records.map((record) => ({ record, entry: getLedgerEntry(ledgerConfig, record) }));
+  const keys = [...new Set(recordEntries.map(({entry}) => entry.key))];
+  const ledgerEntries = await readLedgerEntries(storage, getLedgerPath(environment, requestType), keys);
+
+  let result = { records: [], entries: [], newCount: 0, upgradeCount: 0 };
+  const emittedKeys = new Set();
+  for (const { record, entry } of recordEntries) {
+    const change = getLedgerChange(entry, ledgerEntries[entry.key], ledgerConfig);
+    if (!change || emittedKeys.has(entry.key)) {
+      continue;
+    }
+    emittedKeys.add(entry.key);
+    result.records.push(record);
+    result.entries.push(entry);
+    result[change === 'new' ? 'newCount' : 'upgradeCount']++;
+  }
+  return result;
+}
+
+/**
+ * Record the delivered conversions (entries from filterLedgerRecords()) in the ledger, in a single update
+ */
+export async function updateLedger(storage, environment, requestType, entries, requestId) {
+  if (!entries.length) {
+    return;
+  }
+  const exportedAt = new Date().toISOString();
+  await storage.updateData(LEDGER_ROOT_ELEMENT_NAME, getLedgerPath(environment, requestType), Object.fromEntries(entries.map(({key, ...entry}) =>
+    [key, { ...entry, exportedAt, requestId }])));
+}
@@ -0,0 +1,224 @@
+/**
+ * Query window helpers
+ *
+ * A query window is {previousRunDateTime, nextPreviousRunDateTime}: the SOQL datetime literals the report queries use as
+ * the (exclusive) start and end of the window, eg, `CreatedDate > ${previousRunDateTime} AND CreatedDate < ${nextPreviousRunDateTime}`
+ * The literals are always zero padded UTC datetimes, eg, 2023-03-05T08:00:00.000Z (see toSoqlDateTime()).
+ *
+ * A (checkpointed) run's window ends at midnight in the business time zone (the BUSINESS_TIMEZONE env variable, default
+ * America/Los_Angeles) on the last boundary of the report's cadence (see getNextPreviousRunDateTime()):
+ *  - {type: 'daily'} (default):                          every midnight
+ *  - {type: 'weekly', weekday: 1}:                       midnight starting the weekday (0 Sunday ... 6 Saturday; default 1, Monday)
+ *  - {type: 'custom', intervalDays: 3, anchorDate: '2023-01-02'}: every intervalDays days from midnight of the anchorDate
+ */
+import {
+  MarketingApiConfigError,
+  MarketingApiValidationError,
+  TIMEZONE,
+} from '../utils/common';
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// default max length of a single query window; longer windows are split into chunks (override with the SFDC_QUERY_MAX_WINDOW_DAYS env variable)
+export const DEFAULT_MAX_WINDOW_DAYS = 31;
+
+export const CADENCE_DAILY = 'daily';
+export const CADENCE_WEEKLY = 'weekly';
+export const CADENCE_CUSTOM = 'custom';
+export const DEFAULT_CADENCE = { type: CADENCE_DAILY };
+export const DEFAULT_WEEKDAY = 1;
+
+// ISO-8601 date (2023-03-05) or datetime with a UTC designator or offset (2023-03-05T08:00:00Z, 2023-03-05T00:00:00.000-08:00)
+const ISO_8601_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2}))?$/;
+
+export function getMaxWindowDays() {
+  const maxWindowDays = parseInt(process.env.SFDC_QUERY_MAX_WINDOW_DAYS, 10);
+  return maxWindowDays > 0 ? maxWindowDays : DEFAULT_MAX_WINDOW_DAYS;
+}
+
+/**
+ * Business time zone of the window boundaries (IANA time zone name)
+ *
+ * Throws a MarketingApiConfigError if BUSINESS_TIMEZONE is not a valid time zone
+ */
+export function getBusinessTimeZone() {
+  const timeZone = process.env.BUSINESS_TIMEZONE || TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  }
+  catch (err) {
+    throw new MarketingApiConfigError(`Invalid BUSINESS_TIMEZONE '${timeZone}'; use an IANA time zone, eg, America/Los_Angeles`, { cause: err });
+  }
+  return timeZone;
+}
+
+/**
+ * Calendar date and time of the instant in the time zone: {year, month (1-12), day, hour, minute, second, weekday (0 Sunday ... 6 Saturday)}
+ */
+export function getZonedDateParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+    timeZone
+  }).formatToParts(date).map(({type, value}) => [type, value]));
+  const [year, month, day, hour, minute, second] = [parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second].map((part) => parseInt(part, 10));
+  return { year, month, day, hour, minute, second, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+/**
+ * Offset of the time zone from UTC at the instant, eg, -8 hours (in milliseconds) for America/Los_Angeles in winter
+ */
+export function getTimeZoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant of midnight starting the calendar date (month is 1-12; days past the end of the month roll over) in the time zone
+ *
+ * The offset is taken at the guess and then at the result, so it is right on the days the offset changes (DST);
+ * if the time zone skips midnight (eg, America/Santiago), it is the first instant of the day
+ */
+export function getZonedMidnight(year, month, day, timeZone) {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  let instant = utcMidnight - getTimeZoneOffsetMs(new Date(utcMidnight), timeZone);
+  instant = utcMidnight - getTimeZoneOffsetMs(new Date(instant), timeZone);
+  const { hour } = getZonedDateParts(new Date(instant), timeZone);
+  // midnight does not exist (the clocks went from 23:59:59 to 01:00): the day starts an hour later than the guess
+  return new Date(hour === 23 ? instant + 60 * 60 * 1000 : instant);
+}
+
+/**
+ * SOQL datetime literal (zero padded UTC, eg, 2023-03-05T08:00:00.000Z) of a Date or datetime string
+ *
+ * Also pads the unpadded datetimes of old checkpoints, eg, 2023-3-5T00:00:00.000Z => 2023-03-05T00:00:00.000Z
+ */
+export function toSoqlDateTime(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  const padded = String(value).replace(/^(\d{4})-(\d{1,2})-(\d{1,2})T/, (match, year, month, day) => `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T`);
+  const date = new Date(padded);
+  if (isNaN(date.getTime())) {
+    throw new MarketingApiValidationError(`Invalid datetime '${value}'`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate the report's cadence (see above); throws a MarketingApiConfigError if it is not valid
+ */
+export function getCadence(cadence = DEFAULT_CADENCE) {
+  const { type } = cadence ?? DEFAULT_CADENCE;
+  if (type === CADENCE_DAILY) {
+    return { type };
+  }
+  if (type === CADENCE_WEEKLY) {
+    const weekday = cadence.weekday ?? DEFAULT_WEEKDAY;
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      throw new MarketingApiConfigError(`Invalid weekly cadence weekday '${weekday}'; use 0 (Sunday) to 6 (Saturday)`);
+    }
+    return { type, weekday };
+  }
+  if (type === CADENCE_CUSTOM) {
+    const { intervalDays, anchorDate } = cadence;
+    if (!Number.isInteger(intervalDays) || intervalDays < 1 || !String(anchorDate ?? '').match(/^\d{4}-\d{2}-\d{2}$/) || !isValidCalendarDate(anchorDate)) {
+      throw new MarketingApiConfigError(`Invalid custom cadence; use {type: 'custom', intervalDays: <days>, anchorDate: 'yyyy-MM-dd'}`);
+    }
+    return { type, intervalDays, anchorDate };
+  }
+  throw new MarketingApiConfigError(`Unknown cadence type '${type}'; supported cadences: ${[CADENCE_DAILY, CADENCE_WEEKLY, CADENCE_CUSTOM].join(', ')}`);
+}
+
+/**
+ * End of the run's window (the report's next checkpoint): the last boundary of the cadence, at midnight in the time zone,
+ * at or before now; eg, daily, at 2023-03-05 10:00 America/Los_Angeles => 2023-03-05T08:00:00.000Z
+ */
+export function getNextPreviousRunDateTime(cadence = DEFAULT_CADENCE, now = new Date(), timeZone = getBusinessTimeZone()) {
+  const { type, weekday, intervalDays, anchorDate } = getCadence(cadence);
+  const today = getZonedDateParts(now, timeZone);
+  // calendar days are counted in UTC, so the DST changes do not matter
+  let daysBack = 0;
+  if (type === CADENCE_WEEKLY) {
+    daysBack = (today.weekday - weekday + 7) % 7;
+  }
+  else if (type === CADENCE_CUSTOM) {
+    const [anchorYear, anchorMonth, anchorDay] = anchorDate.split('-').map((part) => parseInt(part, 10));
+    const daysSinceAnchor = Math.round((Date.UTC(today.year, today.month - 1, today.day) - Date.UTC(anchorYear, anchorMonth - 1, anchorDay)) / MILLISECONDS_PER_DAY);
+    daysBack = ((daysSinceAnchor % intervalDays) + intervalDays) % intervalDays;
+  }
+  return toSoqlDateTime(getZonedMidnight(today.year, today.month, today.day - daysBack, timeZone));
+}
+
+// Date() rolls invalid days over (eg, 2023-02-30 => 2023-03-02) instead of rejecting them
+function isValidCalendarDate(value) {
+  const [year, month, day] = value.substring(0, 10).split('-').map((part) => parseInt(part, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate an ISO-8601 date/datetime URL query param and convert it to a SOQL datetime literal (UTC), eg, 2023-03-05T00:00:00.000Z
+ *
+ * A date without a time is midnight UTC; a datetime must include Z or an offset so the window is not ambiguous.
+ * Throws a MarketingApiValidationError (http status 400) if the value is not valid.
+ */
+export function parseIsoDateTime(value, paramName) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || !value.match(ISO_8601_REGEX) || isNaN(date.getTime()) || !isValidCalendarDate(value)) {
+    throw new MarketingApiValidationError(
+      `Invalid ${paramName} '${value}'; use an ISO-8601 date (eg, 2023-03-05) or datetime with a time zone (eg, 2023-03-05T08:00:00Z)`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Get the backfill window from the startDateTime/endDateTime URL query params; null if the request has neither,
+ * ie, the query window runs from the report's checkpoint
+ *
+ * endDateTime is optional and defaults to defaultEndDateTime.
+ * Throws a MarketingApiValidationError (http status 400) if the params are invalid.
+ */
+export function getBackfillWindow(requestPayload, defaultEndDateTime) {
+  const { startDateTime, endDateTime } = requestPayload;
+  if (!startDateTime && !endDateTime) {
+    return null;
+  }
+  if (!startDateTime) {
+    throw new MarketingApiValidationError(`endDateTime requires a startDateTime`);
+  }
+  const window = {
+    previousRunDateTime: parseIsoDateTime(startDateTime, 'startDateTime'),
+    nextPreviousRunDateTime: endDateTime ? parseIsoDateTime(endDateTime, 'endDateTime') : defaultEndDateTime,
+  };
+  if (new Date(window.previousRunDateTime) >= new Date(window.nextPreviousRunDateTime)) {
+    throw new MarketingApiValidationError(
+      `startDateTime ${window.previousRunDateTime} must be before endDateTime ${window.nextPreviousRunDateTime}`);
+  }
+  return window;
+}
+
+/**
+ * Split the query window into consecutive windows of at most maxWindowDays; returns [window] if it is short enough
+ *
+ * Since both ends of a window are exclusive, each chunk starts 1 millisecond before the previous chunk ends
+ * so a record created exactly on a chunk boundary is in (only) the later chunk.
+ */
+export function splitQueryWindow({ previousRunDateTime, nextPreviousRunDateTime }, maxWindowDays = getMaxWindowDays()) {
+  const start = new Date(previousRunDateTime).getTime();
+  const end = new Date(nextPreviousRunDateTime).getTime();
+  const maxWindowMilliseconds = maxWindowDays * MILLISECONDS_PER_DAY;
+  let windows = [];
+  let chunkStart = previousRunDateTime;
+  for (let chunkEnd = start + maxWindowMilliseconds; chunkEnd < end; chunkEnd += maxWindowMilliseconds) {
+    windows.push({ previousRunDateTime: chunkStart, nextPreviousRunDateTime: new Date(chunkEnd).toISOString() });
+    chunkStart = new Date(chunkEnd - 1).toISOString();
+  }
+  windows.push({ previousRunDateTime: chunkStart, nextPreviousRunDateTime });
+  return windows;
+}
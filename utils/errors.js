@@ -0,0 +1,200 @@
+/**
+ * Error types and their handling policies
+ *
+ * Throw the error type for the failure, and handleApiError() (./common.js) responds, logs and alerts by the type's policy:
+ *  - MarketingApiAuthorizationError: the request is not authenticated, eg, missing or invalid JWT (see ./auth.js)
+ *  - MarketingApiForbiddenError:     the caller does not have the scope(s) for the request
+ *  - MarketingApiValidationError:    missing or invalid request params, eg, an unknown requestType
+ *  - MarketingApiSfdcError:          SFDC (upstream) call failed, eg, expired password or malformed query (see ./sfdcclient.js)
+ *  - MarketingApiStorageError:       storage call failed, eg, Firebase is unreachable (see ./storage.js)
+ *  - MarketingApiDeliveryError:      the report or email was not sent to any channel (see ./notifier.js)
+ *  - MarketingApiConfigError:        required env variables are not set, eg, the SFDC credentials of the environment (see ./config.js)
+ *  - MarketingApiLimitError:         the SFDC query matched more records than the max records limit (see ./sfdcclient.js)
+ *  - MarketingApiConflictError:      another run of the report holds its lock (see ./runlock.js), or the Idempotency-Key's request is still running (see ./idempotency.js)
+ * Any other error (eg, a coding error) has the DEFAULT_ERROR_POLICY.
+ *
+ * A policy is {statusCode, severity, notify}: the response's http status, the log level (and the notifications' severity),
+ * and whether to send an alert to the notification channels for the severity. Override the policies with the ERROR_POLICIES
+ * env variable (JSON, merged by error type), eg,
+ *    ERROR_POLICIES='{"MarketingApiValidationError": {"notify": true}}'
+ * (the `default` key overrides the DEFAULT_ERROR_POLICY)
+ *
+ * Custom error types: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types
+ */
+import { formatLogEntry } from '../utils/logger';
+
+// levels of ./common.js (not imported here: it imports this module)
+const ERROR = 'ERROR';
+const WARNING = 'WARNING';
+
+/**
+ * Base of the error types
+ *
+ * options (optional): {cause, details}, where cause is the original error and details (eg, the upstream error response)
+ * is added to the error response body
+ */
+export class MarketingApiError extends Error {
+  constructor(message, options = {}, ...params) {
+    // Pass the message and remaining arguments (including vendor specific ones) to parent constructor
+    super(message, options, ...params);
+
+    // Maintains proper stack trace for where our error was thrown (only available on V8)
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.name = 'MarketingApiError';
+    this.details = options.details ?? null;
+  }
+}
+
+export class MarketingApiAuthorizationError extends MarketingApiError {
+  constructor(message, ...params) {
+    super(message, ...params);
+    this.name = 'MarketingApiAuthorizationError';
+  }
+}
+
+/**
+ * The caller is authenticated but does not have the scope(s) for the request
+ */
+export class MarketingApiForbiddenError extends MarketingApiAuthorizationError {
+  constructor(message, ...params) {
+    super(message, ...params);
+    this.name = 'MarketingApiForbiddenError';
+  }
+}
+
+export class MarketingApiValidationError extends MarketingApiError {
+  constructor(message, ...params) {
+    super(message, ...params);
+    this.name = 'MarketingApiValidationError';
+  }
+}
+
+/**
+ * options: also {status, errorCode}, the SFDC response's http status and (first) errorCode, eg, INVALID_SESSION_ID
+ */
+export class MarketingApiSfdcError extends MarketingApiError {
+  constructor(message, options = {}, ...params) {
+    super(message, options, ...params);
+    this.name = 'MarketingApiSfdcError';
+    this.status = options.status ?? null;
+    this.errorCode = options.errorCode ?? null;
+  }
+}
+
+/**
+ * options: also {operation, path}, the storage method and path of the failed call
+ *
+ * Usage:
+ *    throw new MarketingApiStorageError(`Could not create data at 'a/b'`, { cause: err, operation: 'createData', path: 'a/b' });
+ */
+export class MarketingApiStorageError extends MarketingApiError {
+  constructor(message, options = {}, ...params) {
+    super(message, options, ...params);
+    this.name = 'MarketingApiStorageError';
+    this.operation = options.operation ?? null;
+    this.path = options.path ?? null;
+  }
+}
+
+export class MarketingApiDeliveryError extends MarketingApiError {
+  constructor(message, ...params) {
+    super(message, ...params);
+    this.name = 'MarketingApiDeliveryError';
+  }
+}
+
+export class MarketingApiConfigError extends MarketingApiError {
+  constructor(message, ...params) {
+    super(message, ...params);
+    this.name = 'MarketingApiConfigError';
+  }
+}
+
+/**
+ * options: also {limit, count}, the max records limit and the number of records the query matched
+ */
+export class MarketingApiLimitError extends MarketingApiError {
+  constructor(message, options = {}, ...params) {
+    super(message, options, ...params);
+    this.name = 'MarketingApiLimitError';
+    this.limit = options.limit ?? null;
+    this.count = options.count ?? null;
+  }
+}
+
+/**
+ * options: also {owner, expiresAt}, the request ID of the run holding the lock and when the lock expires
+ */
+export class MarketingApiConflictError extends MarketingApiError {
+  constructor(message, options = {}, ...params) {
+    super(message, options, ...params);
+    this.name = 'MarketingApiConflictError';
+    this.owner = options.owner ?? null;
+    this.expiresAt = options.expiresAt ?? null;
+  }
+}
+
+export const DEFAULT_ERROR_POLICY = { statusCode: 500, severity: ERROR, notify: true };
+
+export const DEFAULT_ERROR_POLICIES = {
+  MarketingApiAuthorizationError: { statusCode: 401, severity: WARNING, notify: false },
+  MarketingApiForbiddenError: { statusCode: 403, severity: WARNING, notify: false },
+  MarketingApiValidationError: { statusCode: 400, severity: WARNING, notify: false },
+  MarketingApiSfdcError: { statusCode: 502, severity: ERROR, notify: true },
+  MarketingApiStorageError: { statusCode: 500, severity: ERROR, notify: true },
+  MarketingApiDeliveryError: { statusCode: 502, severity: ERROR, notify: true },
+  MarketingApiConfigError: { statusCode: 500, severity: ERROR, notify: true },
+  // the request is valid, but its window must be narrowed (or the limit raised); a scheduled run needs an operator
+  MarketingApiLimitError: { statusCode: 422, severity: ERROR, notify: true },
+  // overlapping runs (eg, a cron retry) are expected: the run that holds the lock reports the window
+  MarketingApiConflictError: { statusCode: 409, severity: WARNING, notify: false },
+};
+
+/**
+ * Get the policies: DEFAULT_ERROR_POLICIES merged with the ERROR_POLICIES env variable
+ */
+export function getErrorPolicies() {
+  let envPolicies = {};
+  if (process.env.ERROR_POLICIES) {
+    try {
+      envPolicies = JSON.parse(process.env.ERROR_POLICIES);
+    }
+    catch (err) {
+      // the policies are needed to handle errors, so fall back to the defaults rather than throw
+      console.log(formatLogEntry({
+        level: WARNING,
+        source: 'getErrorPolicies()',
+        message: `Could not parse the ERROR_POLICIES env variable; using the default error policies`,
+        error: err,
+      }));
+    }
+  }
+  const errorTypes = [...new Set([...Object.keys(DEFAULT_ERROR_POLICIES), ...Object.keys(envPolicies)])];
+  return Object.fromEntries(errorTypes.map((errorType) => [errorType, { ...DEFAULT_ERROR_POLICIES[errorType], ...envPolicies[errorType] }]));
+}
+
+/**
+ * Get the policy of the error: {statusCode, severity, notify}
+ */
+export function getErrorPolicy(error) {
+  const policies = getErrorPolicies();
+  return { ...DEFAULT_ERROR_POLICY, ...policies.default, ...policies[error?.name] };
+}
+
+/**
+ * The error response body: {success, error, message, requestId, details}
+ */
+export function getErrorBody(error, requestId) {
+  const isMarketingApiError = error instanceof MarketingApiError;
+  return {
+    success: false,
+    error: isMarketingApiError ? error.name : 'InternalServerError',
+    // the message of other errors (eg, a coding error) is only logged
+    message: isMarketingApiError ? error.message : `Unexpected error; see the log entries of request ID ${requestId}`,
+    requestId,
+    ...(isMarketingApiError && error.details && { details: error.details }),
+  };
+}
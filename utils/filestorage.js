@@ -0,0 +1,56 @@
+/**
+ * Local JSON file storage (see the storage interface in ./storage.js)
+ *
+ * Keeps the data in the JSON file at STORAGE_FILE_PATH (default: marketing-api-storage.json in the OS temp directory),
+ * eg, to run the reports offline with checkpoints that survive restarts (STORAGE_BACKEND=file).
+ * The file is read before and (atomically) rewritten after every change, one change at a time (see ./memorystorage.js), so it
+ * is meant for a single process.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getConfig,
+  CONFIG_STORAGE,
+} from '../utils/config';
+import MemoryStorage from '../utils/memorystorage';
+import { MarketingApiStorageError } from '../utils/common';
+
+export const DEFAULT_STORAGE_FILE_NAME = 'marketing-api-storage.json';
+
+export function getStorageFilePath() {
+  return getConfig(CONFIG_STORAGE).filePath || path.join(os.tmpdir(), DEFAULT_STORAGE_FILE_NAME);
+}
+
+export default class FileStorage extends MemoryStorage {
+  constructor(requestId = null, filePath = getStorageFilePath()) {
+    super(requestId);
+    this.filePath = filePath;
+  }
+
+  async loadData() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    }
+    catch (err) {
+      // no data has been saved yet
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw new MarketingApiStorageError(`Could not read the storage file '${this.filePath}': ${err.message}`, { cause: err, operation: 'loadData', path: this.filePath });
+    }
+  }
+
+  async saveData(data) {
+    // write a temp file and rename it so a crash mid-write does not leave a truncated file
+    const tempFilePath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempFilePath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempFilePath, this.filePath);
+    }
+    catch (err) {
+      throw new MarketingApiStorageError(`Could not write the storage file '${this.filePath}': ${err.message}`, { cause: err, operation: 'saveData', path: this.filePath });
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Outbound http calls with timeouts and retries
+ *
+ * withRetry() runs a call, and if it fails with a retryable error, waits and runs it again:
+ *  - retryable errors: network errors and timeouts, http status 408, 429, 500, 502, 503, 504, and SFDC's REQUEST_LIMIT_EXCEEDED
+ *    error (http status 403): https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/errorcodes.htm
+ *  - calls that are not idempotent (eg, sending an email, or creating an SFDC bulk query job) pass isRetryable: isRetryableUnprocessedError,
+ *    so they are only retried if the error shows the request was not processed (a connection error, http status 429, 503 with a
+ *    Retry-After header, or REQUEST_LIMIT_EXCEEDED): after a timeout or a 5xx, the server may have processed it, and a retry would repeat it
+ *  - the wait is the response's Retry-After header if it has one, else an exponential backoff with (full) jitter:
+ *    https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ *  - every attempt (and wait) must fit in the request's time budget, counted from the start of the request (see startRequestTimer()
+ *    in ./logger.js), so the retries give up in time to respond before the serverless function's max duration:
+ *    https://vercel.com/docs/concepts/limits/overview#serverless-function-execution-timeout
+ *    A call made once the budget is used up fails at once with an error whose code is HTTP_TIME_BUDGET_EXHAUSTED.
+ *
+ * Settings (env variables):
+ *  - HTTP_TIMEOUT_MS:            timeout of each attempt (default 30000)
+ *  - HTTP_MAX_RETRIES:           max number of retries after the first attempt (default 3)
+ *  - HTTP_RETRY_BASE_DELAY_MS:   backoff of the first retry, doubled for each retry (default 500)
+ *  - HTTP_RETRY_MAX_DELAY_MS:    max wait before a retry (default 10000)
+ *  - HTTP_TIME_BUDGET_MS:        time budget of the request (default 55000)
+ *
+ * Usage:
+ *    const response = await requestWithRetry({ url, method: 'GET' }, { requestId, source: 'SfdcClient.query()' });
+ */
+import axios from 'axios';
+import { formatLogEntry, getRequestDuration } from '../utils/logger';
+
+export const DEFAULT_HTTP_TIMEOUT_MS = 30000;
+export const DEFAULT_HTTP_MAX_RETRIES = 3;
+export const DEFAULT_HTTP_RETRY_BASE_DELAY_MS = 500;
+export const DEFAULT_HTTP_RETRY_MAX_DELAY_MS = 10000;
+export const DEFAULT_HTTP_TIME_BUDGET_MS = 55000;
+
+export const RETRYABLE_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+export const RETRYABLE_NETWORK_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+// the connection was not made, so the request was not sent
+export const UNPROCESSED_NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+export const SFDC_REQUEST_LIMIT_EXCEEDED = 'REQUEST_LIMIT_EXCEEDED';
+export const HTTP_TIME_BUDGET_EXHAUSTED = 'HTTP_TIME_BUDGET_EXHAUSTED';
+
+// levels of ./common.js (not imported here: it imports this module through ./notifier.js)
+const WARNING = 'WARNING';
+
+function getIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return value >= 0 ? value : defaultValue;
+}
+
+export function getHttpSettings() {
+  return {
+    timeoutMs: getIntEnv('HTTP_TIMEOUT_MS', DEFAULT_HTTP_TIMEOUT_MS),
+    maxRetries: getIntEnv('HTTP_MAX_RETRIES', DEFAULT_HTTP_MAX_RETRIES),
+    baseDelayMs: getIntEnv('HTTP_RETRY_BASE_DELAY_MS', DEFAULT_HTTP_RETRY_BASE_DELAY_MS),
+    maxDelayMs: getIntEnv('HTTP_RETRY_MAX_DELAY_MS', DEFAULT_HTTP_RETRY_MAX_DELAY_MS),
+    timeBudgetMs: getIntEnv('HTTP_TIME_BUDGET_MS', DEFAULT_HTTP_TIME_BUDGET_MS),
+  };
+}
+
+/**
+ * Http status of the error: axios errors have error.response.status, Mailgun (mailgun.js) errors have error.status
+ */
+export function getErrorStatus(err) {
+  return err?.response?.status ?? (typeof err?.status === 'number' ? err.status : null);
+}
+
+/**
+ * Check if the failed call may succeed if it is retried
+ */
+export function isRetryableError(err) {
+  const status = getErrorStatus(err);
+  if (status) {
+    return RETRYABLE_HTTP_STATUSES.includes(status) || isSfdcRequestLimitExceeded(err);
+  }
+  // no response: network error or timeout
+  return RETRYABLE_NETWORK_ERROR_CODES.includes(err?.code);
+}
+
+/**
+ * Check if the failed call may succeed if it is retried, and the server did not process it, so a call that is not idempotent
+ * can be retried
+ */
+export function isRetryableUnprocessedError(err) {
+  const status = getErrorStatus(err);
+  if (status) {
+    return status === 429 || (status === 503 && getRetryAfterMs(err) !== null) || isSfdcRequestLimitExceeded(err);
+  }
+  return UNPROCESSED_NETWORK_ERROR_CODES.includes(err?.code);
+}
+
+// SFDC responds with an array of errors, eg, [{"errorCode": "REQUEST_LIMIT_EXCEEDED", "message": "TotalRequests Limit exceeded."}]
+function isSfdcRequestLimitExceeded(err) {
+  const data = err?.response?.data;
+  return Array.isArray(data) && data.some(({errorCode} = {}) => errorCode === SFDC_REQUEST_LIMIT_EXCEEDED);
+}
+
+/**
+ * Milliseconds to wait from the Retry-After response header (seconds, or an http date); null if there is none:
+ * https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Retry-After
+ */
+export function getRetryAfterMs(err) {
+  const retryAfter = err?.response?.headers?.['retry-after'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: a random wait from 0 to min(maxDelayMs, baseDelayMs * 2^retry)
+ */
+export function getBackoffDelayMs(retry, baseDelayMs, maxDelayMs) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * (2 ** retry)));
+}
+
+// time left in the request's budget; the budget starts now for calls outside a request
+function getRemainingBudgetMs(requestId, timeBudgetMs, startTime) {
+  const elapsedMs = (requestId && getRequestDuration(requestId)) ?? (Date.now() - startTime);
+  return timeBudgetMs - elapsedMs;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run the call (fn receives {timeoutMs, attempt}) and retry it if it fails with a retryable error
+ *
+ * options (all optional; the defaults are from getHttpSettings()):
+ *  - requestId, source: for the retry log entries
+ *  - timeoutMs, maxRetries, baseDelayMs, maxDelayMs, timeBudgetMs
+ *  - isRetryable: (err) => boolean, default isRetryableError; isRetryableUnprocessedError for the calls that are not idempotent
+ *
+ * Throws the last error if the call does not succeed (the error's `attempts` property is the number of attempts), or an
+ * error with the code HTTP_TIME_BUDGET_EXHAUSTED if the time budget is used up before an attempt
+ */
+export async function withRetry(fn, options = {}) {
+  const { requestId = null, source = 'withRetry()', isRetryable = isRetryableError } = options;
+  const { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, timeBudgetMs } = { ...getHttpSettings(), ...options };
+  const startTime = Date.now();
+  for (let attempt = 1; ; attempt++) {
+    const attemptBudgetMs = getRemainingBudgetMs(requestId, timeBudgetMs, startTime);
+    if (attemptBudgetMs <= 0) {
+      const err = new Error(`The time budget of ${timeBudgetMs} ms is used up; attempt [${attempt}] of the call is not made`);
+      err.code = HTTP_TIME_BUDGET_EXHAUSTED;
+      err.attempts = attempt - 1;
+      throw err;
+    }
+    try {
+      return await fn({ timeoutMs: Math.min(timeoutMs, attemptBudgetMs), attempt });
+    }
+    catch (err) {
+      const retry = attempt - 1;
+      const delayMs = getRetryAfterMs(err) ?? getBackoffDelayMs(retry, baseDelayMs, maxDelayMs);
+      const remainingBudgetMs = getRemainingBudgetMs(requestId, timeBudgetMs, startTime);
+      // leave time for (part of) one more attempt, else retrying is pointless
+      if (retry >= maxRetries || !isRetryable(err) || delayMs > maxDelayMs || delayMs >= remainingBudgetMs) {
+        err.attempts = attempt;
+        throw err;
+      }
+      console.log(formatLogEntry({
+        level: WARNING,
+        source,
+        message: `Attempt [${attempt}] failed with ${getErrorStatus(err) ? `http status ${getErrorStatus(err)}` : (err.code ?? err.message)}; retrying in ${delayMs} ms`,
+        requestId,
+        context: { attempt, maxRetries, delayMs, remainingBudgetMs },
+        error: err,
+      }));
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Make the axios request (https://axios-http.com/docs/req_config) with a timeout, retrying it if it fails with a retryable error
+ * (options: see withRetry(); pass isRetryable: isRetryableUnprocessedError if the request is not idempotent)
+ */
+export async function requestWithRetry(config, options = {}) {
+  return await withRetry(({ timeoutMs }) => axios({ ...config, timeout: config.timeout ?? timeoutMs }), options);
+}
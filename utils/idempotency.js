@@ -0,0 +1,187 @@
+/**
+ * Idempotent requests: a request with an `Idempotency-Key` header (eg, a UUID the caller generates per logical request) runs once;
+ * a repeat of the request with the same key gets the stored response of the first run instead of running again
+ * (https://datatracker.ietf.org/doc/draft-ietf-httpapi-idempotency-key-header/)
+ *
+ * The key's entry is stored under IDEMPOTENCY_ROOT_ELEMENT_NAME/<SHA-256 of the key>:
+ *    {owner, requestId, fingerprint, status (inProgress or completed), lockedUntil, expiresAt, response}
+ *  (the response, {statusCode, headers, body}, is stored as JSON: the storage drops the null values of the body)
+ *  - the first request claims the key in a storage transaction, and stores its response once it completes; the claim's owner
+ *    is a random token, not the requestId (the request IDs are timestamps, so two requests may share one, see ./runlock.js)
+ *  - a repeat while the first request is running fails with http status 409 (MarketingApiConflictError)
+ *  - a repeat with different params (see getRequestFingerprint()) fails with http status 400 (MarketingApiValidationError)
+ *  - a failed request releases the key, so the repeat runs again
+ *  - the stored responses expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24); a claim expires after REPORT_LOCK_TTL_MS
+ *    (see ./runlock.js), so a request that was stopped before it completed does not block its repeats
+ *  - each claim deletes up to IDEMPOTENCY_SWEEP_BATCH_SIZE of the expired entries, so the entries do not pile up; for Firebase,
+ *    index the entries on expiresAt in the database rules: {"IdempotencyKeys": {".indexOn": ["expiresAt"]}}
+ */
+import crypto from 'crypto';
+import { formatLogEntry } from '../utils/logger';
+import { getLockTtlMs } from '../utils/runlock';
+import {
+  MarketingApiConflictError,
+  MarketingApiValidationError,
+  AUTHORIZATION,
+  ERROR,
+} from '../utils/common';
+
+export const IDEMPOTENCY_ROOT_ELEMENT_NAME = 'IdempotencyKeys';
+export const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+// response header of a stored response
+export const IDEMPOTENT_REPLAYED_HEADER = 'Idempotent-Replayed';
+export const DEFAULT_IDEMPOTENCY_KEY_TTL_HOURS = 24;
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// max expired entries deleted per claim
+export const IDEMPOTENCY_SWEEP_BATCH_SIZE = 20;
+
+export const IDEMPOTENCY_STATUS_IN_PROGRESS = 'inProgress';
+export const IDEMPOTENCY_STATUS_COMPLETED = 'completed';
+
+const MILLISECONDS_PER_HOUR = 60 * 60 * 1000;
+
+export function getIdempotencyKeyTtlMs() {
+  const ttlHours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return (ttlHours > 0 ? ttlHours : DEFAULT_IDEMPOTENCY_KEY_TTL_HOURS) * MILLISECONDS_PER_HOUR;
+}
+
+/**
+ * Get the request's Idempotency-Key header; null if none
+ *
+ * Throws a MarketingApiValidationError if the key is longer than MAX_IDEMPOTENCY_KEY_LENGTH
+ */
+export function getIdempotencyKey(req) {
+  const key = req.headers?.[IDEMPOTENCY_KEY_HEADER]?.trim();
+  if (!key) {
+    return null;
+  }
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw new MarketingApiValidationError(`The Idempotency-Key header must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+  return key;
+}
+
+/**
+ * Fingerprint of the request: the SHA-256 of the endpoint and its URL query params (but the Authorization param)
+ */
+export function getRequestFingerprint(endpoint, requestPayload = {}) {
+  const params = Object.entries(requestPayload)
+    .filter(([name, value]) => name !== AUTHORIZATION && value !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b));
+  return crypto.createHash('sha256').update(JSON.stringify([endpoint, params])).digest('hex');
+}
+
+// storage key of the idempotency key (any characters, eg, . and / are not allowed in Firebase keys)
+function getStorageKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Claim the idempotency key for the request; returns {replay, owner}: replay is the stored response ({statusCode, headers, body})
+ * of an earlier run of the request, or null if the request claimed the key and must run; owner is the claim's token, to
+ * release the key with (null if the key was not claimed)
+ *
+ * Throws a MarketingApiConflictError if an earlier run of the request is still running, or a MarketingApiValidationError
+ * if the key was used for a request with other params
+ */
+export async function claimIdempotencyKey(storage, key, { requestId, fingerprint }) {
+  const now = Date.now();
+  const owner = crypto.randomUUID();
+  await deleteExpiredEntries(storage, now, requestId);
+  const { committed, data } = await storage.transactionData(IDEMPOTENCY_ROOT_ELEMENT_NAME, getStorageKey(key), (entry) => {
+    const isClaimed = entry && Date.parse(entry.expiresAt) > now &&
+      (entry.status === IDEMPOTENCY_STATUS_COMPLETED || Date.parse(entry.lockedUntil) > now);
+    return isClaimed ? undefined : {
+      owner,
+      requestId,
+      fingerprint,
+      status: IDEMPOTENCY_STATUS_IN_PROGRESS,
+      createdAt: new Date(now).toISOString(),
+      lockedUntil: new Date(now + getLockTtlMs()).toISOString(),
+      expiresAt: new Date(now + getIdempotencyKeyTtlMs()).toISOString(),
+    };
+  });
+  if (committed) {
+    return { replay: null, owner };
+  }
+  if (data.fingerprint !== fingerprint) {
+    throw new MarketingApiValidationError(`The Idempotency-Key was already used for a request with other params; use a new key for each request`);
+  }
+  if (data.status !== IDEMPOTENCY_STATUS_COMPLETED) {
+    throw new MarketingApiConflictError(`The request with this Idempotency-Key is still running (request ID ${data.requestId})`,
+      { owner: data.requestId, expiresAt: data.lockedUntil });
+  }
+  return { replay: JSON.parse(data.response), owner: null };
+}
+
+/**
+ * Delete up to IDEMPOTENCY_SWEEP_BATCH_SIZE of the expired entries, each in a transaction, so an entry claimed again since
+ * the query is kept
+ *
+ * Never throws: the expired entries are not used, so a failure to delete them is logged, but must not fail the request
+ */
+async function deleteExpiredEntries(storage, now, requestId) {
+  try {
+    const expiredEntries = await storage.queryData(IDEMPOTENCY_ROOT_ELEMENT_NAME, null,
+      { orderByChild: 'expiresAt', endAt: new Date(now).toISOString(), limitToFirst: IDEMPOTENCY_SWEEP_BATCH_SIZE });
+    for (const { key } of expiredEntries) {
+      await storage.transactionData(IDEMPOTENCY_ROOT_ELEMENT_NAME, key, (entry) =>
+        entry && Date.parse(entry.expiresAt) <= now ? null : undefined);
+    }
+  }
+  catch (err) {
+    console.log(formatLogEntry({
+      level: ERROR,
+      source: 'deleteExpiredEntries()',
+      message: `Exception caught deleting the expired idempotency keys`,
+      requestId,
+      error: err,
+    }));
+  }
+}
+
+/**
+ * Store the response of the request that claimed the key, for its repeats
+ *
+ * Never throws: the request already ran (eg, the report was delivered), so a failure to store its response is logged, but must
+ * not fail the request (and release the key, so a retry runs it again); a repeat gets a 409 until the claim expires
+ */
+export async function saveIdempotentResponse(storage, key, response, requestId = null) {
+  try {
+    await storage.updateData(IDEMPOTENCY_ROOT_ELEMENT_NAME, getStorageKey(key), {
+      status: IDEMPOTENCY_STATUS_COMPLETED,
+      completedAt: new Date().toISOString(),
+      response: JSON.stringify(response),
+    });
+  }
+  catch (err) {
+    console.log(formatLogEntry({
+      level: ERROR,
+      source: 'saveIdempotentResponse()',
+      message: `Exception caught storing the response of the idempotent request; its repeats fail with 409 until its claim expires`,
+      requestId,
+      error: err,
+    }));
+  }
+}
+
+/**
+ * Release the key claimed by the (failed) request (owner: the claim's token, see claimIdempotencyKey()), so a repeat runs again
+ *
+ * Never throws: a failure to release the key is logged (the claim expires), but must not change the response of the request
+ */
+export async function releaseIdempotencyKey(storage, key, owner, requestId = null) {
+  try {
+    await storage.transactionData(IDEMPOTENCY_ROOT_ELEMENT_NAME, getStorageKey(key), (entry) =>
+      entry?.owner === owner && entry.status === IDEMPOTENCY_STATUS_IN_PROGRESS ? null : undefined);
+  }
+  catch (err) {
+    console.log(formatLogEntry({
+      level: ERROR,
+      source: 'releaseIdempotencyKey()',
+      message: `Exception caught releasing the idempotency key; its claim expires on its own`,
+      requestId,
+      error: err,
+    }));
+  }
+}
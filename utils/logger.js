@@ -0,0 +1,132 @@
+/**
+ * Structured logging: one JSON object per line, eg,
+ *
+ *    {"timestamp":"2023-03-05T08:00:00.123Z","requestId":"20230305000000123","level":"INFO","source":"/api/sfdcquery",
+ *     "message":"Request payload","durationMs":5,"context":{"requestPayload":{"requestType":"googleSearchAdsConversions"}}}
+ *
+ * Before writing, the entry is redacted:
+ *  - the values of the fields named in DEFAULT_REDACT_FIELDS (plus the comma delimited LOG_REDACT_FIELDS env variable) are
+ *    masked at any depth of the context, eg, Email__c, access_token, client_secret (field names are not case sensitive);
+ *    the names are specific, so the storage keys and the lock and idempotency context (eg, childKey, owner) stay traceable
+ *  - email addresses in any string (including the message) are masked
+ *
+ * getLogMessage(), handleGenericError() (./common.js) and the classes' createLogMessage() all format their entries here.
+ */
+
+export const MASKED_FOR_SECURITY = '*** masked for security ***';
+
+export const DEFAULT_REDACT_FIELDS = [
+  'Email__c',
+  'email',
+  'Authorization',
+  'access_token',
+  'accessToken',
+  'refresh_token',
+  'refreshToken',
+  'id_token',
+  'assertion',
+  'password',
+  'client_secret',
+  'clientSecret',
+  'apiKey',
+  'jwtPrivateKey',
+  'privateKey',
+  'secret',
+];
+
+const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+// max number of requests to keep start times for (see startRequestTimer()); a warm serverless instance handles requests one after another
+const MAX_REQUEST_TIMERS = 1000;
+const requestStartTimes = new Map();
+
+export function getRedactFields() {
+  const extraFields = (process.env.LOG_REDACT_FIELDS ?? '').split(',').map((field) => field.trim()).filter(Boolean);
+  return [...DEFAULT_REDACT_FIELDS, ...extraFields].map((field) => field.toLowerCase());
+}
+
+/**
+ * Return a copy of the value with the redact fields and email addresses masked
+ */
+export function redact(value, redactFields = getRedactFields(), seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return value.replace(EMAIL_REGEX, MASKED_FOR_SECURITY);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), redactFields, seen);
+  }
+  // avoid infinite recursion on circular references
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, redactFields, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) =>
+    [key, redactFields.includes(key.toLowerCase()) && fieldValue !== null && fieldValue !== undefined ?
+      MASKED_FOR_SECURITY :
+      redact(fieldValue, redactFields, seen)]));
+}
+
+/**
+ * Plain object for an error (Error properties are not enumerable so JSON.stringify(error) is '{}');
+ * includes the http status and response body of axios errors, and the error's cause
+ */
+export function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return err;
+  }
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status && { status: err.status }),
+    ...(err.errorCode && { errorCode: err.errorCode }),
+    ...(err.response && { status: err.response.status, data: err.response.data }),
+    ...(err.cause && { cause: serializeError(err.cause) }),
+    stack: err.stack,
+  };
+}
+
+/**
+ * Record the start time of the request so its log entries have a durationMs
+ */
+export function startRequestTimer(requestId) {
+  if (requestStartTimes.size >= MAX_REQUEST_TIMERS) {
+    requestStartTimes.delete(requestStartTimes.keys().next().value);
+  }
+  requestStartTimes.set(requestId, Date.now());
+}
+
+export function getRequestDuration(requestId) {
+  const startTime = requestStartTimes.get(requestId);
+  return startTime ? Date.now() - startTime : null;
+}
+
+/**
+ * Format the (redacted) log entry as a JSON line
+ *
+ * entry: {level, source, message, requestId, context, error}
+ */
+export function formatLogEntry({ level, source, message, requestId = null, context = null, error = null }) {
+  const logEntry = {
+    timestamp: new Date().toISOString(),
+    requestId,
+    level,
+    source,
+    message,
+    durationMs: requestId ? getRequestDuration(requestId) : null,
+    ...(context && { context }),
+    ...(error && { error: serializeError(error) }),
+  };
+  try {
+    return JSON.stringify(redact(logEntry));
+  }
+  catch (err) {
+    // eg, BigInt values
+    return JSON.stringify(redact({ ...logEntry, context: String(context), error: String(error) }));
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * In-memory storage (see the storage interface in ./storage.js)
+ *
+ * The data is kept for the life of the (warm) serverless instance and shared by every MemoryStorage, so eg, a checkpoint
+ * written by one request is read by the next; use it for tests and offline development (STORAGE_BACKEND=memory).
+ * Like the Firebase Realtime Database, setting a path to null (or an empty object) removes it.
+ */
+import { formatLogEntry } from '../utils/logger';
+import {
+  INFO,
+} from '../utils/common';
+
+export default class MemoryStorage {
+  static #data = {};
+  // auto keys are ordered by creation time, with a counter for keys created in the same millisecond
+  static #autoKeyCounter = 0;
+  // the pending writes: each write (read, change, write back) runs after the previous one (see #serializeWrite())
+  static #writes = Promise.resolve();
+
+  constructor(requestId = null) {
+    this.requestId = requestId ?? 'Optional request ID not provided';
+  }
+
+  static clear() {
+    MemoryStorage.#data = {};
+  }
+
+  /**
+   * Run the write once the previous writes of the process are done, so its read and write back are not interleaved with
+   * another write: the reads and writes of a storage that keeps the data elsewhere (eg, ./filestorage.js) are async
+   */
+  #serializeWrite(write) {
+    const result = MemoryStorage.#writes.then(write);
+    MemoryStorage.#writes = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get all the data; overridden by storages that keep the data elsewhere (eg, ./filestorage.js)
+   */
+  async loadData() {
+    return MemoryStorage.#data;
+  }
+
+  async saveData(data) {
+    MemoryStorage.#data = data;
+  }
+
+  async createData(rootElementName, childKey, dataObj) {
+    return this.#serializeWrite(async () => {
+      const data = await this.loadData();
+      await this.saveData(setValue(data, getPathKeys(rootElementName, childKey), dataObj));
+      console.log(this.createLogMessage(INFO, 'createData', `Data created successfully`, null, {rootElementName, childKey, dataObj}));
+    });
+  }
+
+  async createDataWithAutoKey(rootElementName, dataObj) {
+    return this.#serializeWrite(async () => {
+      const key = `-${Date.now().toString(36).padStart(9, '0')}${(MemoryStorage.#autoKeyCounter++ % 10000).toString().padStart(4, '0')}`;
+      const data = await this.loadData();
+      await this.saveData(setValue(data, [...getPathKeys(rootElementName), key], dataObj));
+      console.log(this.createLogMessage(INFO, 'createDataWithAutoKey', `Data with auto key created successfully`, null, {rootElementName, key, dataObj}));
+      return key;
+    });
+  }
+
+  async readData(rootElementName, childKey) {
+    const data = await this.loadData();
+    return getValue(data, getPathKeys(rootElementName, childKey));
+  }
+
+  /**
+   * Read only the matching children of the path, sorted and filtered like the Firebase Realtime Database queries
+   * (see queryData() in ./artufirebaserealtimedatabase.js for the options); returns the sorted children: [{key, data}]
+   */
+  async queryData(rootElementName, childKey, options = {}) {
+    const node = await this.readData(rootElementName, childKey);
+    const getSortValue = options.orderByChild ?
+      (key, data) => getValue(data, getPathKeys(options.orderByChild)) :
+      (options.orderByValue ? (key, data) => data : (key) => key);
+    const compare = options.orderByChild || options.orderByValue ? compareValues : compareKeys;
+    const rangeValue = (value) => options.orderByChild || options.orderByValue ? value : String(value);
+
+    let children = Object.entries(node && typeof node === 'object' ? node : {})
+      .map(([key, data]) => ({ key, data, sortValue: getSortValue(key, data) }))
+      .sort((a, b) => compare(a.sortValue, b.sortValue) || compareKeys(a.key, b.key))
+      .filter(({ sortValue }) =>
+        (options.startAt === undefined || compare(sortValue, rangeValue(options.startAt)) >= 0) &&
+        (options.endAt === undefined || compare(sortValue, rangeValue(options.endAt)) <= 0) &&
+        (options.equalTo === undefined || compare(sortValue, rangeValue(options.equalTo)) === 0))
+      .map(({ key, data }) => ({ key, data }));
+    if (options.limitToFirst) {
+      children = children.slice(0, options.limitToFirst);
+    }
+    if (options.limitToLast) {
+      children = children.slice(-options.limitToLast);
+    }
+    console.log(this.createLogMessage(INFO, 'queryData', `Query for path '${getPathKeys(rootElementName, childKey).join('/')}' matched [${children.length}] children`, null, {rootElementName, childKey, options}));
+    return children;
+  }
+
+  async updateData(rootElementName, childKey, dataObj) {
+    return this.#serializeWrite(async () => {
+      let data = await this.loadData();
+      // like Firebase update(), the keys of dataObj may be paths relative to the updated path, eg, {'a/b': 1}
+      for (const [key, value] of Object.entries(dataObj)) {
+        data = setValue(data, [...getPathKeys(rootElementName, childKey), ...getPathKeys(key)], value);
+      }
+      await this.saveData(data);
+      console.log(this.createLogMessage(INFO, 'updateData', `Data updated successfully`, null, {rootElementName, childKey, dataObj}));
+    });
+  }
+
+  async deleteData(rootElementName, childKey) {
+    return this.#serializeWrite(async () => {
+      const data = await this.loadData();
+      await this.saveData(setValue(data, getPathKeys(rootElementName, childKey), null));
+      console.log(this.createLogMessage(INFO, 'deleteData', `Data deleted successfully`, null, {rootElementName, childKey}));
+    });
+  }
+
+  /**
+   * The read and write back are not interleaved with the other writes of this process (see #serializeWrite()), so the
+   * transaction is atomic within the process; a storage shared by several processes (eg, the same STORAGE_FILE_PATH) is not
+   */
+  async transactionData(rootElementName, childKey, updateFn) {
+    return this.#serializeWrite(async () => {
+      const data = await this.loadData();
+      const pathKeys = getPathKeys(rootElementName, childKey);
+      const newValue = updateFn(getValue(data, pathKeys));
+      if (newValue === undefined) {
+        console.log(this.createLogMessage(INFO, 'transactionData', `Transaction aborted`, null, {rootElementName, childKey}));
+        return { committed: false, data: getValue(data, pathKeys) };
+      }
+      await this.saveData(setValue(data, pathKeys, newValue));
+      console.log(this.createLogMessage(INFO, 'transactionData', `Transaction committed`, null, {rootElementName, childKey, data: newValue}));
+      return { committed: true, data: getValue(data, pathKeys) };
+    });
+  }
+
+  /**
+   * Log entry (JSON line, see ./logger.js); context (optional) is redacted before it is written
+   */
+  createLogMessage(level, source, msg, err = null, context = null) {
+    return formatLogEntry({
+      level,
+      source: `${this.constructor.name}.${source}()`,
+      message: msg,
+      requestId: this.requestId,
+      context,
+      error: err,
+    });
+  }
+}
+
+function getPathKeys(rootElementName, childKey = null) {
+  const path = childKey ? `${rootElementName}/${childKey}` : rootElementName;
+  return String(path).split('/').filter(Boolean);
+}
+
+// copy of the value, as it would be read back from Firebase: a JSON store (eg, Dates become strings) without null or empty object children
+function copyValue(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value), function (key, childValue) {
+    return key !== '' && !Array.isArray(this) && isEmpty(childValue) ? undefined : childValue;
+  });
+}
+
+function getValue(data, pathKeys) {
+  const value = pathKeys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), data);
+  return copyValue(value);
+}
+
+/**
+ * Set the value at the path (removing it, and any parents left empty, if the value is null or empty); returns the data
+ */
+function setValue(data, pathKeys, value) {
+  const newValue = copyValue(value);
+  if (!pathKeys.length) {
+    return newValue ?? {};
+  }
+  const [key, ...childPathKeys] = pathKeys;
+  const node = data && typeof data === 'object' ? data : {};
+  const childValue = childPathKeys.length ? setValue(node[key], childPathKeys, newValue) : newValue;
+  if (isEmpty(childValue)) {
+    delete node[key];
+  }
+  else {
+    node[key] = childValue;
+  }
+  return node;
+}
+
+// Firebase sort order of keys: keys that are (32-bit) integers first, in numeric order, then the other keys in lexicographic order
+function compareKeys(a, b) {
+  const isIntegerKey = (key) => /^-?\d{1,10}$/.test(key) && Math.abs(parseInt(key, 10)) <= 2147483647;
+  if (isIntegerKey(a) && isIntegerKey(b)) {
+    return parseInt(a, 10) - parseInt(b, 10);
+  }
+  if (isIntegerKey(a) !== isIntegerKey(b)) {
+    return isIntegerKey(a) ? -1 : 1;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Firebase sort order of values: null (missing), false, true, numbers, strings, objects: https://firebase.google.com/docs/database/web/lists-of-data#data-order
+function compareValues(a, b) {
+  const getRank = (value) => value === null || value === undefined ? 0 :
+    (value === false ? 1 : (value === true ? 2 : ({ number: 3, string: 4 })[typeof value] ?? 5));
+  const rankDifference = getRank(a) - getRank(b);
+  if (rankDifference || getRank(a) < 3 || getRank(a) === 5) {
+    return rankDifference;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'object' && Object.keys(value).length === 0);
+}
@@ -0,0 +1,193 @@
+/**
+ * Notifications (report delivery and error alerts)
+ *
+ * A notification is sent to the channels configured for its severity:
+ *  - REPORT:  report delivery (eg, the conversion report email with its attachments)
+ *  - ERROR, WARNING: alerts from handleApiError()
+ *
+ * Channels are configured per report (the report definition's `notifications`, see ./reports.js), falling back to
+ * DEFAULT_NOTIFICATIONS below, which can be overridden with the NOTIFICATIONS env variable (JSON), eg,
+ *    NOTIFICATIONS='{"ERROR": [{"transport": "slack", "webhookUrlEnv": "SLACK_ALERTS_WEBHOOK_URL"}]}'
+ *
+ * Channel transports:
+ *  - mailgun: {transport: 'mailgun', from, to}
+ *  - slack:   {transport: 'slack', webhookUrl} (Slack incoming webhook: https://api.slack.com/messaging/webhooks)
+ *  - webhook: {transport: 'webhook', url, headers} (generic http webhook; POSTs the notification as JSON)
+ * Secret values (eg, webhook urls) can be read from an env variable instead: {webhookUrlEnv: 'SLACK_WEBHOOK_URL'}, {urlEnv: '...'}
+ *
+ * Every transport times out, and retries with backoff, calls that fail with a retryable error (see ./http.js)
+ *
+ * Stub transports: set NOTIFIER_TRANSPORT=stub (or call useStubTransports()) and every transport records its
+ * notifications locally (see getStubNotifications()) instead of sending them, eg, for tests
+ */
+import Mailgun from 'mailgun.js';
+import FormData from 'form-data';
+import {
+  getConfig,
+  CONFIG_MAILGUN,
+  CONFIG_NOTIFIER,
+} from '../utils/config';
+import { formatLogEntry } from '../utils/logger';
+import { isRetryableUnprocessedError, requestWithRetry, withRetry } from '../utils/http';
+
+export const REPORT = 'REPORT';
+export const MAILGUN = 'mailgun';
+export const SLACK = 'slack';
+export const WEBHOOK = 'webhook';
+export const STUB = 'stub';
+
+export const DEFAULT_NOTIFICATIONS = {
+  ERROR: [{ transport: MAILGUN, from: 'stevedvu@gmail.com', to: 'svu@academyart.edu' }],
+  WARNING: [{ transport: MAILGUN, from: 'stevedvu@gmail.com', to: 'svu@academyart.edu' }],
+};
+
+let isStubMode = false;
+let stubNotifications = [];
+
+/**
+ * Mailgun JS API client: https://github.com/mailgun/mailgun.js
+ */
+export function getMailgunClient(timeoutMs = undefined) {
+  const { username, apiKey } = getConfig(CONFIG_MAILGUN);
+  const mailgun = new Mailgun(FormData);
+  return mailgun.client({
+    username,
+    key: apiKey,
+    timeout: timeoutMs,
+  });
+}
+
+/*------------------------
+ * transports
+ *------------------------*/
+
+// channel value, or the value of the env variable named by the channel's `${key}Env` property
+function getChannelValue(channel, key) {
+  return channel[key] ?? process.env[channel[`${key}Env`]];
+}
+
+const TRANSPORTS = {
+  [MAILGUN]: async (channel, { subject, text, attachments = [], requestId }) => {
+    let messageData = {
+      from: channel.from,
+      to: channel.to,
+      subject: subject,
+      text: text,
+    };
+    if (attachments.length) {
+      messageData.attachment = attachments.map(({filename, data, contentType}) => ({
+        filename,
+        data: Buffer.isBuffer(data) ? data : Buffer.from(data),
+        contentType,
+      }));
+    }
+    return await withRetry(({ timeoutMs }) => getMailgunClient(timeoutMs).messages.create(getConfig(CONFIG_MAILGUN).domain, messageData),
+      { requestId, source: 'notify(mailgun)', isRetryable: isRetryableUnprocessedError });
+  },
+
+  [SLACK]: async (channel, { severity, subject, text, attachments = [], requestId }) => {
+    // incoming webhooks cannot upload files, so only list the attachment filenames
+    const attachmentsText = attachments.length ? `\nAttachments: ${attachments.map(({filename}) => filename).join(', ')}` : '';
+    const response = await requestWithRetry({
+      url: getChannelValue(channel, 'webhookUrl'),
+      method: 'POST',
+      headers: {'content-type': 'application/json'},
+      data: {
+        text: `*[${severity}] ${subject}*\n${text}${attachmentsText}${requestId ? `\nRequest ID: ${requestId}` : ''}`,
+      },
+    }, { requestId, source: 'notify(slack)', isRetryable: isRetryableUnprocessedError });
+    return response.data;
+  },
+
+  [WEBHOOK]: async (channel, { severity, subject, text, attachments = [], requestId }) => {
+    const response = await requestWithRetry({
+      url: getChannelValue(channel, 'url'),
+      method: 'POST',
+      headers: {'content-type': 'application/json', ...channel.headers},
+      data: {
+        severity,
+        subject,
+        text,
+        requestId,
+        attachments: attachments.map(({filename, data, contentType}) => ({filename, contentType, data: data.toString()})),
+      },
+    }, { requestId, source: 'notify(webhook)', isRetryable: isRetryableUnprocessedError });
+    return response.data;
+  },
+};
+
+/**
+ * Record the notifications instead of sending them (for tests); also enabled with NOTIFIER_TRANSPORT=stub
+ */
+export function useStubTransports(enabled = true) {
+  isStubMode = enabled;
+}
+
+export function getStubNotifications() {
+  return stubNotifications;
+}
+
+export function clearStubNotifications() {
+  stubNotifications = [];
+}
+
+function isStubTransport() {
+  return isStubMode || getConfig(CONFIG_NOTIFIER).transport === STUB;
+}
+
+/*------------------------
+ * notify
+ *------------------------*/
+
+/**
+ * Get the channels for the severity: the report's (or caller's) notifications, else the NOTIFICATIONS env variable, else DEFAULT_NOTIFICATIONS
+ */
+export function getNotificationChannels(notifications, severity) {
+  if (notifications?.[severity]) {
+    return notifications[severity];
+  }
+  if (process.env.NOTIFICATIONS) {
+    try {
+      const envNotifications = JSON.parse(process.env.NOTIFICATIONS);
+      if (envNotifications[severity]) {
+        return envNotifications[severity];
+      }
+    }
+    catch (err) {
+      // level is WARNING (./common.js is not imported here: it imports this module)
+      console.log(formatLogEntry({
+        level: 'WARNING',
+        source: 'getNotificationChannels()',
+        message: `Could not parse the NOTIFICATIONS env variable; using the default notifications`,
+        error: err,
+      }));
+    }
+  }
+  return DEFAULT_NOTIFICATIONS[severity] ?? [];
+}
+
+/**
+ * Send the notification ({severity, subject, text, attachments, requestId}) to every channel
+ *
+ * Never throws: returns a result per channel, [{transport, success, response, error}], so the caller decides how to
+ * handle (and log) a failed channel
+ */
+export async function notify(channels, notification) {
+  const results = await Promise.allSettled(channels.map(async (channel) => {
+    const transport = TRANSPORTS[channel.transport];
+    if (!transport) {
+      throw new Error(`Unknown notification transport '${channel.transport}'; supported transports: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    if (isStubTransport()) {
+      stubNotifications.push({ transport: channel.transport, channel, notification });
+      return { stub: true };
+    }
+    return await transport(channel, notification);
+  }));
+  return results.map((result, i) => ({
+    transport: channels[i].transport,
+    success: result.status === 'fulfilled',
+    response: result.value,
+    error: result.reason,
+  }));
+}
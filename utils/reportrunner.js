@@ -0,0 +1,351 @@
+/**
+ * Report run: the pipeline of a report, shared by ../api/sfdcquery.js (one report per request) and ../api/scheduler.js (the due reports)
+ *
+ * 1. Get the query window: from the resumed bulk query job, the backfill window, or else from the report's checkpoint
+ *    (see ../utils/datewindow.js) to the last boundary of the report's cadence
+ * 2. Query SFDC (see ./sfdcclient.js): the REST query for each chunk of the window, or a Bulk API 2.0 query job over the whole window
+ * 3. Post process the records with the report's steps, and keep the conversions that are new or moved to a later stage
+ *    (see ./conversionledger.js)
+ * 4. Unless it is a dry run: deliver the report to the report's channels (see ./notifier.js), then update the conversion ledger
+ *    and advance the checkpoint (not for backfills)
+ *
+ * A run that is not a dry run holds the report's lock (see ./runlock.js) from reading the checkpoint to advancing it, so an
+ * overlapping run of the report fails with http status 409 instead of sending the same conversions again.
+ *
+ * Every run writes an audit record: window, record counts, delivery status, duration and error (see ./runs.js)
+ *
+ * Usage:
+ *    const result = await runReport(req, res, requestId, { requestType, environment, dryRun: true });
+ */
+import {
+  validateConfig,
+  CONFIG_CONVERSION_ACTIONS,
+  CONFIG_FIREBASE,
+  CONFIG_MAILGUN,
+  CONFIG_SFDC,
+  CONFIG_STORAGE,
+  SFDC_ENVIRONMENT_PROD,
+} from '../utils/config';
+import { getStorage } from '../utils/storage';
+import {
+  acquireReportLock,
+  releaseReportLock,
+} from '../utils/runlock';
+import {
+  filterLedgerRecords,
+  updateLedger,
+} from '../utils/conversionledger';
+import {
+  getRunDelivery,
+  getRunRecordCounts,
+  saveRun,
+  startRun,
+  RUN_STATUS_PENDING,
+} from '../utils/runs';
+import {
+  getOutputMode,
+  getReportAttachments,
+  getReportDefinition,
+  getReportOutput,
+} from '../utils/reports';
+import SfdcClient from '../utils/sfdcclient';
+import {
+  getNotificationChannels,
+  notify,
+  REPORT,
+} from '../utils/notifier';
+import {
+  getBackfillWindow,
+  getNextPreviousRunDateTime,
+  splitQueryWindow,
+  toSoqlDateTime,
+} from '../utils/datewindow';
+import {
+  getLogMessage,
+  MarketingApiDeliveryError,
+  MarketingApiValidationError,
+  INFO,
+  WARNING,
+  ERROR,
+  NA,
+} from '../utils/common';
+
+// checkpoint of a report that has never run
+export const DEFAULT_PREVIOUS_RUN_DATE_TIME = '2022-11-22T23:59:59.999Z';
+
+// report run dates (the checkpoints) per SFDC environment: CHECKPOINTS_ROOT_ELEMENT_NAME/<environment>/<requestType> = [runDateTime, ...]
+export const CHECKPOINTS_ROOT_ELEMENT_NAME = 'ReportCheckpoints';
+
+// bulk query jobs by job ID, so a later request can resume the job: {requestType, environment, backfill, dryRun, window, query, requestId, createdAt}
+export const BULK_JOBS_ROOT_ELEMENT_NAME = 'BulkQueryJobs';
+// SFDC record IDs: 15 or 18 alphanumeric characters
+const SFDC_ID_REGEX = /^[A-Za-z0-9]{15}([A-Za-z0-9]{3})?$/;
+
+/**
+ * Run the report
+ *
+ * options:
+ *  - requestType, environment:  the report and its SFDC environment profile
+ *  - outputMode:                (optional) the report's default output mode if not set
+ *  - dryRun:                    (optional) do not deliver the report, update the conversion ledger or advance the checkpoint
+ *  - backfill:                  (optional) {startDateTime, endDateTime} of a backfill (see getBackfillWindow() in ./datewindow.js)
+ *  - bulk, bulkJobId:           (optional) run the query as a bulk query job, or resume the job of an earlier run
+ *  - cadence, notifications:    (optional) override the report definition's
+ *
+ * Returns {done, requestType, outputMode, dryRun, backfill, window, queryWindows, queries, recordCounts, reportOutput, bulkJob, delivery},
+ * where done is false (and there is no report) if the bulk query job is still running: resume it with its bulkJob.jobId
+ */
+export async function runReport(req, res, requestId, options) {
+  const { requestType, environment, dryRun = false, backfill = {}, bulkJobId = null } = options;
+  const report = getReportDefinition(requestType);
+  const outputMode = getOutputMode(report, options.outputMode);
+  const notifications = options.notifications ?? report.notifications;
+  const isBulk = Boolean(options.bulk) || Boolean(bulkJobId);
+  if (bulkJobId && !String(bulkJobId).match(SFDC_ID_REGEX)) {
+    throw new MarketingApiValidationError(`Invalid bulkJobId '${bulkJobId}'; use the job ID of the response of the bulk run`);
+  }
+
+  // fail fast, with the list of missing env variables, rather than part way through the run
+  validateConfig([CONFIG_SFDC, CONFIG_STORAGE, CONFIG_FIREBASE, CONFIG_MAILGUN, CONFIG_CONVERSION_ACTIONS], environment);
+
+  const sfdcClient = new SfdcClient(requestId, environment);
+  const storage = getStorage(requestId);
+  let run = startRun({ requestId, requestType, environment, outputMode, dryRun });
+  // the report's lock, held by the run (see ./runlock.js)
+  let lock = null;
+  try {
+    // throws a MarketingApiConflictError if another run of the report holds the lock
+    if (!dryRun) {
+      lock = await acquireReportLock(storage, environment, requestType, requestId);
+    }
+
+    // get the query window: from the resumed bulk job, the startDateTime/endDateTime (backfill), or else from the report's checkpoint
+    const bulkJob = bulkJobId ? await getBulkJob(storage, bulkJobId, requestType, environment) : null;
+    let queryWindow = null;
+    let nextPreviousRunDateTime = null;
+    let isBackfill = false;
+    if (bulkJob) {
+      // the job of a dry run (a preview) is not delivered
+      if (bulkJob.dryRun && !dryRun) {
+        throw new MarketingApiValidationError(`Bulk query job '${bulkJobId}' is of a dry run; resume it with dryRun=true`);
+      }
+      ({ window: queryWindow, backfill: isBackfill } = bulkJob);
+      nextPreviousRunDateTime = queryWindow.nextPreviousRunDateTime;
+    }
+    else {
+      nextPreviousRunDateTime = getNextPreviousRunDateTime(options.cadence ?? report.cadence);
+      const backfillWindow = getBackfillWindow(backfill, nextPreviousRunDateTime);
+      isBackfill = Boolean(backfillWindow);
+      queryWindow = backfillWindow ?? { previousRunDateTime: await getPreviousRunDateTime(storage, environment, requestType), nextPreviousRunDateTime };
+    }
+    run.backfill = isBackfill;
+    run.window = queryWindow;
+
+    let result = { done: true, requestType, outputMode, dryRun, backfill: isBackfill, window: queryWindow, bulkJob: null, delivery: run.delivery };
+
+    /*----------------------------------------------------
+     * run the report's query (following all result pages)
+     * for each chunk of the window, or as a bulk query job
+     * over the whole window
+     *----------------------------------------------------*/
+    const queryWindows = isBulk ? [queryWindow] : splitQueryWindow(queryWindow);
+    console.log(getLogMessage(req, res, requestId, null, INFO,
+      `${requestType} query window${isBackfill ? ' (backfill)' : ''}: ${queryWindow.previousRunDateTime} - ${queryWindow.nextPreviousRunDateTime}, chunks [${queryWindows.length}]${isBulk ? ', bulk query job' : ''}`));
+    let queries = [];
+    let queryRecords = [];
+    if (isBulk) {
+      const query = bulkJob?.query ?? report.getQuery(queryWindow);
+      queries.push(query);
+      const jobId = bulkJobId ?? (await sfdcClient.createBulkQueryJob(query)).id;
+      run.bulkJobId = jobId;
+      if (!bulkJob) {
+        await storage.createData(BULK_JOBS_ROOT_ELEMENT_NAME, jobId,
+          { requestType, environment, backfill: isBackfill, dryRun, window: queryWindow, query, requestId, createdAt: new Date().toISOString() });
+      }
+      const bulkResults = await sfdcClient.bulkQuery(query, { jobId });
+      result.bulkJob = { jobId, state: bulkResults.job.state, numberRecordsProcessed: bulkResults.job.numberRecordsProcessed ?? 0 };
+      if (!bulkResults.done) {
+        console.log(getLogMessage(req, res, requestId, null, INFO, `Bulk query job ${jobId} is still running (state ${bulkResults.job.state}); resume it with bulkJobId=${jobId}`));
+        run.status = RUN_STATUS_PENDING;
+        await saveRun(storage, run);
+        return { ...result, done: false, queryWindows, queries };
+      }
+      queryRecords.push(...bulkResults.records);
+    }
+    else {
+      for (const chunkWindow of queryWindows) {
+        const query = report.getQuery(chunkWindow);
+        queries.push(query);
+        const queryResults = await sfdcClient.query(query, report.maxRecords);
+        queryRecords.push(...queryResults.records);
+      }
+    }
+
+    // --- post process the dataset using the report's steps ---
+    let finalData = queryRecords;
+    let recordCounts = { query: queryRecords.length };
+    for (const postProcessStep of report.postProcessSteps) {
+      finalData = postProcessStep(finalData);
+      recordCounts[postProcessStep.name] = finalData.length;
+    }
+
+    // --- report only the conversions that are new or moved to a later stage since they were last reported (see ./conversionledger.js) ---
+    let ledgerEntries = [];
+    if (report.ledger) {
+      const { records, entries, newCount, upgradeCount } = await filterLedgerRecords(storage, environment, requestType, report.ledger, finalData);
+      console.log(getLogMessage(req, res, requestId, null, INFO, `Conversion ledger: new [${newCount}], stage upgrades [${upgradeCount}], already reported [${finalData.length - records.length}]`));
+      finalData = records;
+      ledgerEntries = entries;
+      recordCounts.conversionLedger = finalData.length;
+    }
+
+    const reportOutput = getReportOutput(report, outputMode, finalData);
+    recordCounts[outputMode] = reportOutput.rows.length;
+    if (reportOutput.skippedCount) {
+      console.log(getLogMessage(req, res, requestId, null, WARNING, `Records left out of the ${outputMode} report (eg, no conversion action for the stage): [${reportOutput.skippedCount}]`));
+    }
+    console.log(getLogMessage(req, res, requestId, null, INFO, `Number of records`, { recordCounts }));
+    run.recordCounts = getRunRecordCounts(recordCounts, report.uniqueRecordsStep, reportOutput.rows.length);
+    result = { ...result, queryWindows, queries, recordCounts, reportOutput };
+
+    if (dryRun) {
+      console.log(getLogMessage(req, res, requestId, null, INFO, `Dry run: report not sent, checkpoint and conversion ledger not updated`));
+      // the dry run's job is done: it cannot be resumed again (the job of a run that is not a dry run is left to that run)
+      if (isBulk && (!bulkJob || bulkJob.dryRun)) {
+        await storage.deleteData(BULK_JOBS_ROOT_ELEMENT_NAME, run.bulkJobId);
+      }
+      await saveRun(storage, run);
+      return result;
+    }
+
+    // --- deliver the report (as attachment(s)) to the report's channels ---
+    const attachments = getReportAttachments(report, requestType, queryWindow, reportOutput);
+    const reportMsg = reportOutput.rows.length ?
+      `Conversions: ${reportOutput.rows.length}\nQuery window: ${queryWindow.previousRunDateTime} - ${queryWindow.nextPreviousRunDateTime}\nAttached: ${attachments.map(({filename}) => filename).join(', ')}` :
+      `No conversions for this run`;
+    const deliveryResults = await notify(getNotificationChannels(notifications, REPORT), {
+      severity: REPORT,
+      subject: report.getEmailSubject(queryWindow),
+      text: reportMsg,
+      attachments,
+      requestId,
+    });
+    deliveryResults.forEach(({transport, success, response, error}) => success ?
+      console.log(getLogMessage(req, res, requestId, NA, INFO, `Report successfully sent using ${transport}`, { attachments: attachments.map(({filename}) => filename), response })) :
+      console.log(getLogMessage(req, res, requestId, NA, ERROR, `Exception caught sending report using ${transport}`, { error })));
+    run.delivery = getRunDelivery(deliveryResults);
+    result.delivery = run.delivery;
+    // fail the run (and leave the checkpoint) if the report did not reach any channel, so the next run reports the window again
+    if (deliveryResults.length && !deliveryResults.some(({success}) => success)) {
+      throw new MarketingApiDeliveryError(`Report was not sent to any of its channels: ${deliveryResults.map(({transport}) => transport).join(', ')}`);
+    }
+
+    await updateLedger(storage, environment, requestType, ledgerEntries, requestId);
+
+    // backfill runs must not advance the report's checkpoint
+    if (!isBackfill) {
+      const { committed } = await setNextPreviousRunDateTime(storage, environment, requestType, nextPreviousRunDateTime);
+      if (!committed) {
+        console.log(getLogMessage(req, res, requestId, null, INFO, `Checkpoint not advanced: it is already at or after ${nextPreviousRunDateTime}`));
+      }
+    }
+
+    // the job's report is delivered: it cannot be resumed again
+    if (bulkJobId) {
+      await storage.deleteData(BULK_JOBS_ROOT_ELEMENT_NAME, bulkJobId);
+    }
+
+    await saveRun(storage, run);
+    return result;
+  }
+  catch (err) {
+    await saveRun(storage, run, err);
+    throw err;
+  }
+  finally {
+    if (lock) {
+      await releaseReportLock(storage, environment, requestType, lock);
+    }
+  }
+}
+
+/**
+ * Checkpoint path of the report in the SFDC environment (relative to CHECKPOINTS_ROOT_ELEMENT_NAME), like the report's lock
+ * and conversion ledger (see ./runlock.js and ./conversionledger.js): a uat or sandbox run must not advance the prod checkpoint
+ */
+export function getCheckpointPath(environment, requestType) {
+  return `${environment}/${requestType}`;
+}
+
+/**
+ * Get the report's checkpoint in the SFDC environment: the last of its run dates (the default if the report has never run there)
+ */
+export async function getPreviousRunDateTime(storage, environment, requestType) {
+  // the run dates are an array (keys 0, 1, ...), so read only the last one instead of all of them
+  const [lastRunDateTime] = await storage.queryData(CHECKPOINTS_ROOT_ELEMENT_NAME, getCheckpointPath(environment, requestType), { limitToLast: 1 });
+  const runDateTime = lastRunDateTime?.data ?? (await getLegacyRunDateTimes(storage, environment, requestType))?.at(-1);
+  // older checkpoints were stored unpadded, eg, 2023-3-5T00:00:00.000Z, which is not a valid SOQL datetime literal
+  return toSoqlDateTime(runDateTime ?? DEFAULT_PREVIOUS_RUN_DATE_TIME);
+}
+
+/**
+ * Append the run date to the report's run dates in a transaction, so concurrent runs do not overwrite each other's run dates;
+ * the transaction is aborted ({committed: false}) unless the run date is after the last one (eg, the report ran twice today,
+ * or a resumed bulk query job's window ends before the checkpoint a later run advanced while the job was running)
+ *
+ * The first prod run copies the report's legacy run dates (see legacyCheckpoint in ./reports.js) to the new path, and
+ * appends to them; the legacy run dates are left as they are.
+ */
+async function setNextPreviousRunDateTime(storage, environment, requestType, nextPreviousRunDateTime) {
+  const checkpointPath = getCheckpointPath(environment, requestType);
+  const [lastRunDateTime] = await storage.queryData(CHECKPOINTS_ROOT_ELEMENT_NAME, checkpointPath, { limitToLast: 1 });
+  const legacyRunDateTimes = lastRunDateTime ? null : await getLegacyRunDateTimes(storage, environment, requestType);
+  return await storage.transactionData(CHECKPOINTS_ROOT_ELEMENT_NAME, checkpointPath, (runDateTimes) => {
+    const allRunDateTimes = runDateTimes ?? legacyRunDateTimes ?? [DEFAULT_PREVIOUS_RUN_DATE_TIME];
+    if (Date.parse(nextPreviousRunDateTime) <= Date.parse(toSoqlDateTime(allRunDateTimes[allRunDateTimes.length - 1]))) {
+      return undefined;
+    }
+    return [...allRunDateTimes, nextPreviousRunDateTime];
+  });
+}
+
+/**
+ * The report's prod run dates from before the checkpoints were kept per SFDC environment; null for the other environments
+ * (their runs advanced the prod run dates, so they are not theirs) or if there are none
+ */
+async function getLegacyRunDateTimes(storage, environment, requestType) {
+  const { legacyCheckpoint } = getReportDefinition(requestType);
+  if (environment !== SFDC_ENVIRONMENT_PROD || !legacyCheckpoint) {
+    return null;
+  }
+  const runDateTimes = await storage.readData(legacyCheckpoint.rootElementName, legacyCheckpoint.childKey);
+  return Array.isArray(runDateTimes) && runDateTimes.length ? runDateTimes : null;
+}
+
+/**
+ * Get the bulk query job to resume
+ *
+ * Throws a MarketingApiValidationError (http status 400) if the job is unknown (or its report was already delivered), or
+ * was created for another report or SFDC environment
+ */
+async function getBulkJob(storage, jobId, requestType, environment) {
+  const bulkJob = await storage.readData(BULK_JOBS_ROOT_ELEMENT_NAME, jobId);
+  if (!bulkJob) {
+    throw new MarketingApiValidationError(`Unknown bulk query job '${jobId}' (or its report was already delivered)`);
+  }
+  if (bulkJob.requestType !== requestType || bulkJob.environment !== environment) {
+    throw new MarketingApiValidationError(`Bulk query job '${jobId}' is for the ${bulkJob.requestType} report in ${bulkJob.environment}, not ${requestType} in ${environment}`);
+  }
+  return bulkJob;
+}
+
+/**
+ * Get the ID of the report's latest bulk query job that is not delivered yet (not a backfill or a dry run); null if there is none
+ */
+export async function getPendingBulkJobId(storage, requestType, environment) {
+  const bulkJobs = await storage.queryData(BULK_JOBS_ROOT_ELEMENT_NAME, null, { orderByChild: 'requestType', equalTo: requestType });
+  const pendingJobs = bulkJobs
+    .filter(({data}) => data.environment === environment && !data.backfill && !data.dryRun)
+    .sort((a, b) => a.data.createdAt.localeCompare(b.data.createdAt));
+  return pendingJobs.length ? pendingJobs[pendingJobs.length - 1].key : null;
+}
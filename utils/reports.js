@@ -0,0 +1,451 @@
+/**
+ * Report definitions for the sfdcquery API (./api/sfdcquery.js)
+ *
+ * Each report the endpoint can serve is declared once in the REPORTS registry below, keyed by the
+ * `requestType` URL query param. A report definition contains:
+ *  - legacyCheckpoint: where the report's prod run dates were stored before the checkpoints were kept per SFDC environment;
+ *                      migrated on the first prod run (see getPreviousRunDateTime() in ./reportrunner.js)
+ *  - cadence:          (optional) how often the window ends, at midnight in the business time zone: {type: 'daily'} (default),
+ *                      {type: 'weekly', weekday} or {type: 'custom', intervalDays, anchorDate} (see ./datewindow.js)
+ *  - getQuery():       the SOQL (see ./soqlbuilder.js); receives the query window ({previousRunDateTime, nextPreviousRunDateTime})
+ *  - postProcessSteps: functions run in order on the SFDC query records; each receives and returns an array of records
+ *  - uniqueRecordsStep: (optional) the post processing step after which the records are unique, for the run's unique record count (see ./runs.js)
+ *  - ledger:           (optional) cross-run dedup: only conversions that are new or moved to a later stage are reported (see ./conversionledger.js)
+ *  - csvFields:        json2csv field map used to build the standard report (https://juanjodiaz.github.io/json2csv/#/advanced-options/data-selection)
+ *  - outputModes:      report layouts selectable with the `outputMode` URL query param; each receives the post processed
+ *                      records and the report definition and returns {fields, rows, preamble, skippedCount}
+ *  - defaultOutputMode: output mode used when the request has no `outputMode` param
+ *  - attachmentFormats: (optional) formats of the report files attached to the report email (see FORMATS below); defaults to ['csv']
+ *  - notifications:    channels per severity (see ./notifier.js): REPORT for the report delivery, ERROR/WARNING for alerts
+ *  - getEmailSubject(): the report email subject; receives the query window
+ *  - maxRecords:       (optional) max number of records the query may return; defaults to SFDC_QUERY_MAX_RECORDS (see ./sfdcclient.js)
+ *
+ * To add a new marketing report, add a definition here; the handler does not need to change.
+ */
+import { Parser } from '@json2csv/plainjs';
+import {
+  getConfig,
+  CONFIG_CLICK_IDS,
+  CONFIG_CONVERSION_LEDGER,
+  CONFIG_TEST_RECORDS,
+} from '../utils/config';
+import {
+  MarketingApiValidationError,
+  TIMEZONE,
+} from '../utils/common';
+import {
+  getConversionAction,
+  getConversionActions,
+  getFieldValue,
+  hashEmail,
+  toGoogleAdsOfflineConversions,
+  toMetaOfflineConversions,
+  toMicrosoftAdsOfflineConversions,
+  ANY_STAGE,
+  DEFAULT_CONVERSION_CURRENCY,
+} from '../utils/conversionformats';
+import {
+  MAILGUN,
+  REPORT,
+} from '../utils/notifier';
+import {
+  and,
+  buildSoqlQuery,
+  compare,
+  dateTimeBetween,
+  isNotNull,
+  notEquals,
+  or,
+  relationshipFields,
+  LITERAL_DATETIME,
+} from '../utils/soqlbuilder';
+
+export const FORMAT_CSV = 'csv';
+export const FORMAT_JSON = 'json';
+export const FORMAT_NDJSON = 'ndjson';
+
+export const OUTPUT_MODE_STANDARD = 'standard';
+export const OUTPUT_MODE_GOOGLE_ADS_OFFLINE_CONVERSIONS = 'googleAdsOfflineConversions';
+export const OUTPUT_MODE_GOOGLE_ADS_ENHANCED_CONVERSIONS = 'googleAdsEnhancedConversions';
+export const OUTPUT_MODE_MICROSOFT_ADS_OFFLINE_CONVERSIONS = 'microsoftAdsOfflineConversions';
+export const OUTPUT_MODE_META_OFFLINE_CONVERSIONS = 'metaOfflineConversions';
+
+// record field with the SHA-256 hash of the normalized Email__c (see hashEmails())
+export const HASHED_EMAIL_FIELD = 'Hashed_Email';
+
+/*------------------------
+ * post processing steps
+ *------------------------*/
+
+/**
+ * Replace the raw email (Email__c) with the SHA-256 hash of the normalized email (see hashEmail() in ./conversionformats.js),
+ * so the raw email addresses never reach the report, the response or the logs; the hash is for the enhanced conversions output
+ */
+export function hashEmails(records) {
+  return records.map(({ Email__c: email, ...record }) => ({ ...record, [HASHED_EMAIL_FIELD]: hashEmail(email) }));
+}
+
+/**
+ * Keep only unique records (based on Opportunity ID) since an applicant can have multiple LeadPost records
+ * (eg, applicant can have multiple LeadPost records -- Marketing Code (Comm key 4) = MMI, OLAP -- but associated with just one Opportunity ID)
+ *
+ * also, a lead can also apply manually (ie, not use OLAP), in which case, they may have an MMI LeadPost with Google Click ID, but an OLAP w/o a Google CLick ID
+ * (ie, AOS manually creates OLAP LeadPost but doesn't populate gclid)
+ */
+export function keepUniqueOpportunities(records) {
+  let uniqueOpportunities = [];
+  return records.filter((record) => {
+    const opportunityId = record['Opportunity__c'];
+    if (uniqueOpportunities.includes(opportunityId)) {
+      return false;
+    }
+    uniqueOpportunities.push(opportunityId);
+    return true;
+  });
+}
+
+/**
+ * Throw out any records that came from Mantra's get started forms
+ * (eg, applicant intially entered Salesforce before TouchPoint took over but only recently applied)
+ */
+export function excludeMantraLeads(records) {
+  return records.filter((record) => !(record['URL_Details__c'] ?? '').match(/https?:\/\/getstarted\./i));
+}
+
+/*------------------------
+ * output modes
+ *------------------------*/
+
+/**
+ * Standard report: one row per record with the report's csvFields (keyed by the field labels)
+ */
+export function toStandardReport(records, report) {
+  const rows = records.map((record) => Object.fromEntries(report.csvFields.map((field) =>
+    [field.label, getFieldValue(record, field.value) ?? field.default])));
+  return { fields: report.csvFields.map((field) => field.label), rows, preamble: null, skippedCount: 0 };
+}
+
+/*------------------------
+ * click ID reports
+ *------------------------*/
+
+// ad platforms: their keys in the clickIds and conversionActions configs (see ./config.js)
+export const CLICK_ID_GOOGLE_ADS = 'googleAds';
+export const CLICK_ID_MICROSOFT_ADS = 'microsoftAds';
+export const CLICK_ID_META = 'meta';
+
+// opportunity stages in order of progression, for the conversion ledger (see ./conversionledger.js)
+export const OPPORTUNITY_STAGES = ['Application', 'Accepted', 'Enrolled'];
+
+/**
+ * SFDC Lead_Post__c field with the ad platform's click ID, eg, URL_GCLID__c (override with the env variables of the clickIds config)
+ */
+export function getClickIdField(platform) {
+  return getConfig(CONFIG_CLICK_IDS)[platform];
+}
+
+/**
+ * Filters leaving out the test records (the SFDC_TEST_RECORD_EXCLUSIONS env variable, default First_Name__c=AAUTest; see ./config.js)
+ */
+export function getTestRecordExclusions() {
+  return getConfig(CONFIG_TEST_RECORDS).exclusions.map(({field, value}) => notEquals(field, value));
+}
+
+/**
+ * Start of the lead posts whose stage changes are queried (see getLeadPostsQuery()): the conversion ledger's start date
+ * (the CONVERSION_LEDGER_START_DATE env variable, see ./config.js), if the conversion actions map the stages to more than one
+ * action; null otherwise, since a stage change with the same conversion action is not reported (see ./conversionledger.js)
+ */
+export function getStageChangesSince(conversionActions) {
+  const actions = new Set(OPPORTUNITY_STAGES.map((stage) => getConversionAction(conversionActions, stage)?.name).filter(Boolean));
+  return actions.size > 1 ? getConfig(CONFIG_CONVERSION_LEDGER).startDateTime ?? null : null;
+}
+
+/**
+ * SOQL of the lead posts with a click ID (and an applicant opportunity) in the window, leaving out the test records
+ *
+ * With stageChangesSince (see getStageChangesSince()), the query also matches the lead posts created since then whose
+ * opportunities were modified in the window, so a stage change is picked up; the conversion ledger drops the ones already
+ * reported at that stage. The older lead posts are not in the ledger, so they are left out rather than reported again.
+ */
+export function getLeadPostsQuery(clickIdField, { previousRunDateTime, nextPreviousRunDateTime }, { stageChangesSince = null } = {}) {
+  const createdInWindow = dateTimeBetween('CreatedDate', previousRunDateTime, nextPreviousRunDateTime);
+  return buildSoqlQuery({
+    select: [
+      'Id', clickIdField, 'Opportunity__c', 'Email__c', 'Marketing_Code__c', 'URL_Details__c', 'Advertising_Source__c', 'CreatedDate',
+      ...relationshipFields('Opportunity__r', ['StageName', 'Application_Date__c']),
+    ],
+    from: 'Lead_Post__c',
+    where: [
+      isNotNull(clickIdField),
+      isNotNull('Opportunity__c'),
+      isNotNull('Opportunity__r.Application_Date__c'),
+      stageChangesSince ?
+        or(
+          createdInWindow,
+          and(
+            dateTimeBetween('Opportunity__r.LastModifiedDate', previousRunDateTime, nextPreviousRunDateTime),
+            compare('CreatedDate', '>=', stageChangesSince, LITERAL_DATETIME),
+          ),
+        ) :
+        createdInWindow,
+      ...getTestRecordExclusions(),
+    ],
+    orderBy: [{ field: 'Opportunity__r.Application_Date__c', direction: 'DESC' }],
+  });
+}
+
+/**
+ * Ledger config of the lead posts reports: a stage upgrade is reported if it maps to another of the report's conversion actions
+ */
+export function getLeadPostsLedger(clickIdField, conversionActions) {
+  return {
+    opportunityIdField: 'Opportunity__c',
+    clickIdField,
+    stageNameField: 'Opportunity__r.StageName',
+    stages: OPPORTUNITY_STAGES,
+    conversionActions,
+  };
+}
+
+export function getLeadPostsCsvFields(clickIdField, clickIdLabel) {
+  return [
+    {
+      value: clickIdField,
+      label: clickIdLabel,
+      default: ''
+    },
+    {
+      value: 'Opportunity__r.StageName',
+      label: 'Stage Name',
+      default: ''
+    },
+    {
+      value: 'Opportunity__r.Application_Date__c',
+      label: 'Application Date',
+      default: ''
+    }
+  ];
+}
+
+/**
+ * Report definition of an ad platform's click ID conversions: the lead posts with the platform's click ID, in the standard
+ * layout or in the platform's conversion upload formats
+ *  - platform:              the ad platform's key in the clickIds and conversionActions configs, eg, CLICK_ID_GOOGLE_ADS
+ *  - clickIdLabel:          the click ID column label of the standard report
+ *  - legacyCheckpointRootElementName: where the report's prod run dates were stored (see legacyCheckpoint above)
+ *  - conversionActions:     the default Opportunity StageName => conversion action map (see ./conversionformats.js)
+ *  - toConversions:         the platform's conversion format, eg, toGoogleAdsOfflineConversions()
+ *  - conversionOutputModes: the output modes in the platform's format => their extra format options, eg, {hashedEmailField}
+ *  - envPrefix:             prefix of the env variables overriding the conversion time zone and currency, eg,
+ *                           GOOGLE_ADS_CONVERSION for GOOGLE_ADS_CONVERSION_TIMEZONE and GOOGLE_ADS_CONVERSION_CURRENCY
+ *  - defaultOutputMode, reportName (for the email subject)
+ *
+ * The click ID field (query, ledger, csvFields, output modes) is read when used, so a bad field config fails the request, not the module load
+ */
+export function createClickIdReport({
+  platform, clickIdLabel, legacyCheckpointRootElementName, conversionActions, toConversions, conversionOutputModes, envPrefix, defaultOutputMode, reportName,
+}) {
+  return {
+    legacyCheckpoint: {
+      rootElementName: legacyCheckpointRootElementName,
+      childKey: 'lastRunDateTimes',
+    },
+    getQuery(queryWindow) {
+      return getLeadPostsQuery(getClickIdField(platform), queryWindow,
+        { stageChangesSince: getStageChangesSince(getConversionActions(platform, this.conversionActions)) });
+    },
+    postProcessSteps: [hashEmails, keepUniqueOpportunities, excludeMantraLeads],
+    uniqueRecordsStep: keepUniqueOpportunities,
+    get ledger() {
+      return getLeadPostsLedger(getClickIdField(platform), getConversionActions(platform, this.conversionActions));
+    },
+    get csvFields() {
+      return getLeadPostsCsvFields(getClickIdField(platform), clickIdLabel);
+    },
+    conversionActions,
+    outputModes: {
+      [OUTPUT_MODE_STANDARD]: toStandardReport,
+      ...Object.fromEntries(Object.entries(conversionOutputModes).map(([outputMode, formatOptions]) => [
+        outputMode,
+        (records, report) => toConversions(records, {
+          conversionActions: getConversionActions(platform, report.conversionActions),
+          clickIdField: getClickIdField(platform),
+          ...formatOptions,
+          timeZone: process.env[`${envPrefix}_TIMEZONE`] ?? TIMEZONE,
+          currency: process.env[`${envPrefix}_CURRENCY`] ?? DEFAULT_CONVERSION_CURRENCY,
+        }),
+      ])),
+    },
+    defaultOutputMode,
+    notifications: {
+      [REPORT]: [{ transport: MAILGUN, from: 'svu@academyart.edu', to: 'stevedvu@gmail.com' }],
+    },
+    getEmailSubject: ({ previousRunDateTime, nextPreviousRunDateTime }) =>
+      `[Academy of Art University] ${reportName}: ${previousRunDateTime} - ${nextPreviousRunDateTime}`,
+  };
+}
+
+/*------------------------
+ * report registry
+ *------------------------*/
+
+export const REPORTS = {
+  // --- Google Search (GS) Ads Conversions ---
+  googleSearchAdsConversions: createClickIdReport({
+    platform: CLICK_ID_GOOGLE_ADS,
+    clickIdLabel: 'Google Click ID',
+    legacyCheckpointRootElementName: 'GoogleSearchPaidAdsReportRunDates',
+    // Opportunity StageName => Google Ads conversion action; override with the GOOGLE_ADS_CONVERSION_ACTIONS env variable (JSON)
+    conversionActions: {
+      [ANY_STAGE]: { name: 'SFDC Application', value: 1 },
+    },
+    toConversions: toGoogleAdsOfflineConversions,
+    conversionOutputModes: {
+      [OUTPUT_MODE_GOOGLE_ADS_OFFLINE_CONVERSIONS]: {},
+      // with the hashed emails, for enhanced conversions for leads
+      [OUTPUT_MODE_GOOGLE_ADS_ENHANCED_CONVERSIONS]: { hashedEmailField: HASHED_EMAIL_FIELD },
+    },
+    envPrefix: 'GOOGLE_ADS_CONVERSION',
+    defaultOutputMode: OUTPUT_MODE_STANDARD,
+    reportName: 'Google Search Paid Ads conversion report',
+  }),
+
+  // --- Microsoft Advertising Conversions ---
+  microsoftAdsConversions: createClickIdReport({
+    platform: CLICK_ID_MICROSOFT_ADS,
+    clickIdLabel: 'Microsoft Click ID',
+    legacyCheckpointRootElementName: 'MicrosoftAdsReportRunDates',
+    // Opportunity StageName => Microsoft Advertising conversion goal; override with the MICROSOFT_ADS_CONVERSION_ACTIONS env variable (JSON)
+    conversionActions: {
+      [ANY_STAGE]: { name: 'SFDC Application', value: 1 },
+    },
+    toConversions: toMicrosoftAdsOfflineConversions,
+    conversionOutputModes: {
+      [OUTPUT_MODE_MICROSOFT_ADS_OFFLINE_CONVERSIONS]: {},
+    },
+    envPrefix: 'MICROSOFT_ADS_CONVERSION',
+    defaultOutputMode: OUTPUT_MODE_MICROSOFT_ADS_OFFLINE_CONVERSIONS,
+    reportName: 'Microsoft Advertising conversion report',
+  }),
+
+  // --- Meta (Facebook/Instagram) Ads Conversions ---
+  metaAdsConversions: createClickIdReport({
+    platform: CLICK_ID_META,
+    clickIdLabel: 'Meta Click ID',
+    legacyCheckpointRootElementName: 'MetaAdsReportRunDates',
+    // Opportunity StageName => Meta event (standard events: https://developers.facebook.com/docs/meta-pixel/reference#standard-events);
+    // override with the META_CONVERSION_EVENTS env variable (JSON)
+    conversionActions: {
+      [ANY_STAGE]: { name: 'SubmitApplication', value: 1 },
+    },
+    toConversions: toMetaOfflineConversions,
+    conversionOutputModes: {
+      [OUTPUT_MODE_META_OFFLINE_CONVERSIONS]: {},
+    },
+    envPrefix: 'META_CONVERSION',
+    defaultOutputMode: OUTPUT_MODE_META_OFFLINE_CONVERSIONS,
+    reportName: 'Meta Ads conversion report',
+  }),
+};
+
+/**
+ * Get the report definition for the request type
+ *
+ * Throws a MarketingApiValidationError (http status 400) if the request type is missing or not in the registry
+ */
+export function getReportDefinition(requestType) {
+  if (!requestType || !Object.prototype.hasOwnProperty.call(REPORTS, requestType)) {
+    throw new MarketingApiValidationError(
+      `Unknown requestType '${requestType ?? ''}'; supported request types: ${Object.keys(REPORTS).join(', ')}`);
+  }
+  return REPORTS[requestType];
+}
+
+/**
+ * Get the output mode for the request (the report's default output mode if not requested)
+ *
+ * Throws a MarketingApiValidationError (http status 400) if the report does not support the output mode
+ */
+export function getOutputMode(report, outputMode) {
+  const mode = outputMode || (report.defaultOutputMode ?? OUTPUT_MODE_STANDARD);
+  const outputModes = report.outputModes ?? { [OUTPUT_MODE_STANDARD]: toStandardReport };
+  if (!Object.prototype.hasOwnProperty.call(outputModes, mode)) {
+    throw new MarketingApiValidationError(
+      `Unknown outputMode '${mode}'; supported output modes: ${Object.keys(outputModes).join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Build the report output for the output mode: {fields, rows, preamble, skippedCount}
+ */
+export function getReportOutput(report, outputMode, records) {
+  const mode = getOutputMode(report, outputMode);
+  const outputModes = report.outputModes ?? { [OUTPUT_MODE_STANDARD]: toStandardReport };
+  return outputModes[mode](records, report);
+}
+
+/**
+ * Convert the report output to CSV:
+ * 1. github: https://github.com/juanjoDiaz/json2csv
+ * 2. docs: https://juanjodiaz.github.io/json2csv/#/
+ * 3. customize data selection: https://juanjodiaz.github.io/json2csv/#/advanced-options/data-selection
+ */
+export function toCsv({ fields, rows, preamble }) {
+  const parser = new Parser({ fields });
+  const csv = parser.parse(rows);
+  return preamble ? `${preamble}\n${csv}` : csv;
+}
+
+/**
+ * Report file formats: used for the report email attachments and, with the `format` URL query param, the http response
+ */
+export const FORMATS = {
+  [FORMAT_CSV]: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    serialize: toCsv,
+  },
+  [FORMAT_JSON]: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    serialize: ({ rows }) => JSON.stringify(rows, null, 2),
+  },
+  // newline delimited JSON, one row per line: https://github.com/ndjson/ndjson-spec
+  [FORMAT_NDJSON]: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    serialize: ({ rows }) => rows.map((row) => JSON.stringify(row)).join('\n'),
+  },
+};
+
+/**
+ * Get the report file format; throws a MarketingApiValidationError (http status 400) if the format is not supported
+ */
+export function getFormat(format) {
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    throw new MarketingApiValidationError(
+      `Unknown format '${format}'; supported formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return FORMATS[format];
+}
+
+/**
+ * Report filename with the query window, eg, googleSearchAdsConversions_20230101T000000Z_20230301T000000Z.csv
+ */
+export function getReportFilename(requestType, { previousRunDateTime, nextPreviousRunDateTime }, format) {
+  const toFilenameDateTime = (dateTime) => String(dateTime).replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+  return `${requestType}_${toFilenameDateTime(previousRunDateTime)}_${toFilenameDateTime(nextPreviousRunDateTime)}.${getFormat(format).extension}`;
+}
+
+/**
+ * Build the report email attachments ([{filename, data, contentType}]) in the report's attachment formats
+ */
+export function getReportAttachments(report, requestType, queryWindow, reportOutput) {
+  return (report.attachmentFormats ?? [FORMAT_CSV]).map((format) => ({
+    filename: getReportFilename(requestType, queryWindow, format),
+    data: getFormat(format).serialize(reportOutput),
+    contentType: getFormat(format).contentType,
+  }));
+}
@@ -0,0 +1,81 @@
+/**
+ * Report run lock: a lease per report, so overlapping runs (eg, the cron fires twice, or a manual run during the scheduled run)
+ * do not both read the same checkpoint, send the same conversions and append a checkpoint
+ *
+ * The lock is held under LOCKS_ROOT_ELEMENT_NAME/<environment>/<requestType>: {owner, requestId, acquiredAt, expiresAt},
+ * and taken in a storage transaction; the runs of the report in another SFDC environment (eg, uat) do not block it.
+ * The owner is a random token per acquired lock, not the requestId: the request IDs are timestamps, so two invocations in the
+ * same millisecond (eg, a double cron fire on two instances) share one. The lock expires after REPORT_LOCK_TTL_MS (default
+ * 5 minutes, longer than the serverless function's max duration), so the lock of a run that was stopped before releasing it
+ * does not block the report for long.
+ *
+ * Usage:
+ *    const lock = await acquireReportLock(storage, environment, requestType, requestId);   // throws a MarketingApiConflictError if another run holds the lock
+ *    try { ... } finally { await releaseReportLock(storage, environment, requestType, lock); }
+ */
+import crypto from 'crypto';
+import { formatLogEntry } from '../utils/logger';
+import {
+  MarketingApiConflictError,
+  ERROR,
+} from '../utils/common';
+
+export const LOCKS_ROOT_ELEMENT_NAME = 'ReportLocks';
+export const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+
+export function getLockTtlMs() {
+  const ttlMs = parseInt(process.env.REPORT_LOCK_TTL_MS, 10);
+  return ttlMs > 0 ? ttlMs : DEFAULT_LOCK_TTL_MS;
+}
+
+/**
+ * Lock path of the report in the SFDC environment (relative to LOCKS_ROOT_ELEMENT_NAME)
+ */
+export function getLockPath(environment, requestType) {
+  return `${environment}/${requestType}`;
+}
+
+/**
+ * Check if the lock is held by another owner (and not expired)
+ */
+export function isLockedByOther(lock, owner, now = Date.now()) {
+  return Boolean(lock) && lock.owner !== owner && Date.parse(lock.expiresAt) > now;
+}
+
+/**
+ * Take the report's lock for the run; returns the lock: {owner, requestId, acquiredAt, expiresAt}, to release it with
+ *
+ * Throws a MarketingApiConflictError (http status 409) if another run holds the lock
+ */
+export async function acquireReportLock(storage, environment, requestType, requestId, ttlMs = getLockTtlMs()) {
+  const now = Date.now();
+  const owner = crypto.randomUUID();
+  const { committed, data } = await storage.transactionData(LOCKS_ROOT_ELEMENT_NAME, getLockPath(environment, requestType), (lock) => isLockedByOther(lock, owner, now) ?
+    undefined :
+    { owner, requestId, acquiredAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlMs).toISOString() });
+  if (!committed) {
+    throw new MarketingApiConflictError(`The ${requestType} report is already running in ${environment} (request ID ${data?.requestId}); its lock expires at ${data?.expiresAt}`,
+      { owner: data?.requestId ?? null, expiresAt: data?.expiresAt ?? null });
+  }
+  return data;
+}
+
+/**
+ * Release the report's lock (from acquireReportLock()), if the run still holds it
+ *
+ * Never throws: a failure to release the lock is logged (the lock expires), but must not fail (or change the response of) the run itself
+ */
+export async function releaseReportLock(storage, environment, requestType, { owner, requestId }) {
+  try {
+    await storage.transactionData(LOCKS_ROOT_ELEMENT_NAME, getLockPath(environment, requestType), (lock) => lock?.owner === owner ? null : undefined);
+  }
+  catch (err) {
+    console.log(formatLogEntry({
+      level: ERROR,
+      source: 'releaseReportLock()',
+      message: `Exception caught releasing the ${requestType} report lock in ${environment}; it expires on its own`,
+      requestId,
+      error: err,
+    }));
+  }
+}
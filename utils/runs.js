@@ -0,0 +1,160 @@
+/**
+ * Report run audit history
+ *
+ * Every sfdcquery run (once the caller is authorized and the request is valid) writes a run record under RUNS_ROOT_ELEMENT_NAME
+ * with an auto key (see createDataWithAutoKey() in ./storage.js):
+ *    {
+ *      requestId, requestType, environment, outputMode, dryRun, backfill,
+ *      window: {previousRunDateTime, nextPreviousRunDateTime},
+ *      bulkJobId,                                   // the SFDC Bulk API query job of a bulk run (see ../api/sfdcquery.js)
+ *      recordCounts: {raw, unique, final, steps},   // steps: the count after each post processing step, eg, {query, keepUniqueOpportunities, ...}
+ *      delivery: {status, channels: [{transport, success, error}]},
+ *      status, startedAt, finishedAt, durationMs,      // status: success, error or pending (a bulk run whose job is still running)
+ *      error: {name, message, statusCode}           // if the run failed; statusCode is the response's http status (see ./errors.js)
+ *    }
+ *
+ * The runs are read with /api/runs (see ../api/runs.js); for Firebase, index the runs on the fields it queries by in the
+ * database rules: {"ReportRuns": {".indexOn": ["startedAt", "requestId"]}}
+ */
+import { formatLogEntry } from '../utils/logger';
+import { getErrorPolicy, MarketingApiValidationError } from '../utils/errors';
+import {
+  ERROR,
+} from '../utils/common';
+
+export const RUNS_ROOT_ELEMENT_NAME = 'ReportRuns';
+
+export const RUN_STATUS_SUCCESS = 'success';
+export const RUN_STATUS_ERROR = 'error';
+export const RUN_STATUS_PENDING = 'pending';
+
+export const DELIVERY_STATUS_SENT = 'sent';
+export const DELIVERY_STATUS_PARTIAL = 'partial';
+export const DELIVERY_STATUS_FAILED = 'failed';
+export const DELIVERY_STATUS_NOT_SENT = 'notSent';
+
+export const DEFAULT_RUNS_LIMIT = 50;
+export const MAX_RUNS_LIMIT = 500;
+
+/**
+ * Start the run record of the request
+ */
+export function startRun({ requestId, requestType, environment, outputMode = null, dryRun = false }) {
+  return {
+    requestId,
+    requestType: requestType ?? null,
+    environment,
+    outputMode,
+    dryRun,
+    backfill: false,
+    window: null,
+    bulkJobId: null,
+    recordCounts: null,
+    delivery: { status: DELIVERY_STATUS_NOT_SENT, channels: [] },
+    status: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    error: null,
+  };
+}
+
+/**
+ * Run record counts from the record count after each post processing step (see ../api/sfdcquery.js):
+ * raw is the query count, unique is the count after the report's uniqueRecordsStep (see ./reports.js) and final is the report row count
+ */
+export function getRunRecordCounts(recordCounts, uniqueRecordsStep, finalCount) {
+  return {
+    raw: recordCounts.query,
+    unique: recordCounts[uniqueRecordsStep?.name] ?? recordCounts.query,
+    final: finalCount,
+    steps: recordCounts,
+  };
+}
+
+/**
+ * Run delivery from the notify() results (see ./notifier.js)
+ */
+export function getRunDelivery(deliveryResults) {
+  const sentCount = deliveryResults.filter(({success}) => success).length;
+  const status = !deliveryResults.length ? DELIVERY_STATUS_NOT_SENT :
+    (sentCount === deliveryResults.length ? DELIVERY_STATUS_SENT : (sentCount ? DELIVERY_STATUS_PARTIAL : DELIVERY_STATUS_FAILED));
+  return {
+    status,
+    channels: deliveryResults.map(({transport, success, error}) => ({
+      transport,
+      success,
+      error: error ? String(error.message ?? error) : null,
+    })),
+  };
+}
+
+/**
+ * Finish the run record (the error, if the run failed) and write it to the storage; a run without an error is a success unless
+ * its status is already set (eg, pending)
+ *
+ * Never throws: a failure to write the audit record is logged, but must not fail (or change the response of) the run itself.
+ * Returns the run's key, or null if it was not written.
+ */
+export async function saveRun(storage, run, err = null) {
+  const finishedAt = new Date();
+  const finishedRun = {
+    ...run,
+    status: err ? RUN_STATUS_ERROR : (run.status ?? RUN_STATUS_SUCCESS),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+    error: err ? { name: err.name ?? 'Error', message: String(err.message ?? err), statusCode: getErrorPolicy(err).statusCode } : null,
+  };
+  try {
+    return await storage.createDataWithAutoKey(RUNS_ROOT_ELEMENT_NAME, finishedRun);
+  }
+  catch (saveErr) {
+    console.log(formatLogEntry({
+      level: ERROR,
+      source: 'saveRun()',
+      message: `Exception caught saving the run record`,
+      requestId: run.requestId,
+      context: { run: finishedRun },
+      error: saveErr,
+    }));
+    return null;
+  }
+}
+
+/**
+ * Get the run records, newest first: [{key, ...run}]
+ *
+ * filters (all optional):
+ *  - requestId:                   the run of the request
+ *  - startDateTime, endDateTime:  runs started in the range (ISO-8601 datetimes, inclusive)
+ *  - requestType, environment, status: runs with the value; requires startDateTime, so that the runs read are bounded
+ *  - environments:                only the runs of these SFDC environments, eg, those the caller may read; without startDateTime,
+ *                                 the newest `limit` runs are read and the others left out, so fewer runs may be returned
+ *  - limit:                       max number of runs (default DEFAULT_RUNS_LIMIT)
+ *
+ * Throws a MarketingApiValidationError if requestType, environment or status is given without startDateTime
+ */
+export async function getRuns(storage, { requestId, startDateTime, endDateTime, requestType, environment, environments, status, limit = DEFAULT_RUNS_LIMIT } = {}) {
+  if (!requestId && !startDateTime && (requestType || environment || status)) {
+    throw new MarketingApiValidationError(`Filtering the runs by requestType, sfdcEnvironment or status requires a startDateTime`);
+  }
+  // the storage query can filter on one field only (a single requestId, or else the startedAt range); the other filters are applied here
+  const runs = await storage.queryData(RUNS_ROOT_ELEMENT_NAME, null, requestId ?
+    { orderByChild: 'requestId', equalTo: requestId } :
+    {
+      orderByChild: 'startedAt',
+      ...(startDateTime && { startAt: startDateTime }),
+      ...(endDateTime && { endAt: endDateTime }),
+      // with no other filters, read only the runs that are returned
+      ...(!requestType && !environment && !status && { limitToLast: limit }),
+    });
+  return runs
+    .map(({key, data}) => ({ key, ...data }))
+    .filter((run) =>
+      (!requestType || run.requestType === requestType) &&
+      (!environment || run.environment === environment) &&
+      (!environments || environments.includes(run.environment)) &&
+      (!status || run.status === status))
+    .reverse()
+    .slice(0, limit);
+}
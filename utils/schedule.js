@@ -0,0 +1,119 @@
+/**
+ * Report schedule: the manifest of the reports /api/scheduler runs (see ../api/scheduler.js)
+ *
+ * The manifest is DEFAULT_SCHEDULE below, or the SCHEDULE_MANIFEST env variable (JSON), a list of entries:
+ *    {
+ *      requestType,          // the report (see ./reports.js)
+ *      environment,          // (optional) SFDC environment profile (see ./config.js); default prod
+ *      cadence,              // (optional) eg, {type: 'weekly', weekday: 1} (see ./datewindow.js); default the report's cadence (daily)
+ *      recipients,           // (optional) email addresses the report is sent to instead of the report's REPORT channels
+ *      outputMode,           // (optional) default the report's default output mode
+ *      bulk,                 // (optional) run the query as a bulk query job (see ./reportrunner.js)
+ *      enabled,              // (optional) false to leave the report out of the schedule
+ *    }
+ *
+ * A report is due when the last boundary of its cadence is after its checkpoint (see isReportDue()), so a missed tick
+ * is caught up by the next one, and extra ticks do nothing. The checkpoint is per report and SFDC environment, so a report is
+ * scheduled once per environment.
+ */
+import {
+  getEnvironments,
+  SFDC_ENVIRONMENT_PROD,
+} from '../utils/config';
+import {
+  getCadence,
+  getNextPreviousRunDateTime,
+} from '../utils/datewindow';
+import {
+  REPORTS,
+} from '../utils/reports';
+import {
+  getPreviousRunDateTime,
+} from '../utils/reportrunner';
+import {
+  MAILGUN,
+  REPORT,
+  DEFAULT_NOTIFICATIONS,
+} from '../utils/notifier';
+import {
+  MarketingApiConfigError,
+} from '../utils/common';
+
+export const DEFAULT_SCHEDULE = [
+  { requestType: 'googleSearchAdsConversions', environment: SFDC_ENVIRONMENT_PROD, cadence: { type: 'daily' } },
+];
+
+const EMAIL_REGEX = /^[^\s@,]+@[^\s@,]+$/;
+
+/**
+ * Get the (enabled) schedule entries, with the defaults filled in
+ *
+ * Throws a MarketingApiConfigError if SCHEDULE_MANIFEST is not valid JSON, or an entry is not valid
+ */
+export function getSchedule() {
+  let manifest = DEFAULT_SCHEDULE;
+  if (process.env.SCHEDULE_MANIFEST) {
+    try {
+      manifest = JSON.parse(process.env.SCHEDULE_MANIFEST);
+    }
+    catch (err) {
+      throw new MarketingApiConfigError(`SCHEDULE_MANIFEST is not valid JSON: ${err.message}`, { cause: err });
+    }
+  }
+  if (!Array.isArray(manifest)) {
+    throw new MarketingApiConfigError(`SCHEDULE_MANIFEST must be a list of schedule entries`);
+  }
+  const entries = manifest.filter((entry) => entry?.enabled !== false).map(toScheduleEntry);
+  const reportKeys = entries.map(({requestType, environment}) => `${requestType} (${environment})`);
+  const duplicates = reportKeys.filter((reportKey, index) => reportKeys.indexOf(reportKey) !== index);
+  if (duplicates.length) {
+    throw new MarketingApiConfigError(`Reports scheduled more than once (their checkpoint is shared): ${[...new Set(duplicates)].join(', ')}`);
+  }
+  return entries;
+}
+
+function toScheduleEntry(entry) {
+  const { requestType, environment = SFDC_ENVIRONMENT_PROD, cadence, recipients = null, outputMode, bulk = false } = entry ?? {};
+  const report = REPORTS[requestType];
+  if (!report) {
+    throw new MarketingApiConfigError(`Unknown scheduled report '${requestType}'; supported reports: ${Object.keys(REPORTS).join(', ')}`);
+  }
+  if (!getEnvironments().includes(environment)) {
+    throw new MarketingApiConfigError(`Unknown SFDC environment '${environment}' of the scheduled ${requestType} report`);
+  }
+  if (recipients !== null && (!Array.isArray(recipients) || !recipients.length || !recipients.every((recipient) => EMAIL_REGEX.test(recipient)))) {
+    throw new MarketingApiConfigError(`The recipients of the scheduled ${requestType} report must be a list of email addresses`);
+  }
+  return {
+    requestType,
+    environment,
+    // throws a MarketingApiConfigError if the cadence is not valid
+    cadence: getCadence(cadence ?? report.cadence),
+    recipients,
+    outputMode,
+    bulk: Boolean(bulk),
+  };
+}
+
+/**
+ * The report's notification channels for the schedule entry: the REPORT channel is an email to the entry's recipients, if it has any
+ */
+export function getScheduleNotifications(report, { recipients }) {
+  if (!recipients) {
+    return report.notifications;
+  }
+  const from = report.notifications?.[REPORT]?.find(({transport}) => transport === MAILGUN)?.from ?? DEFAULT_NOTIFICATIONS.ERROR[0].from;
+  return {
+    ...report.notifications,
+    [REPORT]: [{ transport: MAILGUN, from, to: recipients.join(', ') }],
+  };
+}
+
+/**
+ * Check if the scheduled report is due: {due, previousRunDateTime (the checkpoint), nextPreviousRunDateTime (the last boundary of its cadence)}
+ */
+export async function isReportDue(storage, { requestType, environment, cadence }, now = new Date()) {
+  const previousRunDateTime = await getPreviousRunDateTime(storage, environment, requestType);
+  const nextPreviousRunDateTime = getNextPreviousRunDateTime(cadence, now);
+  return { due: nextPreviousRunDateTime > previousRunDateTime, previousRunDateTime, nextPreviousRunDateTime };
+}
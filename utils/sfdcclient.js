@@ -0,0 +1,476 @@
+/**
+ * Salesforce (SFDC) REST API client
+ *
+ * Shared by the API endpoints (./api/*) that call Salesforce:
+ *  - caches the access_token/instance_url per SFDC environment for the life of the (warm) serverless instance
+ *  - supports the OAuth 2.0 username-password flow and the JWT bearer flow (set SFDC_AUTH_FLOW=jwt)
+ *  - retries a request once with a fresh access_token if SFDC responds with http status 401 (eg, expired session)
+ *  - times out, and retries with backoff, requests that fail with a retryable error, eg, http status 503 or REQUEST_LIMIT_EXCEEDED (see ./http.js)
+ *  - follows query result pagination
+ *  - runs Bulk API 2.0 query jobs for the extracts that are too large for the REST query endpoint (see bulkQuery())
+ *
+ * Usage:
+ *    const sfdcClient = new SfdcClient(requestId, 'uat');
+ *    const queryResults = await sfdcClient.query('SELECT Id FROM Lead_Post__c LIMIT 10');
+ *    const bulkResults = await sfdcClient.bulkQuery('SELECT Id FROM Lead_Post__c');   // {jobId, job, done, records}
+ */
+import {
+  getConfig,
+  CONFIG_SFDC,
+  SFDC_ENVIRONMENT_PROD,
+  SFDC_ENVIRONMENT_UAT,
+  SFDC_AUTH_FLOW_PASSWORD,
+  SFDC_AUTH_FLOW_JWT,
+} from '../utils/config';
+import url from 'url';
+import jwt from 'jsonwebtoken';
+import { formatLogEntry, getRequestDuration } from '../utils/logger';
+import { isRetryableUnprocessedError, requestWithRetry } from '../utils/http';
+import {
+  MarketingApiLimitError,
+  MarketingApiSfdcError,
+  INFO,
+  WARNING,
+} from '../utils/common';
+
+export const SFDC_API_VERSION = 'v52.0';
+// the SFDC environment profiles and auth flows are defined with the config (see ../utils/config.js)
+export { SFDC_ENVIRONMENT_PROD, SFDC_ENVIRONMENT_UAT, SFDC_AUTH_FLOW_PASSWORD, SFDC_AUTH_FLOW_JWT };
+
+// default upper limit on the number of records a single query may return (override with the SFDC_QUERY_MAX_RECORDS env variable)
+export const DEFAULT_MAX_RECORDS = 50000;
+
+// JWT bearer flow assertions must expire within 3 minutes: https://help.salesforce.com/s/articleView?id=sf.remoteaccess_oauth_jwt_flow.htm
+const JWT_ASSERTION_TTL_SECONDS = 180;
+const JWT_BEARER_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+// Bulk API 2.0 query jobs (https://developer.salesforce.com/docs/atlas.en-us.api_asynch.meta/api_asynch/queries.htm); override with the env variables:
+//  - SFDC_BULK_MAX_RECORDS:      max number of records a bulk query job may return
+//  - SFDC_BULK_PAGE_SIZE:        max number of records per result page (maxRecords param of the results request)
+//  - SFDC_BULK_POLL_INTERVAL_MS: wait between the job state checks
+//  - SFDC_BULK_TIME_BUDGET_MS:   stop waiting for the job once the request has run this long, leaving time to download the
+//                                results and deliver the report before the serverless function's max duration
+export const DEFAULT_BULK_MAX_RECORDS = 1000000;
+export const DEFAULT_BULK_PAGE_SIZE = 50000;
+export const DEFAULT_BULK_POLL_INTERVAL_MS = 2000;
+export const DEFAULT_BULK_TIME_BUDGET_MS = 30000;
+
+export const BULK_JOB_STATE_COMPLETE = 'JobComplete';
+export const BULK_JOB_STATE_FAILED = 'Failed';
+export const BULK_JOB_STATE_ABORTED = 'Aborted';
+
+// the results request's response header with the locator of the next page ('null' on the last page)
+const SFORCE_LOCATOR_HEADER = 'sforce-locator';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function getMaxRecords() {
+  const maxRecords = parseInt(process.env.SFDC_QUERY_MAX_RECORDS, 10);
+  return maxRecords > 0 ? maxRecords : DEFAULT_MAX_RECORDS;
+}
+
+export function getBulkSettings() {
+  const getIntEnv = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : defaultValue;
+  };
+  return {
+    maxRecords: getIntEnv('SFDC_BULK_MAX_RECORDS', DEFAULT_BULK_MAX_RECORDS),
+    pageSize: getIntEnv('SFDC_BULK_PAGE_SIZE', DEFAULT_BULK_PAGE_SIZE),
+    pollIntervalMs: getIntEnv('SFDC_BULK_POLL_INTERVAL_MS', DEFAULT_BULK_POLL_INTERVAL_MS),
+    timeBudgetMs: getIntEnv('SFDC_BULK_TIME_BUDGET_MS', DEFAULT_BULK_TIME_BUDGET_MS),
+  };
+}
+
+/**
+ * Parse the CSV (RFC 4180: comma delimited, fields with commas, quotes or line breaks are quoted, quotes are doubled) into rows of values
+ */
+export function parseCsv(csv) {
+  let rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (quoted) {
+      if (char === '"' && csv[i + 1] === '"') {
+        value += '"';
+        i++;
+      }
+      else if (char === '"') {
+        quoted = false;
+      }
+      else {
+        value += char;
+      }
+    }
+    else if (char === '"') {
+      quoted = true;
+    }
+    else if (char === ',') {
+      row.push(value);
+      value = '';
+    }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[i + 1] === '\n') {
+        i++;
+      }
+      rows.push([...row, value]);
+      row = [];
+      value = '';
+    }
+    else {
+      value += char;
+    }
+  }
+  if (value || row.length) {
+    rows.push([...row, value]);
+  }
+  return rows;
+}
+
+/**
+ * Records of the Bulk API query result CSV, shaped like the REST query records: the relationship columns, eg,
+ * Opportunity__r.StageName, become nested objects (null if all their fields are empty) and empty values are null
+ *
+ * The values are strings (the CSV has no types), eg, numbers and booleans are '10' and 'true'
+ */
+export function toSfdcRecords(csv) {
+  const [header, ...rows] = parseCsv(csv);
+  return rows.map((row) => {
+    let record = {};
+    header.forEach((column, index) => {
+      const path = column.split('.');
+      let parent = record;
+      for (const key of path.slice(0, -1)) {
+        parent = parent[key] ??= {};
+      }
+      parent[path[path.length - 1]] = row[index] === '' || row[index] === undefined ? null : row[index];
+    });
+    return toNullRelationships(record);
+  });
+}
+
+function toNullRelationships(record) {
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => {
+    if (value === null || typeof value !== 'object') {
+      return [key, value];
+    }
+    const relationship = toNullRelationships(value);
+    return [key, Object.values(relationship).every((fieldValue) => fieldValue === null) ? null : relationship];
+  }));
+}
+
+/**
+ * Get the SFDC credentials for the environment profile (see ../utils/config.js)
+ *
+ * Throws a MarketingApiConfigError listing the env variables that are required but not set
+ */
+export function getSfdcCredentials(environment = SFDC_ENVIRONMENT_PROD) {
+  return getConfig(CONFIG_SFDC, environment);
+}
+
+/**
+ * Wrap the failed SFDC call's (axios) error in a MarketingApiSfdcError with SFDC's error code and message, eg,
+ *    query:  [{"errorCode": "MALFORMED_QUERY", "message": "..."}]: https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/errorcodes.htm
+ *    OAuth:  {"error": "invalid_grant", "error_description": "authentication failure"}
+ */
+export function getSfdcError(err, action) {
+  const status = err.response?.status ?? null;
+  const data = err.response?.data;
+  const sfdcError = Array.isArray(data) ? data[0] : data;
+  const errorCode = sfdcError?.errorCode ?? sfdcError?.error ?? err.code ?? null;
+  const message = sfdcError?.message ?? sfdcError?.error_description ?? err.message;
+  return new MarketingApiSfdcError(`${action} failed${status ? ` with http status ${status}` : ''}: ${errorCode ? `${errorCode}: ` : ''}${message}`, {
+    cause: err,
+    status,
+    errorCode,
+    details: Array.isArray(data) ? data : null,
+  });
+}
+
+export default class SfdcClient {
+  // access tokens by SFDC environment; static so the cache is shared by every client in the (warm) serverless instance
+  static #tokenCache = new Map();
+
+  constructor(requestId = null, environment = SFDC_ENVIRONMENT_PROD) {
+    this.requestId = requestId ?? 'Optional request ID not provided';
+    this.environment = environment ?? SFDC_ENVIRONMENT_PROD;
+  }
+
+  static clearTokenCache() {
+    SfdcClient.#tokenCache.clear();
+  }
+
+  /**
+   * Get the (cached) access token: {accessToken, instanceUrl, tokenType, expiresAt}
+   */
+  async getAccessToken(forceRefresh = false) {
+    const cachedToken = SfdcClient.#tokenCache.get(this.environment);
+    if (!forceRefresh && cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken;
+    }
+
+    const credentials = getSfdcCredentials(this.environment);
+    // set payload for x-www-form-urlencoded content type: https://axios-http.com/docs/urlencoded
+    const params = credentials.authFlow === SFDC_AUTH_FLOW_JWT ?
+      new url.URLSearchParams({
+        grant_type: JWT_BEARER_GRANT_TYPE,
+        assertion: this.#getJwtAssertion(credentials),
+      }) :
+      new url.URLSearchParams({
+        username: credentials.username,
+        password: credentials.password,
+        grant_type: credentials.grantType,
+        client_id: credentials.clientId,
+        client_secret: credentials.clientSecret
+      });
+
+    let oAuthResponse = null;
+    try {
+      oAuthResponse = await requestWithRetry({
+        url: credentials.oAuthUrl,
+        method: 'post',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded'
+        },
+        data: params.toString()
+      }, { requestId: this.requestId, source: 'SfdcClient.getAccessToken()' });
+    }
+    catch (err) {
+      throw getSfdcError(err, `SFDC authentication (${credentials.authFlow} flow) for ${this.environment}`);
+    }
+
+    const { access_token: accessToken, instance_url: instanceUrl, token_type: tokenType, issued_at: issuedAt } = oAuthResponse.data;
+    const token = {
+      accessToken,
+      instanceUrl,
+      tokenType: tokenType ?? 'Bearer',
+      expiresAt: (parseInt(issuedAt, 10) || Date.now()) + (credentials.tokenTtlSeconds * 1000),
+    };
+    SfdcClient.#tokenCache.set(this.environment, token);
+    console.log(this.createLogMessage(INFO, 'getAccessToken', `New access token using the ${credentials.authFlow} flow for ${this.environment} instance ${instanceUrl}`));
+    return token;
+  }
+
+  /**
+   * Sign the JWT bearer flow assertion with the connected app certificate's private key:
+   * https://help.salesforce.com/s/articleView?id=sf.remoteaccess_oauth_jwt_flow.htm
+   */
+  #getJwtAssertion(credentials) {
+    return jwt.sign({}, credentials.jwtPrivateKey, {
+      algorithm: 'RS256',
+      issuer: credentials.clientId,
+      subject: credentials.username,
+      audience: credentials.jwtAudience,
+      expiresIn: JWT_ASSERTION_TTL_SECONDS,
+    });
+  }
+
+  /**
+   * Make a request to SFDC (axios request config; `url` may be relative to the instance url)
+   *
+   * If SFDC responds with http status 401, get a new access token and retry the request once;
+   * retryable errors (eg, http status 503) are retried with backoff (see ./http.js)
+   *
+   * options (optional): withRetry() options (see ./http.js), eg, {isRetryable: isRetryableUnprocessedError} for a request that is not idempotent
+   */
+  async request(config, options = {}) {
+    const retryOptions = { requestId: this.requestId, source: 'SfdcClient.request()', ...options };
+    let token = await this.getAccessToken();
+    try {
+      return await requestWithRetry(this.#withAuthorization(config, token), retryOptions);
+    }
+    catch (err) {
+      if (err.response?.status !== 401) {
+        throw getSfdcError(err, `SFDC request ${config.method ?? 'GET'} ${config.url}`);
+      }
+      console.log(this.createLogMessage(WARNING, 'request', `SFDC responded with http status 401 for ${config.url}; retrying with a new access token`));
+    }
+    token = await this.getAccessToken(true);
+    try {
+      return await requestWithRetry(this.#withAuthorization(config, token), retryOptions);
+    }
+    catch (err) {
+      throw getSfdcError(err, `SFDC request ${config.method ?? 'GET'} ${config.url}`);
+    }
+  }
+
+  #withAuthorization(config, token) {
+    return {
+      ...config,
+      url: config.url.match(/^https?:\/\//i) ? config.url : `${token.instanceUrl}${config.url}`,
+      headers: {
+        ...config.headers,
+        Authorization: `${token.tokenType} ${token.accessToken}`,
+      },
+    };
+  }
+
+  /**
+   * Run a SOQL query and follow the pagination until all records are retrieved
+   *
+   * SFDC returns at most 2000 records per response; if there are more, the response has `done: false` and a
+   * `nextRecordsUrl` (relative to the instance url) to GET the next page of records:
+   * https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/resources_query.htm
+   *
+   * Throws a MarketingApiLimitError if the query matches more than maxRecords records (checked against the
+   * `totalSize` of the first page, so nothing else is downloaded) rather than returning a partial result set.
+   *
+   * Returns the query result with all records: {totalSize, done, records, pageCount}
+   */
+  async query(query, maxRecords = getMaxRecords()) {
+    const apiUrl = `/services/data/${SFDC_API_VERSION}/query/`;
+    console.log(this.createLogMessage(INFO, 'query', `Request to SFDC using ${apiUrl}`, null, { q: query }));
+
+    let apiResponse = await this.request({
+      url: apiUrl,
+      method: 'GET',
+      // GET method requests send payload in `params` property (vs. `data` property for POST requests): https://axios-http.com/docs/req_config
+      params: { q: query },
+    });
+
+    const { totalSize } = apiResponse.data;
+    if (totalSize > maxRecords) {
+      throw new MarketingApiLimitError(
+        `SFDC query matched ${totalSize} records, more than the max records limit of ${maxRecords}; narrow the query window or raise SFDC_QUERY_MAX_RECORDS`,
+        { limit: maxRecords, count: totalSize });
+    }
+
+    let records = [...apiResponse.data.records];
+    let pageCount = 1;
+    console.log(this.createLogMessage(INFO, 'query', `SFDC query page [${pageCount}]: records [${records.length}] of totalSize [${totalSize}]`));
+
+    while (!apiResponse.data.done && apiResponse.data.nextRecordsUrl) {
+      apiResponse = await this.request({
+        url: apiResponse.data.nextRecordsUrl,
+        method: 'GET',
+      });
+      records.push(...apiResponse.data.records);
+      pageCount++;
+      console.log(this.createLogMessage(INFO, 'query', `SFDC query page [${pageCount}]: records [${records.length}] of totalSize [${totalSize}]`));
+    }
+
+    console.log(this.createLogMessage(INFO, 'query', `SFDC query complete: pages [${pageCount}], records [${records.length}], totalSize [${totalSize}]`));
+    return { totalSize, done: true, records, pageCount };
+  }
+
+  /**
+   * Run the query as a Bulk API 2.0 query job, for the extracts that are too large for the REST query endpoint:
+   * https://developer.salesforce.com/docs/atlas.en-us.api_asynch.meta/api_asynch/queries.htm
+   *
+   * Creates the job (or, with options.jobId, resumes the job an earlier request created), waits for it to complete
+   * within the request's time budget (see getBulkSettings()), and downloads its result pages
+   *
+   * Returns {jobId, job, done, records, pageCount}; if the job is still running when the time budget is spent, done is false
+   * (and there are no records): call bulkQuery() again with the jobId to resume
+   */
+  async bulkQuery(query, options = {}) {
+    const jobId = options.jobId ?? (await this.createBulkQueryJob(query)).id;
+    const job = await this.waitForBulkQueryJob(jobId);
+    if (job.state !== BULK_JOB_STATE_COMPLETE) {
+      return { jobId, job, done: false, records: [], pageCount: 0 };
+    }
+    const { records, pageCount } = await this.getBulkQueryResults(jobId, job.numberRecordsProcessed);
+    return { jobId, job, done: true, records, pageCount };
+  }
+
+  /**
+   * Create the Bulk API 2.0 query job; returns the job info: {id, state, ...}
+   */
+  async createBulkQueryJob(query) {
+    const apiUrl = `/services/data/${SFDC_API_VERSION}/jobs/query`;
+    console.log(this.createLogMessage(INFO, 'createBulkQueryJob', `Request to SFDC using ${apiUrl}`, null, { q: query }));
+    // not retried after a timeout or a 5xx: SFDC may have created the job, and the retry would create another
+    const apiResponse = await this.request({
+      url: apiUrl,
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      data: { operation: 'query', query, contentType: 'CSV', columnDelimiter: 'COMMA', lineEnding: 'LF' },
+    }, { isRetryable: isRetryableUnprocessedError });
+    console.log(this.createLogMessage(INFO, 'createBulkQueryJob', `SFDC bulk query job [${apiResponse.data.id}] created: state [${apiResponse.data.state}]`));
+    return apiResponse.data;
+  }
+
+  /**
+   * Get the Bulk API 2.0 query job info: {id, state (UploadComplete, InProgress, JobComplete, Failed or Aborted), numberRecordsProcessed, errorMessage, ...}
+   */
+  async getBulkQueryJob(jobId) {
+    const apiResponse = await this.request({
+      url: `/services/data/${SFDC_API_VERSION}/jobs/query/${encodeURIComponent(jobId)}`,
+      method: 'GET',
+    });
+    return apiResponse.data;
+  }
+
+  /**
+   * Poll the job until it completes, or the request's time budget (SFDC_BULK_TIME_BUDGET_MS) is spent; returns the last job info
+   *
+   * Throws a MarketingApiSfdcError if the job failed or was aborted
+   */
+  async waitForBulkQueryJob(jobId) {
+    const { pollIntervalMs, timeBudgetMs } = getBulkSettings();
+    const startTime = Date.now();
+    const getElapsedMs = () => getRequestDuration(this.requestId) ?? (Date.now() - startTime);
+    for (let pollCount = 1; ; pollCount++) {
+      const job = await this.getBulkQueryJob(jobId);
+      console.log(this.createLogMessage(INFO, 'waitForBulkQueryJob', `SFDC bulk query job [${jobId}] poll [${pollCount}]: state [${job.state}], records [${job.numberRecordsProcessed ?? 0}]`));
+      if ([BULK_JOB_STATE_FAILED, BULK_JOB_STATE_ABORTED].includes(job.state)) {
+        throw new MarketingApiSfdcError(`SFDC bulk query job ${jobId} ${job.state.toLowerCase()}: ${job.errorMessage ?? 'no error message'}`, { errorCode: job.state });
+      }
+      if (job.state === BULK_JOB_STATE_COMPLETE || getElapsedMs() + pollIntervalMs >= timeBudgetMs) {
+        return job;
+      }
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  /**
+   * Download the completed job's result pages (CSV, paged with the Sforce-Locator response header) as records (see toSfdcRecords())
+   *
+   * Throws a MarketingApiLimitError if the job returned more than SFDC_BULK_MAX_RECORDS records (checked before
+   * anything is downloaded) rather than returning a partial result set
+   */
+  async getBulkQueryResults(jobId, totalSize) {
+    const { maxRecords, pageSize } = getBulkSettings();
+    if (totalSize > maxRecords) {
+      throw new MarketingApiLimitError(
+        `SFDC bulk query job ${jobId} returned ${totalSize} records, more than the max records limit of ${maxRecords}; narrow the query window or raise SFDC_BULK_MAX_RECORDS`,
+        { limit: maxRecords, count: totalSize });
+    }
+    let records = [];
+    let pageCount = 0;
+    let locator = null;
+    do {
+      const apiResponse = await this.request({
+        url: `/services/data/${SFDC_API_VERSION}/jobs/query/${encodeURIComponent(jobId)}/results`,
+        method: 'GET',
+        headers: { accept: 'text/csv' },
+        params: { maxRecords: pageSize, ...(locator && { locator }) },
+        // keep the CSV as text (axios would parse a JSON looking body)
+        responseType: 'text',
+        transformResponse: [(data) => data],
+      });
+      records.push(...toSfdcRecords(apiResponse.data ?? ''));
+      pageCount++;
+      locator = apiResponse.headers?.[SFORCE_LOCATOR_HEADER];
+      locator = locator && locator !== 'null' ? locator : null;
+      console.log(this.createLogMessage(INFO, 'getBulkQueryResults', `SFDC bulk query job [${jobId}] result page [${pageCount}]: records [${records.length}] of totalSize [${totalSize}]`));
+    } while (locator);
+    return { records, pageCount };
+  }
+
+  /**
+   * Log entry (JSON line, see ./logger.js); context (optional) is redacted before it is written
+   */
+  createLogMessage(level, source, msg, err = null, context = null) {
+    return formatLogEntry({
+      level,
+      source: `SfdcClient.${source}()`,
+      message: msg,
+      requestId: this.requestId,
+      context,
+      error: err,
+    });
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * SOQL query builder
+ *
+ * Builds the report queries from their parts instead of interpolated template strings: the field and object names are
+ * checked and the literals are typed and escaped
+ * (https://developer.salesforce.com/docs/atlas.en-us.soql_sosl.meta/soql_sosl/sforce_api_calls_soql_select_quotedstringescapes.htm)
+ *
+ * Usage:
+ *    const query = buildSoqlQuery({
+ *      select: ['Id', 'Email__c', ...relationshipFields('Opportunity__r', ['StageName'])],
+ *      from: 'Lead_Post__c',
+ *      where: [                                                  // the filters are ANDed
+ *        isNotNull('Opportunity__c'),
+ *        dateTimeBetween('CreatedDate', previousRunDateTime, nextPreviousRunDateTime),
+ *        notEquals('First_Name__c', 'AAUTest'),
+ *      ],
+ *      orderBy: [{ field: 'CreatedDate', direction: 'DESC' }],  // or just the field name (ascending)
+ *      limit: 2000,
+ *    });
+ *
+ * The filters are only built with the helpers below (equals, notEquals, greaterThan, lessThan, isNull, isNotNull, inList,
+ * notInList, dateTimeBetween, and, or, not), so no unescaped string reaches the WHERE clause
+ *
+ * The literal type of a filter value is inferred from its JS type (string, number, boolean, Date or null); pass the type
+ * for the values that are strings in JS, eg, equals('Application_Date__c', '2023-03-05', LITERAL_DATE)
+ */
+import {
+  MarketingApiConfigError,
+  MarketingApiValidationError,
+} from '../utils/errors';
+import {
+  toSoqlDateTime,
+} from '../utils/datewindow';
+
+export const LITERAL_STRING = 'string';
+export const LITERAL_NUMBER = 'number';
+export const LITERAL_BOOLEAN = 'boolean';
+export const LITERAL_DATE = 'date';
+export const LITERAL_DATETIME = 'dateTime';
+
+export const COMPARISON_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+// API names, possibly relationship fields, eg, Opportunity__r.StageName
+const SOQL_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/;
+const SOQL_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// marks the filters built by the helpers below
+const FILTER = Symbol('soqlFilter');
+
+// escape sequences of the SOQL string literals
+const STRING_ESCAPES = {
+  '\\': '\\\\',
+  '\'': '\\\'',
+  '"': '\\"',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f',
+};
+
+/**
+ * Check the field (or object) name; throws a MarketingApiConfigError if it is not an API name
+ */
+export function toSoqlName(name) {
+  if (typeof name !== 'string' || !name.match(SOQL_NAME_REGEX)) {
+    throw new MarketingApiConfigError(`Invalid SOQL field or object name '${name}'`);
+  }
+  return name;
+}
+
+/**
+ * Fields of the relationship, eg, relationshipFields('Opportunity__r', ['StageName']) => ['Opportunity__r.StageName']
+ */
+export function relationshipFields(relationshipName, fields) {
+  return fields.map((field) => `${toSoqlName(relationshipName)}.${toSoqlName(field)}`);
+}
+
+export function escapeSoqlString(value) {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, (char) => STRING_ESCAPES[char]);
+}
+
+export function getLiteralType(value) {
+  if (value instanceof Date) {
+    return LITERAL_DATETIME;
+  }
+  if (typeof value === 'number') {
+    return LITERAL_NUMBER;
+  }
+  if (typeof value === 'boolean') {
+    return LITERAL_BOOLEAN;
+  }
+  return LITERAL_STRING;
+}
+
+/**
+ * SOQL literal of the value, eg, 'O\'Brien', 2023-03-05T08:00:00.000Z, 2023-03-05, 10, true or null
+ *
+ * Throws a MarketingApiValidationError if the value is not valid for the type
+ */
+export function toSoqlLiteral(value, type = getLiteralType(value)) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  switch (type) {
+  case LITERAL_STRING:
+    return `'${escapeSoqlString(value)}'`;
+  case LITERAL_NUMBER:
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new MarketingApiValidationError(`Invalid SOQL number '${value}'`);
+    }
+    return String(value);
+  case LITERAL_BOOLEAN:
+    if (typeof value !== 'boolean') {
+      throw new MarketingApiValidationError(`Invalid SOQL boolean '${value}'`);
+    }
+    return String(value);
+  case LITERAL_DATE: {
+    const date = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    if (!date.match(SOQL_DATE_REGEX) || isNaN(new Date(date).getTime())) {
+      throw new MarketingApiValidationError(`Invalid SOQL date '${value}'; use yyyy-MM-dd`);
+    }
+    return date;
+  }
+  case LITERAL_DATETIME:
+    return toSoqlDateTime(value);
+  default:
+    throw new MarketingApiConfigError(`Unknown SOQL literal type '${type}'`);
+  }
+}
+
+/*------------------------
+ * filters
+ *------------------------*/
+
+function toFilter(soql) {
+  return { [FILTER]: true, soql };
+}
+
+function toFilterSoql(filter) {
+  if (!filter?.[FILTER]) {
+    throw new MarketingApiConfigError(`Invalid SOQL filter '${filter}'; build the filters with the query builder's filter helpers`);
+  }
+  return filter.soql;
+}
+
+export function compare(field, operator, value, type) {
+  if (!COMPARISON_OPERATORS.includes(operator)) {
+    throw new MarketingApiConfigError(`Invalid SOQL comparison operator '${operator}'`);
+  }
+  return toFilter(`${toSoqlName(field)} ${operator} ${toSoqlLiteral(value, type)}`);
+}
+
+export const equals = (field, value, type) => compare(field, '=', value, type);
+export const notEquals = (field, value, type) => compare(field, '!=', value, type);
+export const greaterThan = (field, value, type) => compare(field, '>', value, type);
+export const lessThan = (field, value, type) => compare(field, '<', value, type);
+export const isNull = (field) => compare(field, '=', null);
+export const isNotNull = (field) => compare(field, '!=', null);
+
+function toListFilter(field, operator, values, type) {
+  if (!Array.isArray(values) || !values.length) {
+    throw new MarketingApiValidationError(`The SOQL ${operator} list of ${field} must have at least one value`);
+  }
+  return toFilter(`${toSoqlName(field)} ${operator} (${values.map((value) => toSoqlLiteral(value, type)).join(', ')})`);
+}
+
+export const inList = (field, values, type) => toListFilter(field, 'IN', values, type);
+export const notInList = (field, values, type) => toListFilter(field, 'NOT IN', values, type);
+
+/**
+ * The datetime field is in the (exclusive) window, eg, (CreatedDate > 2023-03-04T08:00:00.000Z AND CreatedDate < 2023-03-05T08:00:00.000Z)
+ */
+export function dateTimeBetween(field, startDateTime, endDateTime) {
+  return and(greaterThan(field, startDateTime, LITERAL_DATETIME), lessThan(field, endDateTime, LITERAL_DATETIME));
+}
+
+function toLogicalFilter(operator, filters) {
+  const soqls = filters.map(toFilterSoql);
+  return toFilter(soqls.length === 1 ? soqls[0] : `(${soqls.join(` ${operator} `)})`);
+}
+
+export const and = (...filters) => toLogicalFilter('AND', filters);
+export const or = (...filters) => toLogicalFilter('OR', filters);
+export const not = (filter) => toFilter(`(NOT ${toFilterSoql(filter)})`);
+
+/*------------------------
+ * query
+ *------------------------*/
+
+function toOrderBySoql(orderBy) {
+  const { field, direction = 'ASC', nulls } = typeof orderBy === 'string' ? { field: orderBy } : orderBy;
+  if (!['ASC', 'DESC'].includes(direction.toUpperCase()) || (nulls && !['FIRST', 'LAST'].includes(nulls.toUpperCase()))) {
+    throw new MarketingApiConfigError(`Invalid SOQL ORDER BY of ${field}: ${direction}${nulls ? ` NULLS ${nulls}` : ''}`);
+  }
+  return `${toSoqlName(field)} ${direction.toUpperCase()}${nulls ? ` NULLS ${nulls.toUpperCase()}` : ''}`;
+}
+
+/**
+ * Build the SOQL query: {select: [fields], from: object, where: [filters] (ANDed), orderBy: [field or {field, direction, nulls}], limit}
+ *
+ * Throws a MarketingApiConfigError if the query is not valid
+ */
+export function buildSoqlQuery({ select, from, where = [], orderBy = [], limit }) {
+  if (!Array.isArray(select) || !select.length) {
+    throw new MarketingApiConfigError('The SOQL query must select at least one field');
+  }
+  const fields = [...new Set(select.map(toSoqlName))];
+  let soql = `SELECT ${fields.join(', ')} FROM ${toSoqlName(from)}`;
+  if (where.length) {
+    soql += ` WHERE ${where.map(toFilterSoql).join(' AND ')}`;
+  }
+  if (orderBy.length) {
+    soql += ` ORDER BY ${orderBy.map(toOrderBySoql).join(', ')}`;
+  }
+  if (limit !== undefined) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new MarketingApiConfigError(`Invalid SOQL LIMIT '${limit}'`);
+    }
+    soql += ` LIMIT ${limit}`;
+  }
+  return soql;
+}
@@ -0,0 +1,61 @@
+/**
+ * Storage (eg, the reports' checkpoints)
+ *
+ * Every storage backend implements the same interface (paths are `${rootElementName}/${childKey}`, or rootElementName
+ * if childKey is null):
+ *  - createData(rootElementName, childKey, dataObj):        set (replace) the data at the path
+ *  - createDataWithAutoKey(rootElementName, dataObj):       add the data under a new, chronologically ordered key; returns the key
+ *  - readData(rootElementName, childKey):                   get the data at the path; null if there is none
+ *  - queryData(rootElementName, childKey, options):         get the children of the path sorted and filtered by the options,
+ *                                                           eg, {orderByChild: 'createdAt', startAt: '2023-03-01', limitToLast: 10}; returns [{key, data}]
+ *  - updateData(rootElementName, childKey, dataObj):        update only the given children of the path
+ *  - deleteData(rootElementName, childKey):                 remove the data at the path
+ *  - transactionData(rootElementName, childKey, updateFn):  atomically replace the data at the path with updateFn(currentData);
+ *                                                           updateFn returns undefined to abort; returns {committed, data}
+ *
+ * A failed call throws a MarketingApiStorageError (see ./common.js) with the backend's error as its `cause`.
+ *
+ * Backends (set the STORAGE_BACKEND env variable):
+ *  - firebase (default): Firebase Realtime Database (see ./artufirebaserealtimedatabase.js)
+ *  - memory:             in-memory, for the life of the (warm) serverless instance, eg, for tests (see ./memorystorage.js)
+ *  - file:               local JSON file at STORAGE_FILE_PATH, eg, for offline development (see ./filestorage.js)
+ *
+ * Usage:
+ *    const storage = getStorage(requestId);
+ *    const runDates = await storage.readData('ReportCheckpoints', 'prod/googleSearchAdsConversions');
+ */
+import {
+  getConfig,
+  CONFIG_STORAGE,
+} from '../utils/config';
+import ArtuFirebaseRealTimeDatabase from '../utils/artufirebaserealtimedatabase';
+import MemoryStorage from '../utils/memorystorage';
+import FileStorage from '../utils/filestorage';
+import { MarketingApiConfigError } from '../utils/common';
+
+export const STORAGE_BACKEND_FIREBASE = 'firebase';
+export const STORAGE_BACKEND_MEMORY = 'memory';
+export const STORAGE_BACKEND_FILE = 'file';
+
+const STORAGE_BACKENDS = {
+  [STORAGE_BACKEND_FIREBASE]: ArtuFirebaseRealTimeDatabase,
+  [STORAGE_BACKEND_MEMORY]: MemoryStorage,
+  [STORAGE_BACKEND_FILE]: FileStorage,
+};
+
+export function getStorageBackend() {
+  return getConfig(CONFIG_STORAGE).backend;
+}
+
+/**
+ * Get the storage for the configured backend
+ *
+ * Throws a MarketingApiConfigError if STORAGE_BACKEND is not a supported backend
+ */
+export function getStorage(requestId = null, backend = getStorageBackend()) {
+  const Storage = STORAGE_BACKENDS[backend];
+  if (!Storage) {
+    throw new MarketingApiConfigError(`Unknown STORAGE_BACKEND '${backend}'; supported backends: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  return new Storage(requestId);
+}